@@ -49,7 +49,8 @@ const translationLog = debug('translation')
 export function createAndLoadViewer(
   queryFields: object,
   data: PreprocessingData,
-  isMutation: boolean = false
+  isMutation: boolean = false,
+  namespace?: string
 ): { [key: string]: Viewer } {
   let results = {}
   /**
@@ -122,7 +123,7 @@ export function createAndLoadViewer(
 
     // Add the viewer object type to the specified root query object type
     results[viewerName] = getViewerOT(
-      viewerName,
+      getViewerTypeName(viewerName, namespace),
       protocolName,
       securityType,
       queryFields[protocolName],
@@ -137,7 +138,7 @@ export function createAndLoadViewer(
 
   // Add the AnyAuth object type to the specified root query object type
   results[anyAuthObjectName] = getViewerAnyAuthOT(
-    anyAuthObjectName,
+    getViewerTypeName(anyAuthObjectName, namespace),
     anyAuthFields,
     data
   )
@@ -145,6 +146,16 @@ export function createAndLoadViewer(
   return results
 }
 
+/**
+ * Returns the name of the object type of the viewer with the given name, which
+ * is prefixed in the case of a namespace
+ */
+function getViewerTypeName(viewerName: string, namespace?: string): string {
+  return typeof namespace === 'string'
+    ? Oas3Tools.capitalize(namespace) + Oas3Tools.capitalize(viewerName)
+    : viewerName
+}
+
 /**
  * Gets the viewer Object, resolve function, and arguments
  */
@@ -41,8 +41,21 @@ import { GraphQLSchema, GraphQLObjectType } from 'graphql'
 import * as NodeRequest from 'request'
 
 // Imports:
-import { getGraphQLType, getArgs } from './schema_builder'
+import {
+  getGraphQLType,
+  getArgs,
+  getResponsePayloadField
+} from './schema_builder'
 import { getResolver } from './resolver_builder'
+import { getConnectionField } from './pagination'
+import {
+  createCallbackReceiver,
+  getSubscriptionField,
+  getPollingInterval,
+  getPollingSubscriptionField
+} from './subscriptions'
+import { addNodeOperationsToDataDefs, getNodeField } from './node_interface'
+import { addInferredLinksToDataDefs } from './link_inference'
 import * as GraphQLTools from './graphql_tools'
 import { preprocessOas } from './preprocessor'
 import * as Oas3Tools from './oas_3_tools'
@@ -56,6 +69,21 @@ type Result = {
   report: Report
 }
 
+/**
+ * The fields of the Query and Mutation objects, or of the Query and Mutation
+ * fields of a namespace
+ */
+type RootFields = {
+  queryFields: { [fieldName: string]: Field }
+  mutationFields: { [fieldName: string]: Field }
+  authQueryFields: {
+    [securityRequirement: string]: { [fieldName: string]: Field }
+  }
+  authMutationFields: {
+    [securityRequirement: string]: { [fieldName: string]: Field }
+  }
+}
+
 const translationLog = debug('translation')
 
 /**
@@ -89,6 +117,53 @@ export async function createGraphQlSchema(
     typeof options.addLimitArgument === 'boolean'
       ? options.addLimitArgument
       : false
+  options.formatScalars =
+    typeof options.formatScalars === 'boolean' ? options.formatScalars : false
+  options.validateArguments =
+    typeof options.validateArguments === 'boolean'
+      ? options.validateArguments
+      : false
+  options.nonNullOutputFields =
+    typeof options.nonNullOutputFields === 'boolean'
+      ? options.nonNullOutputFields
+      : false
+  options.typedMaps =
+    typeof options.typedMaps === 'boolean' ? options.typedMaps : false
+  options.discriminatorInterfaces =
+    typeof options.discriminatorInterfaces === 'boolean'
+      ? options.discriminatorInterfaces
+      : false
+  options.omitDeprecatedOperations =
+    typeof options.omitDeprecatedOperations === 'boolean'
+      ? options.omitDeprecatedOperations
+      : false
+  options.responseUnions =
+    typeof options.responseUnions === 'boolean' ? options.responseUnions : false
+  options.errorUnions =
+    typeof options.errorUnions === 'boolean' ? options.errorUnions : false
+  options.relayConnections =
+    typeof options.relayConnections === 'boolean'
+      ? options.relayConnections
+      : false
+  options.relayNodeInterface =
+    typeof options.relayNodeInterface === 'boolean'
+      ? options.relayNodeInterface
+      : false
+  options.inferLinks =
+    typeof options.inferLinks === 'boolean' ? options.inferLinks : false
+  options.createSubscriptionsFromCallbacks =
+    typeof options.createSubscriptionsFromCallbacks === 'boolean'
+      ? options.createSubscriptionsFromCallbacks
+      : false
+  options.responseHeaders =
+    options.responseHeaders === 'type' || options.responseHeaders === 'payload'
+      ? options.responseHeaders
+      : false
+  options.namespaces =
+    typeof options.namespaces === 'boolean' ||
+    typeof options.namespaces === 'object'
+      ? options.namespaces
+      : false
 
   // Authentication options
   options.viewer = typeof options.viewer === 'boolean' ? options.viewer : true
@@ -113,7 +188,9 @@ export async function createGraphQlSchema(
     numOpsQuery: 0,
     numOpsMutation: 0,
     numQueriesCreated: 0,
-    numMutationsCreated: 0
+    numMutationsCreated: 0,
+    numSubscriptionsCreated: 0,
+    inferredLinks: []
   }
 
   let oass: Oas3[]
@@ -161,6 +238,29 @@ async function translateOpenApiToGraphQL(
     fillEmptyResponses,
     addLimitArgument,
     idFormats,
+    formatScalars,
+    customScalars,
+    validateArguments,
+    nonNullOutputFields,
+    typedMaps,
+    discriminatorInterfaces,
+    omitDeprecatedOperations,
+    responseUnions,
+    errorUnions,
+    relayConnections,
+    pagination,
+    relayNodeInterface,
+    inferLinks,
+    links,
+    createSubscriptionsFromCallbacks,
+    pollingSubscriptions,
+    pollingScope,
+    responseHeaders,
+    namespaces,
+    typeNamer,
+    fieldNamer,
+    argNamer,
+    enumValueNamer,
 
     // Resolver options
     headers,
@@ -168,6 +268,8 @@ async function translateOpenApiToGraphQL(
     requestOptions,
     baseUrl,
     customResolvers,
+    callbackReceiver,
+    callbackCleanup,
 
     // Authentication options
     viewer,
@@ -189,6 +291,29 @@ async function translateOpenApiToGraphQL(
     fillEmptyResponses,
     addLimitArgument,
     idFormats,
+    formatScalars,
+    customScalars,
+    validateArguments,
+    nonNullOutputFields,
+    typedMaps,
+    discriminatorInterfaces,
+    omitDeprecatedOperations,
+    responseUnions,
+    errorUnions,
+    relayConnections,
+    pagination,
+    relayNodeInterface,
+    inferLinks,
+    links,
+    createSubscriptionsFromCallbacks,
+    pollingSubscriptions,
+    pollingScope,
+    responseHeaders,
+    namespaces,
+    typeNamer,
+    fieldNamer,
+    argNamer,
+    enumValueNamer,
 
     // Resolver options
     headers,
@@ -196,6 +321,8 @@ async function translateOpenApiToGraphQL(
     requestOptions,
     baseUrl,
     customResolvers,
+    callbackReceiver,
+    callbackCleanup,
 
     // Authentication options
     viewer,
@@ -216,14 +343,24 @@ async function translateOpenApiToGraphQL(
 
   preliminaryChecks(options, data)
 
+  // Determine the object types that implement the Node interface
+  if (relayNodeInterface) {
+    addNodeOperationsToDataDefs(data)
+  }
+
+  // Add links between object types based on their ID properties
+  if (inferLinks) {
+    addInferredLinksToDataDefs(data)
+  }
+
   /**
    * Create GraphQL fields for every operation and structure them based on their
-   * characteristics (query vs. mutation, auth vs. non-auth).
+   * characteristics (query vs. mutation, auth vs. non-auth), and based on their
+   * OAS if the namespaces option is set.
    */
-  let queryFields = {}
-  let mutationFields = {}
-  let authQueryFields = {}
-  let authMutationFields = {}
+  const rootFields: RootFields = getEmptyRootFields()
+  const namespaceFields: { [namespace: string]: RootFields } = {}
+  const subscriptionFields: { [fieldName: string]: Field } = {}
   Object.entries(data.operations)
     /**
      * Start with operations that return objects rather than arrays
@@ -232,20 +369,60 @@ async function translateOpenApiToGraphQL(
      * can use them
      */
     .sort(([op1Id, op1], [op2Id, op2]) => sortOperations(op1, op2))
-    .forEach(([operationId, operation]) => {
-      translationLog(`Process operation '${operationId}'...`)
+    .forEach(([operationKey, operation]) => {
+      translationLog(`Process operation '${operationKey}'...`)
+
+      const operationId = operation.operationId
+      const namespace = Oas3Tools.getNamespace(operation.oas, data)
+      if (typeof namespace === 'string' && !(namespace in namespaceFields)) {
+        namespaceFields[namespace] = getEmptyRootFields()
+      }
+      const {
+        queryFields,
+        mutationFields,
+        authQueryFields,
+        authMutationFields
+      } =
+        typeof namespace === 'string' ? namespaceFields[namespace] : rootFields
 
       let field = getFieldForOperation(
         operation,
-        options.baseUrl,
+        Oas3Tools.getResolverOption('baseUrl', operation.oas, data),
         data,
-        requestOptions
+        Oas3Tools.getResolverOption('requestOptions', operation.oas, data)
       )
+      const pollingInterval = getPollingInterval(operation, data)
+
+      /**
+       * Fields of queries are named after the type, without the namespace, or
+       * in the case of a union of the successful responses, after the type of
+       * the first response
+       */
+      const typeDef =
+        typeof operation.responseDefinition.statusCodeMapping === 'object'
+          ? operation.responseDefinition.statusCodeMapping[operation.statusCode]
+          : operation.responseDefinition
+      const typeFieldName = Oas3Tools.uncapitalize(
+        getTypeNameWithoutNamespace(typeDef.otName, namespace)
+      )
+
+      /**
+       * The name of the field may be set using the fieldNamer option or the
+       * x-graphql-field-name extension
+       */
+      const customFieldName =
+        Oas3Tools.getNameFromHook(
+          'fieldNamer',
+          operation.isMutation
+            ? [operation.fieldName, operationId]
+            : [operation.fieldName, typeFieldName, operationId],
+          operation.responseDefinition.schema,
+          operation,
+          data
+        ) || operation.fieldName
 
       if (!operation.isMutation) {
-        let fieldName = Oas3Tools.uncapitalize(
-          operation.responseDefinition.otName
-        )
+        let fieldName = customFieldName || typeFieldName
         if (operation.inViewer) {
           for (let securityRequirement of operation.securityRequirements) {
             if (typeof authQueryFields[securityRequirement] !== 'object') {
@@ -253,12 +430,13 @@ async function translateOpenApiToGraphQL(
             }
             // Avoid overwriting fields that return the same data:
             if (
-              fieldName in authQueryFields[securityRequirement] ||
-              /**
-               * If the option is set operationIdFieldNames, the fieldName is
-               * forced to be the operationId
-               */
-              operationIdFieldNames
+              typeof customFieldName !== 'string' &&
+              (fieldName in authQueryFields[securityRequirement] ||
+                /**
+                 * If the option is set operationIdFieldNames, the fieldName is
+                 * forced to be the operationId
+                 */
+                operationIdFieldNames)
             ) {
               fieldName = Oas3Tools.sanitizeAndStore(operationId, data.saneMap)
             }
@@ -282,12 +460,13 @@ async function translateOpenApiToGraphQL(
         } else {
           // Avoid overwriting fields that return the same data:
           if (
-            fieldName in queryFields ||
-            /**
-             * If the option is set operationIdFieldNames, the fieldName is
-             * forced to be the operationId
-             */
-            operationIdFieldNames
+            typeof customFieldName !== 'string' &&
+            (fieldName in queryFields ||
+              /**
+               * If the option is set operationIdFieldNames, the fieldName is
+               * forced to be the operationId
+               */
+              operationIdFieldNames)
           ) {
             fieldName = Oas3Tools.sanitizeAndStore(operationId, data.saneMap)
           }
@@ -305,6 +484,23 @@ async function translateOpenApiToGraphQL(
             })
           } else {
             queryFields[fieldName] = field
+
+            // The response of the operation may be subscribed to as well
+            if (typeof pollingInterval === 'number') {
+              addSubscriptionField(
+                subscriptionFields,
+                fieldName,
+                namespace,
+                () =>
+                  getPollingSubscriptionField(
+                    field,
+                    pollingInterval,
+                    data.options.pollingScope
+                  ),
+                `operation '${operation.operationString}'`,
+                data
+              )
+            }
           }
         }
       } else {
@@ -312,10 +508,9 @@ async function translateOpenApiToGraphQL(
          * Use operationId to avoid problems differentiating operations with the
          * same path but differnet methods
          */
-        let saneFieldName = Oas3Tools.sanitizeAndStore(
-          operationId,
-          data.saneMap
-        )
+        let saneFieldName =
+          customFieldName ||
+          Oas3Tools.sanitizeAndStore(operationId, data.saneMap)
         if (operation.inViewer) {
           for (let securityRequirement of operation.securityRequirements) {
             if (typeof authMutationFields[securityRequirement] !== 'object') {
@@ -357,49 +552,62 @@ async function translateOpenApiToGraphQL(
       }
     })
 
-  // Sorting fields
-  queryFields = sortObject(queryFields)
-  mutationFields = sortObject(mutationFields)
-  authQueryFields = sortObject(authQueryFields)
-  Object.keys(authQueryFields).forEach(key => {
-    authQueryFields[key] = sortObject(authQueryFields[key])
-  })
-  authMutationFields = sortObject(authMutationFields)
-  Object.keys(authMutationFields).forEach(key => {
-    authMutationFields[key] = sortObject(authMutationFields[key])
-  })
-
-  /**
-   * Count created queries / mutations
-   */
-  options.report.numQueriesCreated =
-    Object.keys(queryFields).length +
-    Object.keys(authQueryFields).reduce((sum, key) => {
-      return sum + Object.keys(authQueryFields[key]).length
-    }, 0)
+  // Add node field to fetch objects by their global ID
+  if (data.defs.some(def => typeof def.nodeOperation === 'object')) {
+    if ('node' in rootFields.queryFields) {
+      handleWarning({
+        typeKey: 'NODE_NAME_COLLISION',
+        message:
+          `Cannot create the 'node' field because the Query object ` +
+          `already contains a field with the same name.`,
+        data,
+        log: translationLog
+      })
+    } else {
+      rootFields.queryFields['node'] = getNodeField(data)
+    }
+  }
 
-  options.report.numMutationsCreated =
-    Object.keys(mutationFields).length +
-    Object.keys(authMutationFields).reduce((sum, key) => {
-      return sum + Object.keys(authMutationFields[key]).length
-    }, 0)
+  const { queryFields, mutationFields } = loadRootFields(rootFields, data)
 
-  /**
-   * Organize created queries / mutations into viewer objects.
-   */
-  if (Object.keys(authQueryFields).length > 0) {
-    Object.assign(
-      queryFields,
-      createAndLoadViewer(authQueryFields, data, false)
-    )
-  }
+  // Add a field for the queries and mutations of every namespace
+  Object.keys(namespaceFields)
+    .sort()
+    .forEach(namespace => {
+      const fields = loadRootFields(namespaceFields[namespace], data, namespace)
+      addNamespaceField(queryFields, fields.queryFields, namespace, false, data)
+      addNamespaceField(
+        mutationFields,
+        fields.mutationFields,
+        namespace,
+        true,
+        data
+      )
+    })
 
-  if (Object.keys(authMutationFields).length > 0) {
-    Object.assign(
-      mutationFields,
-      createAndLoadViewer(authMutationFields, data, true)
-    )
+  // Add a field to the Subscription object for every callback
+  if (createSubscriptionsFromCallbacks) {
+    const receiver = createCallbackReceiver(callbackReceiver)
+    Object.values(data.operations)
+      .filter(operation => Array.isArray(operation.subscriptionCallbacks))
+      .forEach(operation => {
+        const namespace = Oas3Tools.getNamespace(operation.oas, data)
+        operation.subscriptionCallbacks.forEach(callback => {
+          addSubscriptionField(
+            subscriptionFields,
+            Oas3Tools.sanitize(callback.name),
+            namespace,
+            () => getSubscriptionField(operation, callback, receiver, data),
+            `the callback '${callback.name}' of operation ` +
+              `'${operation.operationString}'`,
+            data
+          )
+        })
+      })
   }
+  data.options.report.numSubscriptionsCreated = Object.keys(
+    subscriptionFields
+  ).length
 
   /**
    * Build up the schema
@@ -420,6 +628,14 @@ async function translateOpenApiToGraphQL(
             description: 'The start of any mutation',
             fields: mutationFields
           })
+        : null,
+    subscription:
+      Object.keys(subscriptionFields).length > 0
+        ? new GraphQLObjectType({
+            name: 'Subscription',
+            description: 'The start of any subscription',
+            fields: sortObject(subscriptionFields)
+          })
         : null
   }
 
@@ -437,6 +653,29 @@ async function translateOpenApiToGraphQL(
     }
   })
 
+  /**
+   * Object types that implement interface types may only be reachable through
+   * the interface types, so they need to be passed to the schema explicitly.
+   */
+  const implementationTypes: GraphQLObjectType[] = []
+  data.defs
+    .filter(def => def.type === 'interface')
+    .forEach(def => {
+      getGraphQLType({ def, data })
+      def.memberDefinitions.forEach(memberDef => {
+        if (
+          memberDef.ot instanceof GraphQLObjectType &&
+          !implementationTypes.includes(memberDef.ot)
+        ) {
+          implementationTypes.push(memberDef.ot)
+        }
+      })
+    })
+
+  if (implementationTypes.length > 0) {
+    schemaConfig.types = implementationTypes
+  }
+
   const schema = new GraphQLSchema(schemaConfig)
 
   return { schema, report: options.report }
@@ -486,21 +725,207 @@ function getFieldForOperation(
     data
   })
 
-  return {
+  let field: Field = {
     type,
     resolve,
     args,
-    description: operation.description
+    description: operation.description,
+    deprecationReason: operation.deprecationReason
   }
+
+  // Expose paginated lists as connections
+  if (typeof operation.pagination === 'object') {
+    field = getConnectionField(field, operation, data)
+  }
+
+  // Wrap the response data in a payload type that holds the response headers
+  if (Array.isArray(operation.responseHeaders)) {
+    field = getResponsePayloadField(field, operation, data)
+  }
+
+  return field
 }
 
 /**
- * Helper function for sorting operations based on the return type and method
+ * Returns the given type name without the prefix of the given namespace
+ */
+function getTypeNameWithoutNamespace(
+  typeName: string,
+  namespace?: string
+): string {
+  const prefix =
+    typeof namespace === 'string' ? Oas3Tools.capitalize(namespace) : ''
+  return prefix.length > 0 &&
+    typeName.startsWith(prefix) &&
+    typeName.length > prefix.length
+    ? typeName.slice(prefix.length)
+    : typeName
+}
+
+/**
+ * Returns an empty set of root fields
+ */
+function getEmptyRootFields(): RootFields {
+  return {
+    queryFields: {},
+    mutationFields: {},
+    authQueryFields: {},
+    authMutationFields: {}
+  }
+}
+
+/**
+ * Sorts the given root fields, counts them, and organizes the fields of
+ * operations that require authentication into viewer objects
+ *
+ * Returns the resulting fields of the Query and Mutation objects, or of the
+ * given namespace.
+ */
+function loadRootFields(
+  rootFields: RootFields,
+  data: PreprocessingData,
+  namespace?: string
+): {
+  queryFields: { [fieldName: string]: Field }
+  mutationFields: { [fieldName: string]: Field }
+} {
+  // Sorting fields
+  const queryFields = sortObject(rootFields.queryFields)
+  const mutationFields = sortObject(rootFields.mutationFields)
+  const authQueryFields = sortObject(rootFields.authQueryFields)
+  Object.keys(authQueryFields).forEach(key => {
+    authQueryFields[key] = sortObject(authQueryFields[key])
+  })
+  const authMutationFields = sortObject(rootFields.authMutationFields)
+  Object.keys(authMutationFields).forEach(key => {
+    authMutationFields[key] = sortObject(authMutationFields[key])
+  })
+
+  /**
+   * Count created queries / mutations
+   */
+  data.options.report.numQueriesCreated +=
+    Object.keys(queryFields).length +
+    Object.keys(authQueryFields).reduce((sum, key) => {
+      return sum + Object.keys(authQueryFields[key]).length
+    }, 0)
+
+  data.options.report.numMutationsCreated +=
+    Object.keys(mutationFields).length +
+    Object.keys(authMutationFields).reduce((sum, key) => {
+      return sum + Object.keys(authMutationFields[key]).length
+    }, 0)
+
+  /**
+   * Organize created queries / mutations into viewer objects.
+   */
+  if (Object.keys(authQueryFields).length > 0) {
+    Object.assign(
+      queryFields,
+      createAndLoadViewer(authQueryFields, data, false, namespace)
+    )
+  }
+
+  if (Object.keys(authMutationFields).length > 0) {
+    Object.assign(
+      mutationFields,
+      createAndLoadViewer(authMutationFields, data, true, namespace)
+    )
+  }
+
+  return { queryFields, mutationFields }
+}
+
+/**
+ * Adds a field to the given fields of the Query or Mutation object that holds
+ * the given fields of the queries or mutations of the given namespace
+ */
+function addNamespaceField(
+  rootFields: { [fieldName: string]: Field },
+  fields: { [fieldName: string]: Field },
+  namespace: string,
+  isMutation: boolean,
+  data: PreprocessingData
+): void {
+  if (Object.keys(fields).length === 0) {
+    return
+  }
+
+  const rootTypeName = isMutation ? 'Mutation' : 'Query'
+  if (namespace in rootFields) {
+    handleWarning({
+      typeKey: 'NAMESPACE_NAME_COLLISION',
+      message:
+        `Cannot create the namespace '${namespace}' because the ` +
+        `${rootTypeName} object already contains a field with the same name.`,
+      data,
+      log: translationLog
+    })
+    return
+  }
+
+  const titles = data.oass
+    .filter(oas => Oas3Tools.getNamespace(oas, data) === namespace)
+    .map(oas => `'${oas.info.title}'`)
+    .join(', ')
+  const description = `The ${
+    isMutation ? 'mutations' : 'queries'
+  } of the OAS ${titles}`
+
+  rootFields[namespace] = {
+    type: new GraphQLObjectType({
+      name: `${Oas3Tools.capitalize(namespace)}${rootTypeName}`,
+      description,
+      fields
+    }),
+    // The operations do not depend on the parent object
+    resolve: () => {
+      return {}
+    },
+    description
+  }
+}
+
+/**
+ * Adds the field that is created by the given function to the given fields of
+ * the Subscription object, unless a field with the same name exists already
  *
- * You cannot define links for operations that return arrays in the OAS
+ * Subscriptions cannot be grouped by namespace, so the names of their fields
+ * are prefixed with the namespace instead.
+ */
+function addSubscriptionField(
+  subscriptionFields: { [fieldName: string]: Field },
+  name: string,
+  namespace: string | undefined,
+  createField: () => Field,
+  subscriptionSource: string,
+  data: PreprocessingData
+): void {
+  const fieldName =
+    typeof namespace === 'string'
+      ? `${namespace}${Oas3Tools.capitalize(name)}`
+      : name
+
+  if (fieldName in subscriptionFields) {
+    handleWarning({
+      typeKey: 'DUPLICATE_FIELD_NAME',
+      message:
+        `Multiple subscriptions have the same name ` +
+        `'${fieldName}'. GraphQL field names must be ` +
+        `unique so only one can be added to the Subscription ` +
+        `object. The subscription to ${subscriptionSource} will be ignored.`,
+      data,
+      log: translationLog
+    })
+  } else {
+    subscriptionFields[fieldName] = createField()
+  }
+}
+
+/**
+ * Helper function for sorting operations based on the return type and method
  *
- * These links are instead created by reusing the return type from other
- * operations
+ * Link fields reuse the return type from other operations
  *
  * Therefore, operations that return objects should be created first
  *
@@ -606,6 +1031,36 @@ function preliminaryChecks(
       })
     })
   }
+
+  // Check that the operations referenced in pollingSubscriptions exist
+  if (typeof options.pollingSubscriptions === 'object') {
+    Object.entries(options.pollingSubscriptions).forEach(
+      ([title, intervals]) => {
+        Object.keys(intervals)
+          .filter(operationKey => {
+            return !Object.values(data.operations).some(operation => {
+              return (
+                operation.oas.info.title === title &&
+                (operation.operationId === operationKey ||
+                  `${operation.method.toUpperCase()} ${operation.path}` ===
+                    operationKey)
+              )
+            })
+          })
+          .forEach(operationKey => {
+            handleWarning({
+              typeKey: 'INVALID_POLLING_SUBSCRIPTION',
+              message:
+                `A polling subscription references the operation ` +
+                `'${operationKey}' but no such operation exists in OAS ` +
+                `'${title}'.`,
+              data,
+              log: translationLog
+            })
+          })
+      }
+    )
+  }
 }
 
 export { sanitize } from './oas_3_tools'
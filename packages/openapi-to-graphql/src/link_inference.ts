@@ -0,0 +1,272 @@
+// Copyright IBM Corp. 2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to infer links between object types when the OAS does not define
+ * any link objects.
+ */
+
+// Type imports:
+import { Operation, DataDefinition } from './types/operation'
+import { LinkObject } from './types/oas3'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import debug from 'debug'
+
+const preprocessingLog = debug('preprocessing')
+
+/**
+ * Schema types of properties that can hold IDs
+ */
+const ID_TYPES = ['string', 'id', 'integer', 'number']
+
+type LinkTarget = {
+  // GET operation that fetches a single object by its ID
+  operation: Operation
+
+  // The path parameter of the operation that holds the ID
+  paramName: string
+}
+
+/**
+ * Adds links to the object types that contain the ID of an object that can be
+ * fetched using a GET operation, and lists them in the report
+ *
+ * I.e. if there is an operation GET /authors/{authorId} returning Author, the
+ * object types with an authorId property, or with an author property holding
+ * an object with an id property, link to that operation.
+ */
+export function addInferredLinksToDataDefs(data: PreprocessingData): void {
+  const targets = getLinkTargets(data)
+
+  getResponseDataDefs(data)
+    .filter(def => def.type === 'object')
+    .forEach(def => {
+      const properties = def.subDefinitions as {
+        [propertyKey: string]: DataDefinition
+      }
+
+      // Names of the fields and links of the object type
+      const fieldNames = Object.keys(properties).map(propertyKey => {
+        return typeof def.fieldNames === 'object' &&
+          propertyKey in def.fieldNames
+          ? def.fieldNames[propertyKey]
+          : data.options.simpleFieldNames
+          ? Oas3Tools.simpleSanitize(propertyKey)
+          : Oas3Tools.sanitize(propertyKey)
+      })
+      if (typeof def.links !== 'object') {
+        def.links = {}
+      }
+
+      Object.keys(properties).forEach(propertyKey => {
+        const propertyDef = properties[propertyKey]
+        const saneKey = Oas3Tools.sanitize(propertyKey).toLowerCase()
+        const pointer = propertyKey.replace(/~/g, '~0').replace(/\//g, '~1')
+
+        Object.keys(targets).forEach(baseName => {
+          const { operation, paramName } = targets[baseName]
+          if (operation.responseDefinition === def) {
+            return
+          }
+
+          let linkName: string
+          let expression: string
+          if (
+            saneKey === `${baseName}id` &&
+            ID_TYPES.includes(propertyDef.type)
+          ) {
+            // E.g. authorId
+            linkName = Oas3Tools.sanitize(propertyKey.replace(/[-_]?id$/i, ''))
+            expression = `$response.body#/${pointer}`
+          } else if (
+            saneKey === baseName &&
+            propertyDef.type === 'object' &&
+            propertyDef !== operation.responseDefinition
+          ) {
+            // E.g. author.id
+            const idKey = [paramName, 'id'].find(key => {
+              const subDefinitions = propertyDef.subDefinitions as {
+                [propertyKey: string]: DataDefinition
+              }
+              return (
+                key in subDefinitions &&
+                ID_TYPES.includes(subDefinitions[key].type)
+              )
+            })
+            if (typeof idKey !== 'string') {
+              return
+            }
+
+            linkName = `${Oas3Tools.sanitize(propertyKey)}Details`
+            expression = `$response.body#/${pointer}/${idKey}`
+          } else {
+            return
+          }
+
+          const reference = getOperationReference(operation, def, data)
+
+          // Preexisting fields and links take precedence
+          if (
+            fieldNames.includes(linkName) ||
+            linkName in def.links ||
+            Object.values(def.links).some(link => {
+              return (
+                link.operationId === reference.operationId &&
+                link.operationRef === reference.operationRef
+              )
+            })
+          ) {
+            return
+          }
+
+          const link: LinkObject = {
+            ...reference,
+            parameters: {
+              [paramName]: expression
+            },
+            description:
+              `Inferred link from the property '${propertyKey}' to ` +
+              `${operation.operationString}`
+          }
+
+          preprocessingLog(
+            `Infer link '${linkName}' of object type '${def.otName}' to ` +
+              `operation ${operation.operationString}`
+          )
+
+          def.links[linkName] = link
+          data.options.report.inferredLinks.push({
+            typeName: def.otName,
+            linkName,
+            link
+          })
+        })
+      })
+    })
+}
+
+/**
+ * Returns the GET operations that fetch a single object by an ID in the last
+ * path parameter, e.g. GET /authors/{authorId}, whose path parameter name and
+ * response type line up, identified by the lowercase sanitized type name
+ */
+function getLinkTargets(
+  data: PreprocessingData
+): { [baseName: string]: LinkTarget } {
+  const targets: { [baseName: string]: LinkTarget } = {}
+
+  Object.values(data.operations)
+    .filter(operation => {
+      return (
+        operation.method === 'get' &&
+        !operation.inViewer &&
+        typeof operation.responseDefinition === 'object' &&
+        operation.responseDefinition.type === 'object'
+      )
+    })
+    // Prefer operations with fewer path parameters
+    .sort((op1, op2) => {
+      return (
+        op1.parameters.filter(parameter => parameter.in === 'path').length -
+        op2.parameters.filter(parameter => parameter.in === 'path').length
+      )
+    })
+    .forEach(operation => {
+      // The ID must be the last path segment and the only required parameter
+      const match = /\/{([^}/]+)}$/.exec(operation.path)
+      if (
+        match === null ||
+        operation.parameters.some(parameter => {
+          return parameter.required && parameter.name !== match[1]
+        })
+      ) {
+        return
+      }
+
+      const paramName = match[1]
+      const def = operation.responseDefinition
+      const typeNames = [
+        def.otName,
+        Oas3Tools.sanitize(def.preferredName)
+      ].map(typeName => typeName.toLowerCase())
+
+      // E.g. authorId or id
+      const prefix = paramName.replace(/[-_]?id$/i, '')
+      const baseName =
+        prefix === '' ? typeNames[0] : Oas3Tools.sanitize(prefix).toLowerCase()
+
+      if (
+        prefix !== paramName &&
+        typeNames.includes(baseName) &&
+        !(baseName in targets)
+      ) {
+        targets[baseName] = { operation, paramName }
+      }
+    })
+
+  return targets
+}
+
+/**
+ * Returns the operationId of the operation if it belongs to the namespace of
+ * the data definition and an operationRef qualified by the title of its OAS
+ * otherwise
+ *
+ * OperationIds of links are resolved in the namespace of the linking OAS.
+ */
+function getOperationReference(
+  operation: Operation,
+  def: DataDefinition,
+  data: PreprocessingData
+): { operationId?: string; operationRef?: string } {
+  if (def.namespace === Oas3Tools.getNamespace(operation.oas, data)) {
+    return { operationId: operation.operationId }
+  }
+
+  const pointer = operation.path.replace(/~/g, '~0').replace(/\//g, '~1')
+  return {
+    operationRef: `${operation.oas.info.title}#/paths/${pointer}/${operation.method}`
+  }
+}
+
+/**
+ * Returns the data definitions of the response data, including the nested ones
+ */
+function getResponseDataDefs(data: PreprocessingData): DataDefinition[] {
+  const defs: DataDefinition[] = []
+
+  const addDataDef = (def: DataDefinition) => {
+    if (typeof def !== 'object' || def === null || defs.includes(def)) {
+      return
+    }
+    defs.push(def)
+
+    if (def.type === 'array' || def.type === 'map') {
+      addDataDef(def.subDefinitions as DataDefinition)
+    } else if (
+      typeof def.subDefinitions === 'object' &&
+      def.subDefinitions !== null
+    ) {
+      Object.values(def.subDefinitions).forEach(addDataDef)
+    }
+
+    if (Array.isArray(def.memberDefinitions)) {
+      def.memberDefinitions.forEach(addDataDef)
+    }
+    if (typeof def.discriminatorMapping === 'object') {
+      Object.values(def.discriminatorMapping).forEach(addDataDef)
+    }
+    addDataDef(def.additionalPropertiesDefinition)
+  }
+
+  Object.values(data.operations).forEach(operation => {
+    addDataDef(operation.responseDefinition)
+  })
+
+  return defs
+}
@@ -0,0 +1,267 @@
+// Copyright IBM Corp. 2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to create the Node interface and the node field for global object
+ * identification.
+ *
+ * See https://facebook.github.io/relay/graphql/objectidentification.htm
+ */
+
+// Type imports:
+import { DataDefinition } from './types/operation'
+import { Field, ResolveFunction } from './types/graphql'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import {
+  GraphQLInterfaceType,
+  GraphQLNonNull,
+  GraphQLID,
+  GraphQLObjectType,
+  GraphQLFieldConfig
+} from 'graphql'
+import * as Oas3Tools from './oas_3_tools'
+import { getResolver } from './resolver_builder'
+import { handleWarning } from './utils'
+import debug from 'debug'
+
+const translationLog = debug('translation')
+
+/**
+ * The object types of the objects returned by the node field
+ */
+const nodeTypeNames = new WeakMap<object, string>()
+
+/**
+ * Node interface as defined by the Relay specification
+ */
+export const GraphQLNode = new GraphQLInterfaceType({
+  name: 'Node',
+  description: 'An object with a globally unique ID.',
+  fields: {
+    id: {
+      type: new GraphQLNonNull(GraphQLID),
+      description: 'The globally unique ID of the object.'
+    }
+  },
+  resolveType: (source, context, info) => {
+    return info.schema.getType(nodeTypeNames.get(source)) as GraphQLObjectType
+  }
+})
+
+/**
+ * Finds, for every object type, a GET operation that fetches a single object by
+ * its ID in a path parameter, e.g. GET /users/{userId}, and marks the object
+ * type as implementing the Node interface
+ *
+ * The ID is taken from the property with the same name as the path parameter
+ * or, if there is none, from the id property.
+ */
+export function addNodeOperationsToDataDefs(data: PreprocessingData): void {
+  if (data.usedOTNames.includes(GraphQLNode.name)) {
+    handleWarning({
+      typeKey: 'NODE_NAME_COLLISION',
+      message:
+        `Cannot create the '${GraphQLNode.name}' interface because there ` +
+        `is a preexisting type with the same name.`,
+      data,
+      log: translationLog
+    })
+    return
+  }
+
+  Object.values(data.operations)
+    .filter(operation => {
+      return (
+        operation.method === 'get' &&
+        // Node fields cannot provide credentials for authentication viewers
+        !operation.inViewer &&
+        typeof operation.responseDefinition === 'object' &&
+        operation.responseDefinition.type === 'object'
+      )
+    })
+    // Prefer operations with fewer path parameters
+    .sort((op1, op2) => {
+      return (
+        op1.parameters.filter(parameter => parameter.in === 'path').length -
+        op2.parameters.filter(parameter => parameter.in === 'path').length
+      )
+    })
+    .forEach(operation => {
+      const def = operation.responseDefinition
+      if (typeof def.nodeOperation === 'object') {
+        return
+      }
+
+      // The ID must be the last path segment and the only required parameter
+      const match = /\/{([^}/]+)}$/.exec(operation.path)
+      if (
+        match === null ||
+        operation.parameters.some(parameter => {
+          return parameter.required && parameter.name !== match[1]
+        })
+      ) {
+        return
+      }
+
+      const paramName = match[1]
+      const properties = def.subDefinitions as {
+        [fieldName: string]: DataDefinition
+      }
+      const idProperty = [paramName, 'id'].find(propertyKey => {
+        return propertyKey in properties
+      })
+
+      /**
+       * The global ID replaces the id property, which may be incompatible with
+       * the id fields of other interfaces
+       */
+      if (
+        'id' in properties &&
+        Array.isArray(def.interfaceDefinitions) &&
+        def.interfaceDefinitions.length > 0
+      ) {
+        return
+      }
+
+      if (typeof idProperty === 'string') {
+        translationLog(
+          `Object type '${def.otName}' is fetched by operation ` +
+            `${operation.operationString} and implements the ` +
+            `'${GraphQLNode.name}' interface`
+        )
+
+        def.nodeOperation = operation
+        def.nodeIdParam = paramName
+        def.nodeIdProperty = idProperty
+      }
+    })
+}
+
+/**
+ * Returns the field that resolves the global ID of an object type
+ * implementing the Node interface
+ */
+export function getNodeIdField(
+  def: DataDefinition,
+  data: PreprocessingData
+): GraphQLFieldConfig<any, any> {
+  // Properties are sanitized
+  const saneIdProperty = data.options.simpleFieldNames
+    ? Oas3Tools.simpleSanitize(def.nodeIdProperty)
+    : Oas3Tools.sanitize(def.nodeIdProperty)
+
+  return {
+    type: new GraphQLNonNull(GraphQLID),
+    description: 'The globally unique ID of the object.',
+    resolve: source => {
+      const id = source[saneIdProperty]
+      if (typeof id === 'undefined' || id === null) {
+        throw new Error(
+          `Cannot create a global ID for an object of type '${def.otName}' ` +
+            `because it does not have the property '${def.nodeIdProperty}'`
+        )
+      }
+
+      return toGlobalId(def.otName, String(id))
+    }
+  }
+}
+
+/**
+ * Returns the node field, which fetches any object implementing the Node
+ * interface by its global ID using the operation of the object type
+ */
+export function getNodeField(data: PreprocessingData): Field {
+  const nodeDefs = new Map<string, DataDefinition>()
+  const resolvers = new Map<string, ResolveFunction>()
+  data.defs.forEach(def => {
+    if (typeof def.nodeOperation === 'object') {
+      nodeDefs.set(def.otName, def)
+      resolvers.set(
+        def.otName,
+        getResolver({
+          operation: def.nodeOperation,
+          data,
+          baseUrl: Oas3Tools.getResolverOption(
+            'baseUrl',
+            def.nodeOperation.oas,
+            data
+          ),
+          requestOptions: Oas3Tools.getResolverOption(
+            'requestOptions',
+            def.nodeOperation.oas,
+            data
+          )
+        })
+      )
+    }
+  })
+
+  return {
+    type: GraphQLNode,
+    description:
+      'Fetches an object given its globally unique ID.\n\n' +
+      'The object is fetched using one of the following operations:\n\n' +
+      Array.from(nodeDefs.keys())
+        .sort()
+        .map(typeName => {
+          return `- ${typeName}: ${
+            nodeDefs.get(typeName).nodeOperation.operationString
+          }`
+        })
+        .join('\n'),
+    args: {
+      id: {
+        type: new GraphQLNonNull(GraphQLID),
+        description: 'The globally unique ID of the object.'
+      }
+    },
+    resolve: (root, args, ctx, info) => {
+      const { typeName, id } = fromGlobalId(args['id'])
+      if (!nodeDefs.has(typeName)) {
+        throw new Error(`Invalid global ID '${args['id']}'`)
+      }
+
+      // Fetch the object using the operation of its type
+      const def = nodeDefs.get(typeName)
+      const resolve = resolvers.get(typeName)
+      const operationArgs = {
+        [Oas3Tools.sanitize(def.nodeIdParam)]: id
+      }
+
+      return Promise.resolve(resolve(root, operationArgs, ctx, info)).then(
+        node => {
+          if (typeof node === 'object' && node !== null) {
+            nodeTypeNames.set(node, typeName)
+          }
+          return node
+        }
+      )
+    }
+  }
+}
+
+/**
+ * Returns an opaque global ID for the object of the given type and with the
+ * given ID
+ */
+function toGlobalId(typeName: string, id: string): string {
+  return Buffer.from(`${typeName}:${id}`).toString('base64')
+}
+
+/**
+ * Returns the type name and ID encoded in the given global ID
+ */
+function fromGlobalId(globalId: string): { typeName: string; id: string } {
+  const decodedId = Buffer.from(globalId, 'base64').toString()
+  const delimiterIndex = decodedId.indexOf(':')
+
+  return {
+    typeName: decodedId.slice(0, Math.max(delimiterIndex, 0)),
+    id: decodedId.slice(delimiterIndex + 1)
+  }
+}
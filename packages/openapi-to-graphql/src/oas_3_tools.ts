@@ -9,7 +9,7 @@
 
 // Type imports:
 import { Oas2 } from './types/oas2'
-import { Operation } from './types/operation'
+import { Operation, DataDefinition } from './types/operation'
 import {
   Oas3,
   ServerObject,
@@ -31,13 +31,17 @@ import {
   PreprocessingData,
   ProcessedSecurityScheme
 } from './types/preprocessing_data'
-import { InternalOptions } from './types/options'
+import { InternalOptions, NamerParams } from './types/options'
+import * as NodeRequest from 'request'
 
 // Imports:
+import { DEFAULT_DEPRECATION_REASON } from 'graphql'
 import * as Swagger2OpenAPI from 'swagger2openapi'
 import * as OASValidator from 'oas-validator'
+import * as deepEqual from 'deep-equal'
 import debug from 'debug'
 import { handleWarning } from './utils'
+import { getFormatScalar } from './scalars'
 
 // Type definitions & exports:
 export type SchemaNames = {
@@ -45,6 +49,9 @@ export type SchemaNames = {
   fromSchema?: string
   fromRef?: string
 
+  // Name set using the x-graphql-type-name extension, which takes precedence
+  fromExtension?: string
+
   /**
    * Used when the preferred name is known, i.e. a new data def does not need to
    * be created
@@ -52,6 +59,13 @@ export type SchemaNames = {
   preferred?: string
 }
 
+// The operation that names are created for, which is passed to naming hooks
+export type NamingContext = {
+  path: string
+  method: string
+  oas: Oas3
+}
+
 export type RequestSchemaAndNames = {
   payloadContentType?: string
   payloadSchema?: SchemaObject | ReferenceObject
@@ -64,6 +78,9 @@ export type ResponseSchemaAndNames = {
   responseSchema?: SchemaObject | ReferenceObject
   responseSchemaNames?: SchemaNames
   statusCode?: string
+
+  // The status codes of the members of a response union
+  memberStatusCodes?: string[][]
 }
 
 const httpLog = debug('http')
@@ -82,6 +99,7 @@ export const OAS_OPERATIONS = [
   'head'
 ]
 export const SUCCESS_STATUS_RX = /2[0-9]{2}|2XX/
+const ERROR_STATUS_RX = /[45][0-9]{2}|[45]XX/
 
 /**
  * Resolves on a validated OAS 3 for the given spec (OAS 2 or OAS 3), or rejects
@@ -254,6 +272,61 @@ export function getBaseUrl(operation: Operation): string {
   throw new Error('Cannot find a server to call')
 }
 
+/**
+ * Returns the base URL of the given server object, e.g. the server of a link
+ */
+export function getServerUrl(server: ServerObject): string {
+  return buildUrl(server).replace(/\/$/, '')
+}
+
+/**
+ * Returns the value of the given resolver option that applies to the given OAS
+ *
+ * The baseUrl option may be set by the title of the OAS. The values of the
+ * headers, qs, and requestOptions options that are set by the title of the OAS
+ * take precedence over their other values, which apply to every OAS.
+ */
+export function getResolverOption(
+  name: 'baseUrl',
+  oas: Oas3,
+  data: PreprocessingData
+): string | undefined
+export function getResolverOption(
+  name: 'headers' | 'qs',
+  oas: Oas3,
+  data: PreprocessingData
+): { [key: string]: string } | undefined
+export function getResolverOption(
+  name: 'requestOptions',
+  oas: Oas3,
+  data: PreprocessingData
+): NodeRequest.OptionsWithUrl | undefined
+export function getResolverOption(
+  name: 'baseUrl' | 'headers' | 'qs' | 'requestOptions',
+  oas: Oas3,
+  data: PreprocessingData
+): any {
+  const option = data.options[name]
+  if (typeof option !== 'object' || option === null) {
+    return option
+  } else if (name === 'baseUrl') {
+    return option[oas.info.title]
+  }
+
+  const titles = data.oass.map(oas => oas.info.title)
+  const value = {}
+  Object.keys(option)
+    .filter(key => !titles.includes(key))
+    .forEach(key => {
+      value[key] = option[key]
+    })
+  if (typeof option[oas.info.title] === 'object') {
+    Object.assign(value, option[oas.info.title])
+  }
+
+  return value
+}
+
 /**
  * Returns the default URL for a given OAS server object.
  */
@@ -418,6 +491,14 @@ export function getSchemaType(
   schema: SchemaObject,
   data: PreprocessingData
 ): string | null {
+  // CASE: union - object properties take precedence over schema composition
+  if (
+    (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) &&
+    typeof schema.properties === 'undefined'
+  ) {
+    return 'union'
+  }
+
   // CASE: object
   if (
     schema.type === 'object' ||
@@ -426,7 +507,28 @@ export function getSchemaType(
   ) {
     // CASE: arbitrary JSON
     if (typeof schema.additionalProperties === 'object') {
+      // CASE: map - typed key/value entries, unless the values are arbitrary
+      if (
+        data.options.typedMaps &&
+        ('$ref' in schema.additionalProperties ||
+          getSchemaType(schema.additionalProperties, data) !== null)
+      ) {
+        // Objects with fixed properties gain an additional field for the map
+        return typeof schema.properties === 'object' &&
+          Object.keys(schema.properties).length > 0
+          ? 'object'
+          : 'map'
+      }
+
       return 'json'
+
+      // CASE: interface - base schema of a discriminated inheritance hierarchy
+    } else if (
+      data.options.discriminatorInterfaces &&
+      typeof schema.discriminator === 'object' &&
+      typeof schema.discriminator.propertyName === 'string'
+    ) {
+      return 'interface'
     } else {
       return 'object'
     }
@@ -446,6 +548,11 @@ export function getSchemaType(
   if (typeof schema.type === 'string') {
     // Special edge cases involving the schema format
     if (typeof schema.format === 'string') {
+      // CASE: custom scalar for the format
+      if (typeof getFormatScalar(schema, data) !== 'undefined') {
+        return 'format'
+      }
+
       /**
        * CASE: 64 bit int - return number instead of integer, leading to use of
        * GraphQLFloat, which can support 64 bits:
@@ -682,10 +789,43 @@ export function getResponseSchemaAndNames(
   options: InternalOptions
 ): ResponseSchemaAndNames {
   const endpoint: OperationObject = oas.paths[path][method]
+
+  // The responses of all successful status codes may be combined
+  if (options.responseUnions && typeof endpoint.responses === 'object') {
+    const responseUnionSchemaAndNames = getResponseUnionSchemaAndNames(
+      path,
+      method,
+      oas,
+      data,
+      Object.keys(endpoint.responses).filter(code => {
+        return SUCCESS_STATUS_RX.test(code)
+      }),
+      options.errorUnions
+    )
+    if (typeof responseUnionSchemaAndNames === 'object') {
+      return responseUnionSchemaAndNames
+    }
+  }
+
   const statusCode = getResponseStatusCode(path, method, oas, data)
   if (!statusCode) {
     return {}
   }
+
+  // The responses of the documented error status codes may be added
+  if (options.errorUnions) {
+    const responseUnionSchemaAndNames = getResponseUnionSchemaAndNames(
+      path,
+      method,
+      oas,
+      data,
+      [statusCode],
+      true
+    )
+    if (typeof responseUnionSchemaAndNames === 'object') {
+      return responseUnionSchemaAndNames
+    }
+  }
   let { responseContentType, responseObject } = getResponseObject(
     endpoint,
     statusCode,
@@ -759,6 +899,131 @@ export function getResponseSchemaAndNames(
   }
 }
 
+/**
+ * Returns a schema that combines the response schemas of the given successful
+ * status codes of the endpoint at the given path and method into a union, and
+ * optionally the response schemas of the documented error status codes (4XX,
+ * 5XX, and default), if there are multiple different JSON object schemas, and
+ * a dictionary of names
+ *
+ * Returns undefined otherwise, in which case only the response of the first
+ * successful status code is used.
+ */
+function getResponseUnionSchemaAndNames(
+  path: string,
+  method: string,
+  oas: Oas3,
+  data: PreprocessingData,
+  successCodes: string[],
+  includeErrorCodes: boolean
+): ResponseSchemaAndNames | undefined {
+  const endpoint: OperationObject = oas.paths[path][method]
+  if (typeof endpoint.responses !== 'object') {
+    return
+  }
+
+  const errorCodes = includeErrorCodes
+    ? Object.keys(endpoint.responses).filter(code => {
+        return ERROR_STATUS_RX.test(code) || code === 'default'
+      })
+    : []
+  const memberSchemas: (SchemaObject | ReferenceObject)[] = []
+  const memberStatusCodes: string[][] = []
+  for (let statusCode of [...successCodes, ...errorCodes]) {
+    const { responseContentType, responseObject } = getResponseObject(
+      endpoint,
+      statusCode,
+      oas
+    )
+
+    /**
+     * Only object schemas can be members of a union type
+     *
+     * Error responses that cannot be members are still thrown as errors.
+     */
+    const isErrorCode = errorCodes.includes(statusCode)
+    if (responseContentType !== 'application/json') {
+      if (isErrorCode) {
+        continue
+      }
+      return
+    }
+
+    const responseSchema = responseObject.content[responseContentType].schema
+    const schema =
+      '$ref' in responseSchema
+        ? resolveRef(responseSchema['$ref'], oas)
+        : responseSchema
+    if (getSchemaType(schema, data) !== 'object') {
+      if (isErrorCode) {
+        continue
+      }
+      return
+    }
+
+    // Status codes with the same schema share a member
+    const index = memberSchemas.findIndex(memberSchema => {
+      return deepEqual(memberSchema, responseSchema)
+    })
+    if (index === -1) {
+      memberSchemas.push(responseSchema)
+      memberStatusCodes.push([statusCode])
+    } else {
+      memberStatusCodes[index].push(statusCode)
+    }
+  }
+
+  if (memberSchemas.length < 2) {
+    return
+  }
+
+  // The union is named after the response of the first status code
+  const firstSchema = memberSchemas[0]
+  const firstName =
+    '$ref' in firstSchema
+      ? firstSchema['$ref'].split('/').pop()
+      : typeof firstSchema.title === 'string'
+      ? firstSchema.title
+      : inferResourceNameFromPath(path)
+
+  return {
+    responseContentType: 'application/json',
+    responseSchema: {
+      description:
+        `The response of the operation, depending on its HTTP status ` +
+        `code (${[].concat(...memberStatusCodes).join(', ')})`,
+      oneOf: memberSchemas
+    },
+    responseSchemaNames: {
+      fromPath: `${firstName} response`
+    },
+    statusCode: successCodes[0],
+    memberStatusCodes
+  }
+}
+
+/**
+ * Returns the data definition of the member of the union type that the given
+ * HTTP status code maps to, considering ranges of status codes (e.g. 4XX) and,
+ * for error status codes, the default response
+ */
+export function getStatusCodeMemberDef(
+  def: DataDefinition,
+  statusCode: string
+): DataDefinition | undefined {
+  if (typeof def.statusCodeMapping !== 'object') {
+    return
+  }
+
+  return (
+    def.statusCodeMapping[statusCode] ||
+    def.statusCodeMapping[`${statusCode.charAt(0)}XX`] ||
+    (SUCCESS_STATUS_RX.test(statusCode)
+      ? undefined
+      : def.statusCodeMapping['default'])
+  )
+}
+
 /**
  * Returns the success status code for the operation at the given path and
  * method (or null).
@@ -802,17 +1067,18 @@ export function getResponseStatusCode(
 }
 
 /**
- * Returns an hash containing the links defined in the given endpoint.
+ * Returns an hash containing the links defined in the given endpoint, i.e. in
+ * the response of the given status code or of the first successful one.
  */
 export function getEndpointLinks(
   path: string,
   method: string,
   oas: Oas3,
-  data: PreprocessingData
+  data: PreprocessingData,
+  statusCode: string | void = getResponseStatusCode(path, method, oas, data)
 ): { [key: string]: LinkObject } {
   const links = {}
   const endpoint: OperationObject = oas.paths[path][method]
-  const statusCode = getResponseStatusCode(path, method, oas, data)
   if (!statusCode) {
     return links
   }
@@ -946,6 +1212,123 @@ export function getServers(
   return servers
 }
 
+/**
+ * Returns the reason why the given operation, parameter, or schema is
+ * deprecated, or undefined if it is not deprecated
+ *
+ * The reason can be provided using the x-deprecation-reason extension.
+ */
+export function getDeprecationReason(
+  obj: OperationObject | ParameterObject | SchemaObject
+): string | undefined {
+  if (obj.deprecated === true) {
+    return typeof obj['x-deprecation-reason'] === 'string'
+      ? obj['x-deprecation-reason']
+      : DEFAULT_DEPRECATION_REASON
+  }
+}
+
+/**
+ * Checks whether the given value is a valid GraphQL name
+ */
+export function isGraphQLName(name: any): boolean {
+  return typeof name === 'string' && /^[_a-zA-Z][_a-zA-Z0-9]*$/.test(name)
+}
+
+/**
+ * Returns the GraphQL name that is set using the given extension, e.g.
+ * x-graphql-type-name, in the given object, or undefined if there is none
+ *
+ * Names are used as they are, i.e. they are not sanitized, so invalid names are
+ * ignored.
+ */
+export function getNameExtension(
+  obj: object,
+  extension: string,
+  data: PreprocessingData
+): string | undefined {
+  const name = obj[extension]
+
+  if (typeof name === 'undefined') {
+    return undefined
+  } else if (!isGraphQLName(name)) {
+    handleWarning({
+      typeKey: 'INVALID_GRAPHQL_EXTENSION',
+      message:
+        `The value '${JSON.stringify(name)}' of the extension ` +
+        `'${extension}' is not a valid GraphQL name.`,
+      data,
+      log: preprocessingLog
+    })
+    return undefined
+  }
+
+  return name
+}
+
+/**
+ * Returns the name that the given naming hook, e.g. the typeNamer option,
+ * returns, or undefined if the hook is not set or does not return a name
+ *
+ * Names are used as they are, so invalid names are ignored.
+ */
+export function getNameFromHook(
+  hook: 'typeNamer' | 'fieldNamer' | 'argNamer' | 'enumValueNamer',
+  candidateNames: string[],
+  schema: SchemaObject | ReferenceObject | undefined,
+  namingContext: NamingContext | undefined,
+  data: PreprocessingData
+): string | undefined {
+  const namer = data.options[hook]
+  if (typeof namer !== 'function') {
+    return undefined
+  }
+
+  const params: NamerParams = {
+    candidateNames: candidateNames.filter(name => typeof name === 'string'),
+    schema
+  }
+  if (typeof namingContext === 'object') {
+    params.operation =
+      namingContext.oas.paths[namingContext.path][namingContext.method]
+    params.path = namingContext.path
+    params.method = namingContext.method
+    params.oasTitle = namingContext.oas.info.title
+  }
+
+  const name = namer(params)
+  if (typeof name === 'undefined' || name === null) {
+    return undefined
+  } else if (!isGraphQLName(name)) {
+    handleWarning({
+      typeKey: 'INVALID_NAMER_RESULT',
+      message:
+        `The name '${JSON.stringify(name)}' returned by the ${hook} option ` +
+        `for '${params.candidateNames[0]}' is not a valid GraphQL name.`,
+      data,
+      log: preprocessingLog
+    })
+    return undefined
+  }
+
+  return name
+}
+
+/**
+ * Returns the name of the argument for the given parameter of the given
+ * operation, which is either set using the argNamer option or the
+ * x-graphql-arg-name extension, or the sanitized parameter name
+ */
+export function getArgName(
+  parameter: ParameterObject,
+  operation: Operation
+): string {
+  return typeof operation.argNames === 'object' &&
+    parameter.name in operation.argNames
+    ? operation.argNames[parameter.name]
+    : sanitize(parameter.name)
+}
+
 /**
  * Returns a map of Security Scheme definitions, identified by keys. Resolves
  * possible references.
@@ -1186,3 +1569,40 @@ export function uncapitalize(str: string): string {
 export function generateOperationId(method: string, path: string): string {
   return sanitize(`${method}:${path}`)
 }
+
+/**
+ * Returns the namespace of the given OAS if the namespaces option is set, i.e.
+ * the name of the fields of the Query and Mutation objects that hold its
+ * operations, or undefined if its operations are not namespaced
+ */
+export function getNamespace(
+  oas: Oas3,
+  data: PreprocessingData
+): string | undefined {
+  const namespaces = data.options.namespaces
+  if (namespaces === true) {
+    return sanitize(oas.info.title)
+  } else if (
+    typeof namespaces === 'object' &&
+    typeof namespaces[oas.info.title] === 'string'
+  ) {
+    return namespaces[oas.info.title]
+  }
+}
+
+/**
+ * Returns the key of the operation with the given operationId of the given OAS
+ * in the operations of the preprocessing data
+ *
+ * OperationIds only need to be unique within a namespace.
+ */
+export function getOperationKey(
+  operationId: string,
+  oas: Oas3,
+  data: PreprocessingData
+): string {
+  const namespace = getNamespace(oas, data)
+  return typeof namespace === 'string'
+    ? `${namespace}/${operationId}`
+    : operationId
+}
@@ -0,0 +1,677 @@
+// Copyright IBM Corp. 2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to expose paginated list operations as Relay connections.
+ *
+ * See https://facebook.github.io/relay/graphql/connections.htm
+ */
+
+// Type imports:
+import { OperationObject } from './types/oas3'
+import { Operation, DataDefinition } from './types/operation'
+import { PaginationConfig } from './types/options'
+import { Args, Field, ResolveFunction } from './types/graphql'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import {
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLBoolean,
+  GraphQLOutputType
+} from 'graphql'
+import * as Oas3Tools from './oas_3_tools'
+import { getResponseHeaders } from './resolver_builder'
+import { handleWarning } from './utils'
+import debug from 'debug'
+
+const translationLog = debug('translation')
+
+/**
+ * Names of query parameters that are used to detect the kind of pagination of
+ * an operation, in order of preference
+ */
+const OFFSET_PARAMS = ['offset', 'skip', 'start']
+const LIMIT_PARAMS = ['limit', 'count', 'max', 'pageSize', 'page_size']
+const PAGE_PARAMS = ['page', 'pageNumber', 'page_number']
+const SIZE_PARAMS = [
+  'size',
+  'pageSize',
+  'page_size',
+  'perPage',
+  'per_page',
+  'limit'
+]
+const CURSOR_PARAMS = ['cursor', 'after', 'startingAfter', 'starting_after']
+
+/**
+ * Names of the arguments of connection fields
+ */
+const CONNECTION_ARGS = ['first', 'after', 'last', 'before']
+
+/**
+ * Factor by which a page may exceed the requested number of items, so that the
+ * items can be fetched with a single request
+ */
+const MAX_PAGE_SIZE_FACTOR = 2
+
+type Window = {
+  // Index of the first item to return
+  start: number
+
+  // Index of the item after the last item to return, if the window is bounded
+  end?: number
+}
+
+/**
+ * Page info as defined by the Relay specification
+ */
+export const GraphQLPageInfo = new GraphQLObjectType({
+  name: 'PageInfo',
+  description: 'Information about the current page of a connection.',
+  fields: {
+    hasNextPage: {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      description: 'Whether more items exist after the current page.'
+    },
+    hasPreviousPage: {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      description: 'Whether more items exist before the current page.'
+    },
+    startCursor: {
+      type: GraphQLString,
+      description: 'The cursor of the first item of the current page.'
+    },
+    endCursor: {
+      type: GraphQLString,
+      description: 'The cursor of the last item of the current page.'
+    }
+  }
+})
+
+/**
+ * Returns the pagination configuration for the given operation, or undefined
+ * if the operation is not paginated
+ *
+ * The configuration is taken from the pagination option, the
+ * x-graphql-pagination extension of the operation, or is inferred from the
+ * names of the query parameters, in this order.
+ */
+export function getPaginationConfig(
+  operation: Operation,
+  operationObject: OperationObject,
+  data: PreprocessingData
+): PaginationConfig | undefined {
+  // Only list-returning GET operations can be paginated
+  if (
+    operation.method !== 'get' ||
+    typeof operation.responseDefinition !== 'object' ||
+    operation.responseDefinition.schema.type !== 'array'
+  ) {
+    return
+  }
+
+  let config: PaginationConfig | false
+  if (
+    typeof data.options.pagination === 'object' &&
+    operation.operationId in data.options.pagination
+  ) {
+    config = data.options.pagination[operation.operationId]
+  } else if ('x-graphql-pagination' in operationObject) {
+    config = operationObject['x-graphql-pagination']
+  } else {
+    config = inferPaginationConfig(operation)
+  }
+
+  if (typeof config !== 'object' || config === null) {
+    return
+  }
+
+  // Ensure that the configured parameters exist
+  const paramNames = getPaginationParams(config)
+  const missingParamName = paramNames.find(paramName => {
+    return !operation.parameters.some(parameter => {
+      return parameter.name === paramName && parameter.in === 'query'
+    })
+  })
+  if (
+    !['offset', 'page', 'cursor'].includes(config.type) ||
+    paramNames.length === 0 ||
+    typeof missingParamName === 'string'
+  ) {
+    handleWarning({
+      typeKey: 'INVALID_PAGINATION',
+      message:
+        `The pagination configuration '${JSON.stringify(config)}' of ` +
+        `operation ${operation.operationString} is invalid` +
+        (typeof missingParamName === 'string'
+          ? ` because the operation has no query parameter ` +
+            `'${missingParamName}'.`
+          : `.`),
+      data,
+      log: translationLog
+    })
+    return
+  }
+
+  return config
+}
+
+/**
+ * Turns the field of a paginated list operation into a connection field
+ *
+ * The pagination parameters are replaced by the arguments first and after (and
+ * last and before, unless the operation uses cursor-based pagination), which
+ * are mapped back onto the parameters when making the request.
+ */
+export function getConnectionField(
+  field: Field,
+  operation: Operation,
+  data: PreprocessingData
+): Field {
+  const config = operation.pagination
+  const paramNames = getPaginationParams(config)
+  const itemDef = operation.responseDefinition.subDefinitions as DataDefinition
+
+  // Remove the pagination parameters from the arguments
+  const paramArgNames = operation.parameters
+    .filter(parameter => paramNames.includes(parameter.name))
+    .map(parameter => Oas3Tools.getArgName(parameter, operation))
+
+  const args: Args = {}
+  for (let argName in field.args) {
+    if (!paramArgNames.includes(argName)) {
+      args[argName] = field.args[argName]
+    }
+  }
+
+  // The connection arguments must not replace other arguments
+  const collidingArgName = CONNECTION_ARGS.find(argName => argName in args)
+  if (typeof collidingArgName === 'string') {
+    handleWarning({
+      typeKey: 'PAGINATION_NAME_COLLISION',
+      message:
+        `Cannot create a connection for operation ` +
+        `${operation.operationString} because it has a preexisting ` +
+        `argument '${collidingArgName}'.`,
+      data,
+      log: translationLog
+    })
+    return field
+  }
+
+  const connectionType = createOrReuseConnection(
+    itemDef,
+    (field.type as GraphQLList<GraphQLOutputType>).ofType,
+    operation,
+    data
+  )
+  if (typeof connectionType === 'undefined') {
+    return field
+  }
+
+  args['first'] = {
+    type: GraphQLInt,
+    description: 'Returns the first `n` items after the `after` cursor.'
+  }
+  args['after'] = {
+    type: GraphQLString,
+    description: 'Returns the items after the given cursor.'
+  }
+
+  // Cursors can only be used to paginate forward
+  if (config.type !== 'cursor') {
+    args['last'] = {
+      type: GraphQLInt,
+      description: 'Returns the last `n` items before the `before` cursor.'
+    }
+    args['before'] = {
+      type: GraphQLString,
+      description: 'Returns the items before the given cursor.'
+    }
+  }
+
+  return {
+    ...field,
+    type: connectionType,
+    args,
+    resolve: getConnectionResolver(field.resolve, config, operation, data)
+  }
+}
+
+/**
+ * Infers the pagination configuration of an operation from the names of its
+ * query parameters
+ */
+function inferPaginationConfig(
+  operation: Operation
+): PaginationConfig | undefined {
+  const queryParamNames = operation.parameters
+    .filter(parameter => parameter.in === 'query')
+    .map(parameter => parameter.name)
+
+  const findParam = (candidates: string[], exclude?: string) => {
+    return candidates.find(candidate => {
+      return candidate !== exclude && queryParamNames.includes(candidate)
+    })
+  }
+
+  const offsetParam = findParam(OFFSET_PARAMS)
+  const limitParam = findParam(LIMIT_PARAMS)
+  if (offsetParam && limitParam) {
+    return { type: 'offset', offsetParam, limitParam }
+  }
+
+  const pageParam = findParam(PAGE_PARAMS)
+  const sizeParam = findParam(SIZE_PARAMS, pageParam)
+  if (pageParam && sizeParam) {
+    return { type: 'page', pageParam, sizeParam }
+  }
+
+  // Cursors are taken from the id property of the items
+  const cursorParam = findParam(CURSOR_PARAMS)
+  const itemDef = operation.responseDefinition.subDefinitions as DataDefinition
+  if (
+    cursorParam &&
+    limitParam &&
+    typeof itemDef.schema.properties === 'object' &&
+    'id' in itemDef.schema.properties
+  ) {
+    return { type: 'cursor', cursorParam, limitParam, cursorProperty: 'id' }
+  }
+}
+
+/**
+ * Returns the names of the query parameters used by the given pagination
+ * configuration
+ */
+function getPaginationParams(config: PaginationConfig): string[] {
+  let paramNames: string[]
+  switch (config.type) {
+    case 'offset':
+      paramNames = [config.offsetParam, config.limitParam]
+      break
+
+    case 'page':
+      paramNames = [config.pageParam, config.sizeParam]
+      break
+
+    case 'cursor':
+      paramNames = [config.cursorParam, config.limitParam]
+      break
+
+    default:
+      paramNames = []
+  }
+
+  return paramNames.filter(paramName => typeof paramName === 'string')
+}
+
+/**
+ * Creates (or reuses) the connection type for the given item type, including
+ * the edge type
+ */
+function createOrReuseConnection(
+  itemDef: DataDefinition,
+  itemType: GraphQLOutputType,
+  operation: Operation,
+  data: PreprocessingData
+): GraphQLObjectType | undefined {
+  if (typeof itemDef.connectionOt === 'object') {
+    translationLog(`Reuse connection type '${itemDef.connectionOt.name}'`)
+    return itemDef.connectionOt
+  }
+
+  const connectionName = `${itemDef.otName}Connection`
+  const edgeName = `${itemDef.otName}Edge`
+  const collidingName = [
+    connectionName,
+    edgeName,
+    GraphQLPageInfo.name
+  ].find(name => data.usedOTNames.includes(name))
+  if (typeof collidingName === 'string') {
+    handleWarning({
+      typeKey: 'PAGINATION_NAME_COLLISION',
+      message:
+        `Cannot create a connection for operation ` +
+        `${operation.operationString} because there is a preexisting type ` +
+        `named '${collidingName}'.`,
+      data,
+      log: translationLog
+    })
+    return
+  }
+
+  translationLog(`Create connection type '${connectionName}'`)
+
+  const edgeType = new GraphQLObjectType({
+    name: edgeName,
+    description: `An edge in a connection of ${itemDef.otName} items.`,
+    fields: {
+      node: {
+        type: itemType,
+        description: 'The item at the end of the edge.'
+      },
+      cursor: {
+        type: new GraphQLNonNull(GraphQLString),
+        description: 'A cursor for use in pagination.'
+      }
+    }
+  })
+
+  itemDef.connectionOt = new GraphQLObjectType({
+    name: connectionName,
+    description: `A connection to a list of ${itemDef.otName} items.`,
+    fields: {
+      edges: {
+        type: new GraphQLList(edgeType),
+        description: 'A list of edges.'
+      },
+      pageInfo: {
+        type: new GraphQLNonNull(GraphQLPageInfo),
+        description: 'Information to aid in pagination.'
+      }
+    }
+  })
+
+  return itemDef.connectionOt
+}
+
+/**
+ * Creates a resolve function that maps the connection arguments onto the
+ * pagination parameters, calls the resolve function of the list operation,
+ * and turns the returned list into a connection
+ */
+function getConnectionResolver(
+  resolve: ResolveFunction,
+  config: PaginationConfig,
+  operation: Operation,
+  data: PreprocessingData
+): ResolveFunction {
+  return (root, args, ctx, info) => {
+    const { first, after, last, before, ...otherArgs } = args as {
+      [argName: string]: any
+    }
+
+    if (
+      (typeof first === 'number' && first < 0) ||
+      (typeof last === 'number' && last < 0)
+    ) {
+      throw new Error(`Arguments 'first' and 'last' must not be negative`)
+    }
+
+    if (config.type === 'cursor') {
+      return resolveCursorConnection(
+        resolve,
+        config,
+        { root, args: otherArgs, ctx, info },
+        { first, after },
+        data
+      )
+    }
+
+    const window = getWindow({ first, after, last, before })
+
+    // Request one more item to determine whether there is a next page
+    const requestedCount =
+      typeof window.end === 'number' ? window.end - window.start + 1 : undefined
+
+    let offset = window.start
+    let itemsPromise: Promise<any>
+    if (config.type === 'offset') {
+      if (window.start > 0) {
+        otherArgs[Oas3Tools.sanitize(config.offsetParam)] = window.start
+      }
+      if (typeof requestedCount === 'number') {
+        otherArgs[Oas3Tools.sanitize(config.limitParam)] = requestedCount
+      }
+      itemsPromise = Promise.resolve(resolve(root, otherArgs, ctx, info))
+    } else {
+      const firstPage =
+        typeof config.firstPage === 'number' ? config.firstPage : 1
+
+      if (typeof requestedCount === 'number') {
+        const size = getPageSize(window.start, requestedCount)
+        const page = Math.floor(window.start / size)
+        offset = page * size
+
+        // Pages that do not hold all requested items are followed by the next
+        const resolvePage = (pageIndex: number) => {
+          return Promise.resolve(
+            resolve(
+              root,
+              {
+                ...otherArgs,
+                [Oas3Tools.sanitize(config.pageParam)]: pageIndex + firstPage,
+                [Oas3Tools.sanitize(config.sizeParam)]: size
+              },
+              ctx,
+              info
+            )
+          )
+        }
+        itemsPromise = resolvePage(page).then(items => {
+          if (
+            Array.isArray(items) &&
+            items.length === size &&
+            offset + size < window.start + requestedCount
+          ) {
+            return resolvePage(page + 1).then(nextItems => {
+              return Array.isArray(nextItems) ? items.concat(nextItems) : items
+            })
+          }
+          return items
+        })
+      } else if (window.start > 0) {
+        throw new Error(
+          `Argument 'after' requires argument 'first' for operation ` +
+            `${operation.operationString}`
+        )
+      } else {
+        itemsPromise = Promise.resolve(resolve(root, otherArgs, ctx, info))
+      }
+    }
+
+    return itemsPromise.then(items => {
+      if (!Array.isArray(items)) {
+        return null
+      }
+
+      // Pages may start before the requested window
+      items = items.slice(window.start - offset)
+
+      const count =
+        typeof window.end === 'number'
+          ? window.end - window.start
+          : items.length
+      const edges = items.slice(0, count).map((node, index) => {
+        return {
+          node,
+          cursor: encodeCursor('offset', String(window.start + index))
+        }
+      })
+
+      return {
+        edges,
+        pageInfo: {
+          hasNextPage:
+            items.length > count ||
+            hasMoreItems(info, window.start + edges.length),
+          hasPreviousPage: window.start > 0,
+          startCursor: edges.length > 0 ? edges[0].cursor : null,
+          endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+        }
+      }
+    })
+  }
+}
+
+/**
+ * Resolves a connection for an operation that uses cursor-based pagination,
+ * where the cursors are taken from a property of the items
+ */
+function resolveCursorConnection(
+  resolve: ResolveFunction,
+  config: PaginationConfig,
+  { root, args, ctx, info },
+  { first, after }: { first?: number; after?: string },
+  data: PreprocessingData
+): Promise<any> {
+  if (typeof after === 'string') {
+    args[Oas3Tools.sanitize(config.cursorParam)] = decodeCursor('cursor', after)
+  }
+
+  // Request one more item to determine whether there is a next page
+  if (typeof first === 'number') {
+    args[Oas3Tools.sanitize(config.limitParam)] = first + 1
+  }
+
+  // The items are sanitized
+  const cursorProperty =
+    typeof config.cursorProperty === 'string' ? config.cursorProperty : 'id'
+  const saneCursorProperty = data.options.simpleFieldNames
+    ? Oas3Tools.simpleSanitize(cursorProperty)
+    : Oas3Tools.sanitize(cursorProperty)
+
+  return Promise.resolve(resolve(root, args, ctx, info)).then(items => {
+    if (!Array.isArray(items)) {
+      return null
+    }
+
+    const count = typeof first === 'number' ? first : items.length
+    const edges = items.slice(0, count).map(node => {
+      return {
+        node,
+        cursor: encodeCursor('cursor', String(node[saneCursorProperty]))
+      }
+    })
+
+    return {
+      edges,
+      pageInfo: {
+        hasNextPage: items.length > count || hasMoreItems(info),
+        hasPreviousPage: typeof after === 'string',
+        startCursor: edges.length > 0 ? edges[0].cursor : null,
+        endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+      }
+    }
+  })
+}
+
+/**
+ * Determines the window of items to return from the connection arguments, in
+ * accordance with the pagination algorithm of the Relay specification
+ */
+function getWindow({
+  first,
+  after,
+  last,
+  before
+}: {
+  first?: number
+  after?: string
+  last?: number
+  before?: string
+}): Window {
+  const window: Window = { start: 0 }
+
+  if (typeof after === 'string') {
+    window.start = Number(decodeCursor('offset', after)) + 1
+  }
+  if (typeof before === 'string') {
+    window.end = Math.max(window.start, Number(decodeCursor('offset', before)))
+  }
+
+  if (typeof first === 'number') {
+    window.end =
+      typeof window.end === 'number'
+        ? Math.min(window.end, window.start + first)
+        : window.start + first
+  }
+
+  if (typeof last === 'number') {
+    if (typeof window.end !== 'number') {
+      throw new Error(`Argument 'last' requires argument 'before' or 'first'`)
+    }
+    window.start = Math.max(window.start, window.end - last)
+  }
+
+  return window
+}
+
+/**
+ * Returns the smallest page size that is at least the given number of items
+ * and allows to fetch all items, starting at the given offset, with a single
+ * page
+ *
+ * If such a page would be too large, the page size is the number of items, so
+ * that the items are spread across two pages.
+ */
+function getPageSize(offset: number, count: number): number {
+  const minSize = Math.max(count, 1)
+  for (let size = minSize; size <= minSize * MAX_PAGE_SIZE_FACTOR; size++) {
+    if (Math.floor(offset / size) === Math.floor((offset + count - 1) / size)) {
+      return size
+    }
+  }
+  return minSize
+}
+
+/**
+ * Determines from the headers of the latest response of the list operation
+ * whether more items exist, i.e. whether the Link header has a next relation
+ * or the X-Total-Count header exceeds the given number of items
+ *
+ * This matters if the API returns fewer items than requested, e.g. because
+ * no number was requested or the number exceeds the maximum page size.
+ */
+function hasMoreItems(info: object, count?: number): boolean {
+  const headers = getResponseHeaders(info)
+  if (typeof headers !== 'object') {
+    return false
+  }
+
+  if (
+    typeof headers['link'] === 'string' &&
+    /;\s*rel="?([^"]*\s)?next(?=[\s",;]|$)/i.test(headers['link'])
+  ) {
+    return true
+  }
+
+  const totalCount = Number(headers['x-total-count'])
+  return (
+    typeof count === 'number' &&
+    Number.isInteger(totalCount) &&
+    totalCount > count
+  )
+}
+
+/**
+ * Returns an opaque cursor for the given value
+ */
+function encodeCursor(prefix: string, value: string): string {
+  return Buffer.from(`${prefix}:${value}`).toString('base64')
+}
+
+/**
+ * Returns the value of the given cursor, or throws if the cursor is invalid
+ */
+function decodeCursor(prefix: string, cursor: string): string {
+  const decodedCursor = Buffer.from(cursor, 'base64').toString()
+  const value = decodedCursor.slice(prefix.length + 1)
+
+  if (
+    !decodedCursor.startsWith(`${prefix}:`) ||
+    (prefix === 'offset' && !/^\d+$/.test(value))
+  ) {
+    throw new Error(`Invalid cursor '${cursor}'`)
+  }
+
+  return value
+}
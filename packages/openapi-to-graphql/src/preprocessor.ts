@@ -4,9 +4,24 @@
 // License text available at https://opensource.org/licenses/MIT
 
 // Type imports:
-import { Oas3, SchemaObject, LinkObject } from './types/oas3'
+import {
+  Oas3,
+  SchemaObject,
+  LinkObject,
+  ParameterObject,
+  OperationObject,
+  CallbackObject,
+  ReferenceObject,
+  ResponseObject,
+  HeaderObject
+} from './types/oas3'
 import { InternalOptions } from './types/options'
-import { Operation, DataDefinition } from './types/operation'
+import {
+  Operation,
+  DataDefinition,
+  Callback,
+  ResponseHeader
+} from './types/operation'
 import {
   PreprocessingData,
   ProcessedSecurityScheme
@@ -14,6 +29,8 @@ import {
 
 // Imports:
 import * as Oas3Tools from './oas_3_tools'
+import { getPaginationConfig } from './pagination'
+import { compilePatterns } from './validation'
 import * as deepEqual from 'deep-equal'
 import debug from 'debug'
 import { handleWarning, getCommonPropertyNames } from './utils'
@@ -31,16 +48,22 @@ export function preprocessOas(
   const data: PreprocessingData = {
     usedOTNames: [
       'Query', // Used by OpenAPI-to-GraphQL for root-level element
-      'Mutation' // Used by OpenAPI-to-GraphQL for root-level element
+      'Mutation', // Used by OpenAPI-to-GraphQL for root-level element
+      'Subscription' // Used by OpenAPI-to-GraphQL for root-level element
     ],
     defs: [],
     operations: {},
     saneMap: {},
+    patterns: {},
     security: {},
     options,
     oass
   }
 
+  if (typeof data.options.namespaces === 'object') {
+    data.options.namespaces = getValidNamespaces(data.options.namespaces, data)
+  }
+
   oass.forEach(oas => {
     // Store stats on OAS:
     data.options.report.numOps += Oas3Tools.countOperations(oas)
@@ -94,12 +117,36 @@ export function preprocessOas(
           description += `\n\nEquivalent to ${operationString}`
         }
 
+        // Operations can be hidden using the x-graphql-skip extension
+        if (endpoint['x-graphql-skip'] === true) {
+          preprocessingLog(
+            `Skip operation ${operationString} because of the ` +
+              `x-graphql-skip extension`
+          )
+          continue
+        }
+
+        // Deprecation
+        const deprecationReason = Oas3Tools.getDeprecationReason(endpoint)
+        if (
+          typeof deprecationReason === 'string' &&
+          data.options.omitDeprecatedOperations
+        ) {
+          preprocessingLog(
+            `Omit operation ${operationString} because it is deprecated`
+          )
+          continue
+        }
+
         // Hold on to the operationId
         const operationId =
           typeof endpoint.operationId !== 'undefined'
             ? endpoint.operationId
             : Oas3Tools.generateOperationId(method, path)
 
+        // Names may be created for this operation using naming hooks
+        const namingContext: Oas3Tools.NamingContext = { path, method, oas }
+
         // Request schema
         const {
           payloadContentType,
@@ -116,7 +163,8 @@ export function preprocessOas(
                 true,
                 data,
                 undefined,
-                oas
+                oas,
+                namingContext
               )
             : undefined
 
@@ -125,7 +173,8 @@ export function preprocessOas(
           responseContentType,
           responseSchema,
           responseSchemaNames,
-          statusCode
+          statusCode,
+          memberStatusCodes
         } = Oas3Tools.getResponseSchemaAndNames(
           path,
           method,
@@ -147,8 +196,23 @@ export function preprocessOas(
           continue
         }
 
-        // Links
-        const links = Oas3Tools.getEndpointLinks(path, method, oas, data)
+        /**
+         * Links
+         *
+         * In the case of a union of the responses, the links of every
+         * response are added to the respective member below
+         */
+        const links = {
+          ...(Array.isArray(memberStatusCodes)
+            ? {}
+            : Oas3Tools.getEndpointLinks(path, method, oas, data)),
+          // Links declared using the links option take precedence
+          ...getLinksFromOptions(
+            oas,
+            [operationId, `${method.toUpperCase()} ${path}`],
+            data
+          )
+        }
 
         const responseDefinition = createDataDef(
           responseSchemaNames,
@@ -156,11 +220,40 @@ export function preprocessOas(
           false,
           data,
           links,
-          oas
+          oas,
+          namingContext
         )
 
+        // The status code of the response determines the member of the union
+        if (
+          Array.isArray(memberStatusCodes) &&
+          Array.isArray(responseDefinition.memberDefinitions)
+        ) {
+          responseDefinition.statusCodeMapping = {}
+          memberStatusCodes.forEach((statusCodes, index) => {
+            const memberDef = responseDefinition.memberDefinitions[index]
+            statusCodes.forEach(statusCode => {
+              responseDefinition.statusCodeMapping[statusCode] = memberDef
+              collapseLinks(
+                memberDef,
+                sanitizeLinkKeys(
+                  Oas3Tools.getEndpointLinks(
+                    path,
+                    method,
+                    oas,
+                    data,
+                    statusCode
+                  )
+                ),
+                data
+              )
+            })
+          })
+        }
+
         // Parameters
         const parameters = Oas3Tools.getParameters(path, method, oas)
+        const argNames = getArgNames(parameters, namingContext, data)
 
         // Security protocols
         const securityRequirements = options.viewer
@@ -174,13 +267,29 @@ export function preprocessOas(
         const inViewer =
           securityRequirements.length > 0 && data.options.viewer !== false
 
-        const isMutation = method.toLowerCase() !== 'get'
+        // The x-graphql-operation-type extension overrides the HTTP method
+        let isMutation = method.toLowerCase() !== 'get'
+        const operationType = endpoint['x-graphql-operation-type']
+        if (operationType === 'query' || operationType === 'mutation') {
+          isMutation = operationType === 'mutation'
+        } else if (typeof operationType !== 'undefined') {
+          handleWarning({
+            typeKey: 'INVALID_GRAPHQL_EXTENSION',
+            message:
+              `The value '${JSON.stringify(operationType)}' of the ` +
+              `extension 'x-graphql-operation-type' of operation ` +
+              `${operationString} is neither 'query' nor 'mutation'.`,
+            data,
+            log: preprocessingLog
+          })
+        }
 
         // Store determined information for operation
         const operation: Operation = {
           operationId,
           operationString,
           description,
+          deprecationReason,
           path,
           method: method.toLowerCase(),
           payloadContentType,
@@ -193,13 +302,48 @@ export function preprocessOas(
           servers,
           inViewer,
           isMutation,
+          fieldName: Oas3Tools.getNameExtension(
+            endpoint,
+            'x-graphql-field-name',
+            data
+          ),
+          argNames,
           statusCode,
           oas
         }
 
+        // Pagination
+        if (data.options.relayConnections) {
+          operation.pagination = getPaginationConfig(operation, endpoint, data)
+        }
+
+        // Callbacks
+        if (data.options.createSubscriptionsFromCallbacks) {
+          const callbacks = getCallbacks(
+            endpoint,
+            operation,
+            namingContext,
+            data
+          )
+          if (callbacks.length > 0) {
+            operation.subscriptionCallbacks = callbacks
+          }
+        }
+
+        // Response headers
+        if (data.options.responseHeaders) {
+          addResponseHeaders(endpoint, operation, namingContext, data)
+        }
+
+        // Patterns of arguments
+        if (data.options.validateArguments) {
+          compilePatterns(operation, data)
+        }
+
         // Handle operationId property name collision
-        // May occur if multiple OAS are provided
-        if (operationId in data.operations) {
+        // May occur if multiple OAS are provided without namespaces
+        const operationKey = Oas3Tools.getOperationKey(operationId, oas, data)
+        if (operationKey in data.operations) {
           handleWarning({
             typeKey: 'DUPLICATE_OPERATIONID',
             message: `Multiple OASs share operations with the same operationId '${operationId}'`,
@@ -208,12 +352,16 @@ export function preprocessOas(
             log: preprocessingLog
           })
         } else {
-          data.operations[operationId] = operation
+          data.operations[operationKey] = operation
         }
       }
     }
   })
 
+  if (data.options.responseHeaders === 'type') {
+    removeNestedResponseHeaders(data)
+  }
+
   return data
 }
 
@@ -398,7 +546,8 @@ export function createDataDef(
   isInputObjectType: boolean,
   data: PreprocessingData,
   links?: { [key: string]: LinkObject },
-  oas?: Oas3
+  oas?: Oas3,
+  namingContext?: Oas3Tools.NamingContext
 ): DataDefinition {
   // Do a basic validation check
   if (!schema || typeof schema === 'undefined') {
@@ -412,17 +561,28 @@ export function createDataDef(
     schema = Oas3Tools.resolveRef(schema['$ref'], oas)
   }
 
+  // The x-graphql-type-name extension takes precedence over inferred names
+  const typeName = Oas3Tools.getNameExtension(
+    schema,
+    'x-graphql-type-name',
+    data
+  )
+  if (typeof typeName === 'string') {
+    names = { ...names, fromExtension: typeName }
+  }
+
   const preferredName = getPreferredName(names)
 
-  const saneLinks = {}
-  if (typeof links === 'object') {
-    Object.keys(links).forEach(linkKey => {
-      saneLinks[Oas3Tools.sanitize(linkKey)] = links[linkKey]
-    })
-  }
+  const saneLinks = typeof links === 'object' ? sanitizeLinkKeys(links) : {}
+
+  // Types of namespaced OASs are prefixed and not shared with other OASs
+  const namespace =
+    typeof oas === 'object' ? Oas3Tools.getNamespace(oas, data) : undefined
+  const prefix =
+    typeof namespace === 'string' ? Oas3Tools.capitalize(namespace) : ''
 
   // Determine the index of possible existing data definition
-  const index = getSchemaIndex(preferredName, schema, data.defs)
+  const index = getSchemaIndex(preferredName, schema, namespace, data.defs)
   if (index !== -1) {
     // Found existing data definition. Fetch it
     const existingDataDef = data.defs[index]
@@ -431,55 +591,65 @@ export function createDataDef(
      * Collapse links if possible, i.e. if the current operation has links,
      * combine them with the prexisting ones
      */
-    if (typeof saneLinks !== 'undefined') {
-      if (typeof existingDataDef.links !== 'undefined') {
-        // Check if there are any overlapping links
-        Object.keys(existingDataDef.links).forEach(saneLinkKey => {
-          if (
-            typeof saneLinks[saneLinkKey] !== 'undefined' &&
-            !deepEqual(
-              existingDataDef.links[saneLinkKey],
-              saneLinks[saneLinkKey]
-            )
-          ) {
-            handleWarning({
-              typeKey: 'DUPLICATE_LINK_KEY',
-              message:
-                `Multiple operations with the same response body share the same sanitized ` +
-                `link key '${saneLinkKey}' but have different link definitions ` +
-                `'${JSON.stringify(existingDataDef.links[saneLinkKey])}' and ` +
-                `'${JSON.stringify(saneLinks[saneLinkKey])}'.`,
-              data,
-              log: preprocessingLog
-            })
-          }
-        })
-
-        /**
-         * Collapse the links
-         *
-         * Avoid overwriting preexisting links
-         */
-        existingDataDef.links = { ...saneLinks, ...existingDataDef.links }
-      } else {
-        // No preexisting links, so simply assign the links
-        existingDataDef.links = saneLinks
-      }
-    }
+    collapseLinks(existingDataDef, saneLinks, data)
 
     return existingDataDef
   } else {
     // Else, define a new name, store the def, and return it
-    const name = getSchemaName(data.usedOTNames, names)
-
-    // Store and sanitize the name
-    const saneName = Oas3Tools.capitalize(
-      Oas3Tools.sanitizeAndStore(
-        name,
-        data.saneMap,
-        data.options.simpleFieldNames
-      )
+    let name: string
+    let saneName: string
+
+    /**
+     * Names returned by the typeNamer option or set using the
+     * x-graphql-type-name extension are not sanitized
+     *
+     * Only the latter are prefixed if the OAS is namespaced.
+     */
+    const hookName = Oas3Tools.getNameFromHook(
+      'typeNamer',
+      [names.fromExtension, names.fromRef, names.fromSchema, names.fromPath],
+      schema,
+      namingContext,
+      data
     )
+    const customName =
+      hookName ||
+      (typeof names.fromExtension === 'string'
+        ? prefix + names.fromExtension
+        : undefined)
+
+    if (
+      typeof customName === 'string' &&
+      !data.usedOTNames.includes(customName)
+    ) {
+      name = hookName || names.fromExtension
+      saneName = customName
+    } else {
+      if (typeof customName === 'string') {
+        handleWarning({
+          typeKey: 'DUPLICATE_TYPE_NAME',
+          message:
+            `Cannot name the type of schema '${JSON.stringify(schema)}' ` +
+            `'${customName}' because there is a preexisting type ` +
+            `with the same name.`,
+          data,
+          log: preprocessingLog
+        })
+      }
+
+      name = getSchemaName(data.usedOTNames, names, prefix)
+
+      // Store and sanitize the name
+      saneName =
+        prefix +
+        Oas3Tools.capitalize(
+          Oas3Tools.sanitizeAndStore(
+            name,
+            data.saneMap,
+            data.options.simpleFieldNames
+          )
+        )
+    }
     const saneInputName = Oas3Tools.capitalize(saneName + 'Input')
 
     // Determine the type of the schema
@@ -489,6 +659,12 @@ export function createDataDef(
       data.usedOTNames.push(saneName)
       data.usedOTNames.push(saneInputName)
 
+      // Maps are lists of entry types, which need names of their own
+      if (type === 'map') {
+        data.usedOTNames.push(`${saneName}Entry`)
+        data.usedOTNames.push(`${saneName}EntryInput`)
+      }
+
       const def: DataDefinition = {
         preferredName,
 
@@ -504,7 +680,14 @@ export function createDataDef(
 
         type,
         subDefinitions: undefined,
-        links: saneLinks,
+        namespace,
+        links: {
+          ...saneLinks,
+          // Links may also be declared for the type using the links option
+          ...(typeof oas === 'object'
+            ? sanitizeLinkKeys(getLinksFromOptions(oas, [saneName], data))
+            : {})
+        },
         otName: saneName,
         iotName: saneInputName
       }
@@ -523,41 +706,53 @@ export function createDataDef(
           itemsName = schema.items['$ref'].split('/').pop()
         }
 
+        // The links of a list apply to each of its items
         const subDefinition = createDataDef(
           { fromRef: itemsName },
           itemsSchema as SchemaObject,
           isInputObjectType,
           data,
-          undefined,
-          oas
+          links,
+          oas,
+          namingContext
         )
 
         // Add list item reference
         def.subDefinitions = subDefinition
-      } else if (type === 'object') {
+      } else if (type === 'map') {
+        let valuesSchema = schema.additionalProperties
+        let valuesName = `${name}Value`
+
+        if ('$ref' in valuesSchema) {
+          valuesName = valuesSchema['$ref'].split('/').pop()
+        }
+
+        const subDefinition = createDataDef(
+          { fromRef: valuesName },
+          valuesSchema,
+          isInputObjectType,
+          data,
+          undefined,
+          oas,
+          namingContext
+        )
+
+        // Add map value reference
+        def.subDefinitions = subDefinition
+      } else if (type === 'object' || type === 'interface') {
         def.subDefinitions = {}
+        def.required = []
 
         // Resolve allOf element in schema if applicable
         if ('allOf' in schema) {
-          addAllOfToDataDef(def, schema, isInputObjectType, data, oas)
-        } else if ('anyOf' in schema) {
-          handleWarning({
-            typeKey: 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
-            message: `OpenAPI-to-GraphQL currently cannot handle 'anyOf' keyword in '${JSON.stringify(
-              schema
-            )}'`,
+          addAllOfToDataDef(
+            def,
+            schema,
+            isInputObjectType,
             data,
-            log: preprocessingLog
-          })
-        } else if ('oneOf' in schema) {
-          handleWarning({
-            typeKey: 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
-            message: `OpenAPI-to-GraphQL currently cannot handle 'oneOf' keyword in '${JSON.stringify(
-              schema
-            )}'`,
-            data,
-            log: preprocessingLog
-          })
+            oas,
+            namingContext
+          )
         } else if ('not' in schema) {
           handleWarning({
             typeKey: 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
@@ -570,7 +765,52 @@ export function createDataDef(
         }
 
         // Add existing properties (regular object type)
-        addObjectPropertiesToDataDef(def, schema, isInputObjectType, data, oas)
+        addObjectPropertiesToDataDef(
+          def,
+          schema,
+          isInputObjectType,
+          data,
+          oas,
+          namingContext
+        )
+
+        // Add map of additional properties (object type with typed map)
+        if (typeof schema.additionalProperties === 'object') {
+          def.additionalPropertiesDefinition = createDataDef(
+            { fromPath: `${name}AdditionalProperties` },
+            {
+              type: 'object',
+              additionalProperties: schema.additionalProperties
+            },
+            isInputObjectType,
+            data,
+            undefined,
+            oas,
+            namingContext
+          )
+        }
+
+        // Add implementing object types (interface type)
+        if (type === 'interface') {
+          addImplementationsToDataDef(
+            def,
+            schema,
+            names,
+            isInputObjectType,
+            data,
+            oas,
+            namingContext
+          )
+        }
+      } else if (type === 'union') {
+        addUnionMembersToDataDef(
+          def,
+          schema,
+          isInputObjectType,
+          data,
+          oas,
+          namingContext
+        )
       }
 
       return def
@@ -584,14 +824,181 @@ export function createDataDef(
   }
 }
 
+/**
+ * Returns the given links with sanitized keys
+ */
+function sanitizeLinkKeys(links: {
+  [key: string]: LinkObject
+}): {
+  [key: string]: LinkObject
+} {
+  const saneLinks = {}
+  Object.keys(links).forEach(linkKey => {
+    saneLinks[Oas3Tools.sanitize(linkKey)] = links[linkKey]
+  })
+  return saneLinks
+}
+
+/**
+ * Returns the links that are declared using the links option for the given
+ * OAS and any of the given keys, i.e. type names or operation identifiers,
+ * as link objects
+ */
+function getLinksFromOptions(
+  oas: Oas3,
+  keys: string[],
+  data: PreprocessingData
+): { [key: string]: LinkObject } {
+  const links: { [key: string]: LinkObject } = {}
+  if (
+    typeof data.options.links !== 'object' ||
+    typeof data.options.links[oas.info.title] !== 'object'
+  ) {
+    return links
+  }
+  const oasLinks = data.options.links[oas.info.title]
+
+  keys
+    .filter(key => typeof oasLinks[key] === 'object')
+    .forEach(key => {
+      Object.entries(oasLinks[key]).forEach(([linkKey, linkConfig]) => {
+        const {
+          operationId,
+          path,
+          method,
+          title,
+          ...linkProperties
+        } = linkConfig
+
+        if (
+          typeof operationId === 'string' &&
+          typeof title === 'string' &&
+          title !== oas.info.title
+        ) {
+          // OperationIds are resolved in the OAS of the link
+          const operationRef = getOperationRef(title, operationId, data)
+          if (typeof operationRef === 'string') {
+            links[linkKey] = { operationRef, ...linkProperties }
+          } else {
+            handleWarning({
+              typeKey: 'UNRESOLVABLE_LINK',
+              message:
+                `The link '${linkKey}' of '${key}' in the links option ` +
+                `references the operationId '${operationId}' but the OAS ` +
+                `'${title}' contains no such operation.`,
+              data,
+              log: preprocessingLog
+            })
+          }
+        } else if (typeof operationId === 'string') {
+          links[linkKey] = { operationId, ...linkProperties }
+        } else if (typeof path === 'string' && typeof method === 'string') {
+          // Equivalent to an operationRef, which can reference another OAS
+          const pointer = path.replace(/~/g, '~0').replace(/\//g, '~1')
+          links[linkKey] = {
+            operationRef:
+              `${typeof title === 'string' ? title : oas.info.title}` +
+              `#/paths/${pointer}/${method.toLowerCase()}`,
+            ...linkProperties
+          }
+        } else {
+          handleWarning({
+            typeKey: 'UNRESOLVABLE_LINK',
+            message:
+              `The link '${linkKey}' of '${key}' in the links option ` +
+              `neither contains an operationId nor a path and method.`,
+            data,
+            log: preprocessingLog
+          })
+        }
+      })
+    })
+
+  return links
+}
+
+/**
+ * Returns an operationRef to the operation with the given operationId in the
+ * OAS with the given title, or undefined if there is no such operation
+ */
+function getOperationRef(
+  title: string,
+  operationId: string,
+  data: PreprocessingData
+): string | undefined {
+  const oas = data.oass.find(oas => oas.info.title === title)
+  if (typeof oas !== 'object') {
+    return undefined
+  }
+
+  for (let path in oas.paths) {
+    for (let method in oas.paths[path]) {
+      if (
+        Oas3Tools.isOperation(method) &&
+        (oas.paths[path][method].operationId ||
+          Oas3Tools.generateOperationId(method, path)) === operationId
+      ) {
+        const pointer = path.replace(/~/g, '~0').replace(/\//g, '~1')
+        return `${title}#/paths/${pointer}/${method}`
+      }
+    }
+  }
+}
+
+/**
+ * Combines the given (sanitized) links with the preexisting links of the data
+ * definition and, in the case of a list, of its items
+ */
+function collapseLinks(
+  def: DataDefinition,
+  saneLinks: { [key: string]: LinkObject },
+  data: PreprocessingData
+): void {
+  if (typeof def.links !== 'undefined') {
+    // Check if there are any overlapping links
+    Object.keys(def.links).forEach(saneLinkKey => {
+      if (
+        typeof saneLinks[saneLinkKey] !== 'undefined' &&
+        !deepEqual(def.links[saneLinkKey], saneLinks[saneLinkKey])
+      ) {
+        handleWarning({
+          typeKey: 'DUPLICATE_LINK_KEY',
+          message:
+            `Multiple operations with the same response body share the same sanitized ` +
+            `link key '${saneLinkKey}' but have different link definitions ` +
+            `'${JSON.stringify(def.links[saneLinkKey])}' and ` +
+            `'${JSON.stringify(saneLinks[saneLinkKey])}'.`,
+          data,
+          log: preprocessingLog
+        })
+      }
+    })
+
+    /**
+     * Collapse the links
+     *
+     * Avoid overwriting preexisting links
+     */
+    def.links = { ...saneLinks, ...def.links }
+  } else {
+    // No preexisting links, so simply assign the links
+    def.links = saneLinks
+  }
+
+  if (def.type === 'array' && typeof def.subDefinitions === 'object') {
+    collapseLinks(def.subDefinitions as DataDefinition, saneLinks, data)
+  }
+}
+
 /**
  * Returns the index of the data definition object in the given list that
- * contains the same schema and preferred name as the given one. Returns -1 if
- * that schema could not be found.
+ * contains the same schema, preferred name, and namespace as the given one.
+ * Returns -1 if that schema could not be found.
  */
 function getSchemaIndex(
   preferredName: string,
   schema: SchemaObject,
+  namespace: string | undefined,
   dataDefs: DataDefinition[]
 ): number {
   /**
@@ -605,7 +1012,11 @@ function getSchemaIndex(
      * TODO: deepEquals is not sufficient. We also need to resolve references.
      * However, deepEquals should work for vast majority of cases.
      */
-    if (preferredName === def.preferredName && deepEqual(schema, def.schema)) {
+    if (
+      preferredName === def.preferredName &&
+      namespace === def.namespace &&
+      deepEqual(schema, def.schema)
+    ) {
       return index
     }
   }
@@ -629,6 +1040,10 @@ function getPreferredName(names: Oas3Tools.SchemaNames): string {
   if (typeof names.preferred === 'string') {
     schemaName = names.preferred
 
+    // CASE: name from extension
+  } else if (typeof names.fromExtension === 'string') {
+    schemaName = names.fromExtension
+
     // CASE: name from reference
   } else if (typeof names.fromRef === 'string') {
     schemaName = names.fromRef
@@ -652,10 +1067,13 @@ function getPreferredName(names: Oas3Tools.SchemaNames): string {
 /**
  * Determines name to use for schema from previously determined schemaNames and
  * considering not reusing existing names.
+ *
+ * The names of the types of namespaced OASs are checked with the given prefix.
  */
 function getSchemaName(
   usedNames: string[],
-  names?: Oas3Tools.SchemaNames
+  names?: Oas3Tools.SchemaNames,
+  prefix: string = ''
 ): string {
   if (!names || typeof names === 'undefined') {
     throw new Error(`Cannot create data definition without name(s).`)
@@ -675,7 +1093,7 @@ function getSchemaName(
   // CASE: name from reference
   if (typeof names.fromRef === 'string') {
     const saneName = Oas3Tools.capitalize(Oas3Tools.sanitize(names.fromRef))
-    if (!usedNames.includes(saneName)) {
+    if (!usedNames.includes(prefix + saneName)) {
       schemaName = names.fromRef
     }
   }
@@ -683,7 +1101,7 @@ function getSchemaName(
   // CASE: name from schema (i.e., "title" property in schema)
   if (!schemaName && typeof names.fromSchema === 'string') {
     const saneName = Oas3Tools.capitalize(Oas3Tools.sanitize(names.fromSchema))
-    if (!usedNames.includes(saneName)) {
+    if (!usedNames.includes(prefix + saneName)) {
       schemaName = names.fromSchema
     }
   }
@@ -691,7 +1109,7 @@ function getSchemaName(
   // CASE: name from path
   if (!schemaName && typeof names.fromPath === 'string') {
     const saneName = Oas3Tools.capitalize(Oas3Tools.sanitize(names.fromPath))
-    if (!usedNames.includes(saneName)) {
+    if (!usedNames.includes(prefix + saneName)) {
       schemaName = names.fromPath
     }
   }
@@ -716,7 +1134,7 @@ function getSchemaName(
      * the master list append an incremental number until the name does not
      * exist anymore.
      */
-    while (usedNames.includes(`${tempName}${appendix}`)) {
+    while (usedNames.includes(`${prefix}${tempName}${appendix}`)) {
       appendix++
     }
     schemaName = `${tempName}${appendix}`
@@ -735,21 +1153,54 @@ function addAllOfToDataDef(
   schema: SchemaObject,
   isInputObjectType: boolean,
   data: PreprocessingData,
-  oas?: Oas3
+  oas?: Oas3,
+  namingContext?: Oas3Tools.NamingContext
 ) {
   schema.allOf.forEach(subSchema => {
     // Dereference subSchema
     if ('$ref' in subSchema) {
+      const subSchemaName = subSchema['$ref'].split('/').pop()
       subSchema = Oas3Tools.resolveRef(subSchema['$ref'], oas)
+
+      /**
+       * If the subSchema is the base schema of a discriminated inheritance
+       * hierarchy, make sure that the corresponding interface type is created
+       * and that it knows about this data definition
+       */
+      if (typeof subSchema.discriminator === 'object') {
+        createDataDef(
+          { fromRef: subSchemaName },
+          subSchema,
+          isInputObjectType,
+          data,
+          undefined,
+          oas,
+          namingContext
+        )
+      }
     }
 
     // Recurse into nested allOf (if applicable)
     if ('allOf' in subSchema) {
-      addAllOfToDataDef(def, subSchema, isInputObjectType, data, oas)
+      addAllOfToDataDef(
+        def,
+        subSchema,
+        isInputObjectType,
+        data,
+        oas,
+        namingContext
+      )
     }
 
     // Add properties of the subSchema
-    addObjectPropertiesToDataDef(def, subSchema, isInputObjectType, data, oas)
+    addObjectPropertiesToDataDef(
+      def,
+      subSchema,
+      isInputObjectType,
+      data,
+      oas,
+      namingContext
+    )
   })
 }
 
@@ -761,12 +1212,51 @@ function addObjectPropertiesToDataDef(
   schema: SchemaObject,
   isInputObjectType: boolean,
   data: PreprocessingData,
-  oas?: Oas3
+  oas?: Oas3,
+  namingContext?: Oas3Tools.NamingContext
 ) {
+  if (Array.isArray(schema.required)) {
+    schema.required.forEach(propertyKey => {
+      if (!def.required.includes(propertyKey)) {
+        def.required.push(propertyKey)
+      }
+    })
+  }
+
   for (let propertyKey in schema.properties) {
     let propSchemaName = propertyKey
     let propSchema = schema.properties[propertyKey]
 
+    // Properties can be hidden using the x-graphql-skip extension
+    if (propSchema['x-graphql-skip'] === true) {
+      preprocessingLog(
+        `Skip property '${propertyKey}' because of the x-graphql-skip ` +
+          `extension`
+      )
+      continue
+    }
+
+    /**
+     * The fieldNamer option or the x-graphql-field-name extension may override
+     * the sanitized property key
+     */
+    const extensionName = Oas3Tools.getNameExtension(
+      propSchema,
+      'x-graphql-field-name',
+      data
+    )
+    const fieldName =
+      Oas3Tools.getNameFromHook(
+        'fieldNamer',
+        [extensionName, propertyKey],
+        propSchema,
+        namingContext,
+        data
+      ) || extensionName
+    if (typeof fieldName === 'string') {
+      def.fieldNames = { ...def.fieldNames, [propertyKey]: fieldName }
+    }
+
     if ('$ref' in propSchema) {
       propSchemaName = propSchema['$ref'].split('/').pop()
     }
@@ -777,9 +1267,799 @@ function addObjectPropertiesToDataDef(
       isInputObjectType,
       data,
       undefined,
-      oas
+      oas,
+      namingContext
     )
     // Add field type references
     def.subDefinitions[propertyKey] = subDefinition
   }
 }
+
+/**
+ * Returns the callbacks of the given operation, which are translated into
+ * subscriptions
+ *
+ * The callback URL must be a runtime expression that refers to a parameter or
+ * to the request body of the operation, e.g. {$request.body#/callbackUrl}, so
+ * that the URL of the callback receiver can be filled in. The subscription
+ * field takes the remaining parameters and request body as arguments.
+ */
+function getCallbacks(
+  endpoint: OperationObject,
+  operation: Operation,
+  namingContext: Oas3Tools.NamingContext,
+  data: PreprocessingData
+): Callback[] {
+  const callbacks: Callback[] = []
+  if (typeof endpoint.callbacks !== 'object') {
+    return callbacks
+  }
+
+  const oas = operation.oas
+  Object.keys(endpoint.callbacks).forEach(callbackName => {
+    let callbackObject = endpoint.callbacks[callbackName]
+    if (typeof (callbackObject as ReferenceObject).$ref === 'string') {
+      callbackObject = Oas3Tools.resolveRef(
+        (callbackObject as ReferenceObject).$ref,
+        oas
+      )
+    }
+
+    Object.entries(callbackObject as CallbackObject).forEach(
+      ([expression, pathItem]) => {
+        Object.keys(pathItem)
+          .filter(Oas3Tools.isOperation)
+          .forEach(callbackMethod => {
+            const callbackEndpoint: OperationObject = pathItem[callbackMethod]
+            const callbackString =
+              `callback '${callbackName}' of operation ` +
+              `${operation.operationString}`
+
+            // The callback URL
+            const match = /^{(\$request\.(body|query\.|header\.|path\.).*)}$/.exec(
+              expression.trim()
+            )
+            if (match === null) {
+              handleWarning({
+                typeKey: 'INVALID_CALLBACK',
+                message:
+                  `The URL '${expression}' of the ${callbackString} does ` +
+                  `not refer to a parameter or to the request body of the ` +
+                  `operation.`,
+                data,
+                log: preprocessingLog
+              })
+              return
+            }
+            const urlExpression = match[1]
+            if (
+              urlExpression.startsWith('$request.body') &&
+              typeof operation.payloadDefinition !== 'object'
+            ) {
+              handleWarning({
+                typeKey: 'INVALID_CALLBACK',
+                message:
+                  `The URL '${expression}' of the ${callbackString} refers ` +
+                  `to the request body of the operation, which has none.`,
+                data,
+                log: preprocessingLog
+              })
+              return
+            }
+
+            // The payload of the callback
+            const {
+              payloadContentType,
+              requestBodyObject
+            } = Oas3Tools.getRequestBodyObject(callbackEndpoint, oas)
+            if (
+              payloadContentType !== 'application/json' ||
+              typeof requestBodyObject.content[payloadContentType].schema !==
+                'object'
+            ) {
+              handleWarning({
+                typeKey: 'INVALID_CALLBACK',
+                message: `The ${callbackString} has no JSON request body schema.`,
+                data,
+                log: preprocessingLog
+              })
+              return
+            }
+
+            let eventSchema = requestBodyObject.content[payloadContentType]
+              .schema as SchemaObject
+            let fromRef: string
+            if ('$ref' in eventSchema) {
+              fromRef = eventSchema['$ref'].split('/').pop()
+              eventSchema = Oas3Tools.resolveRef(eventSchema['$ref'], oas)
+            }
+            const eventDefinition = createDataDef(
+              {
+                fromRef,
+                fromSchema: eventSchema.title,
+                fromPath: `${callbackName} event`
+              },
+              eventSchema,
+              false,
+              data,
+              undefined,
+              oas,
+              namingContext
+            )
+
+            // The arguments, without the callback URL
+            let parameters = operation.parameters
+            let payloadDefinition = operation.payloadDefinition
+            let payloadRequired = operation.payloadRequired
+            let urlParameter: ParameterObject
+            if (urlExpression === '$request.body') {
+              payloadDefinition = undefined
+              payloadRequired = false
+            } else if (urlExpression.startsWith('$request.body#/')) {
+              const tokens = urlExpression
+                .split('#/')[1]
+                .split('/')
+                .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+              const payloadSchema =
+                typeof payloadDefinition === 'object'
+                  ? removeSchemaProperty(payloadDefinition.schema, tokens, oas)
+                  : undefined
+              if (typeof payloadSchema !== 'object') {
+                handleWarning({
+                  typeKey: 'INVALID_CALLBACK',
+                  message:
+                    `The URL '${expression}' of the ${callbackString} ` +
+                    `refers to a property that the request body of the ` +
+                    `operation does not define.`,
+                  data,
+                  log: preprocessingLog
+                })
+                return
+              }
+
+              if (Object.keys(payloadSchema.properties).length === 0) {
+                payloadDefinition = undefined
+                payloadRequired = false
+              } else {
+                payloadDefinition = createDataDef(
+                  { fromPath: `${callbackName} subscription` },
+                  payloadSchema,
+                  true,
+                  data,
+                  undefined,
+                  oas,
+                  namingContext
+                )
+                payloadRequired =
+                  payloadRequired &&
+                  Array.isArray(payloadSchema.required) &&
+                  payloadSchema.required.length > 0
+              }
+            } else {
+              const [location, name] = urlExpression
+                .replace(/^\$request\./, '')
+                .split(/\.(.+)/)
+              const isUrlParameter = (parameter: ParameterObject) => {
+                return (
+                  parameter.in === location &&
+                  (location === 'header'
+                    ? parameter.name.toLowerCase() === name.toLowerCase()
+                    : parameter.name === name)
+                )
+              }
+              urlParameter = parameters.find(isUrlParameter)
+              if (typeof urlParameter !== 'object') {
+                handleWarning({
+                  typeKey: 'INVALID_CALLBACK',
+                  message:
+                    `The URL '${expression}' of the ${callbackString} ` +
+                    `refers to a parameter that the operation does not ` +
+                    `define.`,
+                  data,
+                  log: preprocessingLog
+                })
+                return
+              }
+              parameters = parameters.filter(parameter => {
+                return !isUrlParameter(parameter)
+              })
+            }
+
+            let description = callbackEndpoint.description
+            if (
+              (typeof description !== 'string' || description === '') &&
+              typeof callbackEndpoint.summary === 'string'
+            ) {
+              description = callbackEndpoint.summary
+            }
+            if (typeof description !== 'string' || description === '') {
+              description =
+                `The callbacks '${callbackName}' of operation ` +
+                `${operation.operationString}`
+            }
+            if (data.options.equivalentToMessages) {
+              description +=
+                `\n\nEquivalent to the callback '${callbackName}' of ` +
+                `${operation.operationString}`
+            }
+
+            callbacks.push({
+              name: callbackName,
+              description,
+              urlExpression,
+              urlParameter,
+              eventDefinition,
+              parameters,
+              payloadDefinition,
+              payloadRequired
+            })
+          })
+      }
+    )
+  })
+
+  return callbacks
+}
+
+/**
+ * Translates the documented headers of the response of the given operation into
+ * data definitions, and adds them to the data definition of the response or to
+ * the operation, depending on the responseHeaders option
+ *
+ * The Content-Type header is ignored, as required by the specification.
+ */
+function addResponseHeaders(
+  endpoint: OperationObject,
+  operation: Operation,
+  namingContext: Oas3Tools.NamingContext,
+  data: PreprocessingData
+): void {
+  const oas = operation.oas
+  if (
+    typeof endpoint.responses !== 'object' ||
+    typeof operation.statusCode !== 'string'
+  ) {
+    return
+  }
+
+  let responseObject = endpoint.responses[operation.statusCode]
+  if (typeof (responseObject as ReferenceObject).$ref === 'string') {
+    responseObject = Oas3Tools.resolveRef(
+      (responseObject as ReferenceObject).$ref,
+      oas
+    )
+  }
+  const headers = (responseObject as ResponseObject).headers
+  if (typeof headers !== 'object') {
+    return
+  }
+
+  const responseHeaders: ResponseHeader[] = Object.keys(headers)
+    .filter(headerName => headerName.toLowerCase() !== 'content-type')
+    .map(headerName => {
+      let header = headers[headerName]
+      if (typeof (header as ReferenceObject).$ref === 'string') {
+        header = Oas3Tools.resolveRef((header as ReferenceObject).$ref, oas)
+      }
+
+      // Headers without a schema are strings
+      let schema = (header as HeaderObject).schema || { type: 'string' }
+      let fromRef: string
+      if ('$ref' in schema) {
+        fromRef = schema['$ref'].split('/').pop()
+        schema = Oas3Tools.resolveRef(schema['$ref'], oas)
+      }
+
+      return {
+        name: headerName,
+        description: (header as HeaderObject).description,
+        definition: createDataDef(
+          {
+            fromRef,
+            fromSchema: (schema as SchemaObject).title,
+            fromPath: headerName
+          },
+          schema as SchemaObject,
+          false,
+          data,
+          undefined,
+          oas,
+          namingContext
+        )
+      }
+    })
+  if (responseHeaders.length === 0) {
+    return
+  }
+
+  // CASE: headers are fields of the object type of the response
+  if (data.options.responseHeaders === 'type') {
+    const def = operation.responseDefinition
+    if (def.type !== 'object') {
+      handleWarning({
+        typeKey: 'UNSUPPORTED_RESPONSE_HEADERS',
+        message:
+          `The headers of the response of operation ` +
+          `${operation.operationString} cannot be translated into fields ` +
+          `because the response is not an object. Set the responseHeaders ` +
+          `option to 'payload' instead.`,
+        data,
+        log: preprocessingLog
+      })
+      return
+    }
+
+    // Other operations may return the same object type
+    if (!Array.isArray(def.responseHeaders)) {
+      def.responseHeaders = []
+    }
+    responseHeaders
+      .filter(responseHeader => {
+        return !def.responseHeaders.some(otherResponseHeader => {
+          return (
+            otherResponseHeader.name.toLowerCase() ===
+            responseHeader.name.toLowerCase()
+          )
+        })
+      })
+      .forEach(responseHeader => {
+        def.responseHeaders.push(responseHeader)
+      })
+
+    // CASE: headers are fields of a payload type next to the response data
+  } else {
+    const namespace = Oas3Tools.getNamespace(oas, data)
+    const prefix =
+      typeof namespace === 'string' ? Oas3Tools.capitalize(namespace) : ''
+    const name = getSchemaName(
+      data.usedOTNames,
+      { fromPath: `${operation.operationId} payload` },
+      prefix
+    )
+    const saneName =
+      prefix +
+      Oas3Tools.capitalize(
+        Oas3Tools.sanitizeAndStore(
+          name,
+          data.saneMap,
+          data.options.simpleFieldNames
+        )
+      )
+    data.usedOTNames.push(saneName)
+
+    operation.responseHeaders = responseHeaders
+    operation.responsePayloadName = saneName
+  }
+}
+
+/**
+ * Removes the response headers from the data definitions of object types that
+ * are also nested in other types, where the headers cannot be resolved
+ */
+function removeNestedResponseHeaders(data: PreprocessingData): void {
+  const nestedTypeNames: string[] = []
+  data.defs.forEach(def => {
+    const nestedDefs: DataDefinition[] = []
+    if (def.type === 'array' || def.type === 'map') {
+      nestedDefs.push(def.subDefinitions as DataDefinition)
+    } else if (
+      def.type === 'object' &&
+      typeof def.subDefinitions === 'object' &&
+      def.subDefinitions !== null
+    ) {
+      nestedDefs.push(...Object.values(def.subDefinitions))
+    }
+    if (typeof def.additionalPropertiesDefinition === 'object') {
+      nestedDefs.push(def.additionalPropertiesDefinition)
+    }
+
+    nestedDefs
+      .filter(nestedDef => typeof nestedDef === 'object')
+      .forEach(nestedDef => nestedTypeNames.push(nestedDef.otName))
+  })
+
+  data.defs
+    .filter(def => {
+      return (
+        Array.isArray(def.responseHeaders) &&
+        nestedTypeNames.includes(def.otName)
+      )
+    })
+    .forEach(def => {
+      handleWarning({
+        typeKey: 'UNSUPPORTED_RESPONSE_HEADERS',
+        message:
+          `The headers of the responses that return the object type ` +
+          `'${def.otName}' cannot be translated into fields because the ` +
+          `object type is also nested in other types. Set the ` +
+          `responseHeaders option to 'payload' instead.`,
+        data,
+        log: preprocessingLog
+      })
+      delete def.responseHeaders
+    })
+}
+
+/**
+ * Returns the namespaces of the namespaces option, with the ones that are not
+ * valid GraphQL names sanitized
+ *
+ * Namespaces become the names of fields and the prefixes of type names.
+ */
+function getValidNamespaces(
+  namespaces: { [oasTitle: string]: string },
+  data: PreprocessingData
+): { [oasTitle: string]: string } {
+  const validNamespaces = {}
+  Object.entries(namespaces).forEach(([oasTitle, namespace]) => {
+    if (Oas3Tools.isGraphQLName(namespace)) {
+      validNamespaces[oasTitle] = namespace
+      return
+    }
+
+    const saneNamespace = Oas3Tools.sanitize(String(namespace))
+    handleWarning({
+      typeKey: 'INVALID_NAMESPACE',
+      message:
+        `The namespace ${JSON.stringify(namespace)} of the OAS ` +
+        `'${oasTitle}' is not a valid GraphQL name. Its sanitized form is ` +
+        `'${saneNamespace}'.`,
+      data,
+      log: preprocessingLog
+    })
+    validNamespaces[oasTitle] = saneNamespace
+  })
+
+  return validNamespaces
+}
+
+/**
+ * Returns a copy of the given object schema without the (nested) property that
+ * the given tokens of a JSON pointer refer to, or undefined if there is no such
+ * property
+ */
+function removeSchemaProperty(
+  schema: SchemaObject,
+  tokens: string[],
+  oas: Oas3
+): SchemaObject | undefined {
+  if ('$ref' in schema) {
+    schema = Oas3Tools.resolveRef(schema['$ref'], oas)
+  }
+  if (
+    typeof schema.properties !== 'object' ||
+    !(tokens[0] in schema.properties)
+  ) {
+    return
+  }
+
+  const properties = { ...schema.properties }
+  const result: SchemaObject = { ...schema, properties }
+  if (tokens.length === 1) {
+    delete properties[tokens[0]]
+    if (Array.isArray(schema.required)) {
+      result.required = schema.required.filter(propertyKey => {
+        return propertyKey !== tokens[0]
+      })
+    }
+    return result
+  }
+
+  const propertySchema = removeSchemaProperty(
+    properties[tokens[0]],
+    tokens.slice(1),
+    oas
+  )
+  if (typeof propertySchema !== 'object') {
+    return
+  }
+  properties[tokens[0]] = propertySchema
+  return result
+}
+
+/**
+ * Returns the names of the arguments of the given parameters that are set
+ * using the argNamer option or the x-graphql-arg-name extension
+ */
+function getArgNames(
+  parameters: ParameterObject[],
+  namingContext: Oas3Tools.NamingContext,
+  data: PreprocessingData
+): { [parameterName: string]: string } {
+  const argNames = {}
+
+  parameters.forEach(parameter => {
+    const extensionName = Oas3Tools.getNameExtension(
+      parameter,
+      'x-graphql-arg-name',
+      data
+    )
+    const argName =
+      Oas3Tools.getNameFromHook(
+        'argNamer',
+        [extensionName, parameter.name],
+        parameter.schema,
+        namingContext,
+        data
+      ) || extensionName
+
+    if (typeof argName === 'string') {
+      argNames[parameter.name] = argName
+    }
+  })
+
+  return argNames
+}
+
+/**
+ * Add the member schemas of a oneOf or anyOf keyword to the data definition
+ *
+ * GraphQL unions can only be composed of object types. If any of the member
+ * schemas is not an object schema, the data definition is turned into an
+ * arbitrary JSON type instead.
+ */
+function addUnionMembersToDataDef(
+  def: DataDefinition,
+  schema: SchemaObject,
+  isInputObjectType: boolean,
+  data: PreprocessingData,
+  oas?: Oas3,
+  namingContext?: Oas3Tools.NamingContext
+) {
+  const keyword = Array.isArray(schema.oneOf) ? 'oneOf' : 'anyOf'
+
+  const memberSchemas: SchemaObject[] = schema[keyword].map(memberSchema => {
+    return '$ref' in memberSchema
+      ? Oas3Tools.resolveRef(memberSchema['$ref'], oas)
+      : memberSchema
+  })
+
+  if (
+    !memberSchemas.every(memberSchema => {
+      return Oas3Tools.getSchemaType(memberSchema, data) === 'object'
+    })
+  ) {
+    handleWarning({
+      typeKey: 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
+      message:
+        `OpenAPI-to-GraphQL can only translate the '${keyword}' keyword into ` +
+        `a union type if all member schemas are object schemas, which is not ` +
+        `the case in '${JSON.stringify(schema)}'`,
+      mitigationAddendum: `The schema will be stored in an arbitrary JSON type.`,
+      data,
+      log: preprocessingLog
+    })
+
+    def.type = 'json'
+    return
+  }
+
+  def.memberDefinitions = schema[keyword].map((memberSchema, index) => {
+    let fromRef: string
+    if ('$ref' in memberSchema) {
+      fromRef = memberSchema['$ref'].split('/').pop()
+    }
+
+    return createDataDef(
+      {
+        fromRef,
+        fromSchema: memberSchemas[index].title,
+        fromPath: `${def.otName}Member`
+      },
+      memberSchemas[index],
+      isInputObjectType,
+      data,
+      undefined,
+      oas,
+      namingContext
+    )
+  })
+
+  if (typeof schema.discriminator === 'object') {
+    // Implicit mapping, i.e. the names of the referenced member schemas
+    const implicitMapping = {}
+    schema[keyword].forEach(memberSchema => {
+      if ('$ref' in memberSchema) {
+        implicitMapping[memberSchema['$ref'].split('/').pop()] =
+          memberSchema['$ref']
+      }
+    })
+
+    def.discriminatorMapping = getDiscriminatorMapping(
+      def,
+      schema,
+      implicitMapping,
+      isInputObjectType,
+      data,
+      oas,
+      namingContext
+    )
+  }
+}
+
+/**
+ * Add the object types that implement the interface type defined by a schema
+ * with the discriminator keyword to the data definition
+ *
+ * The implementing object types are determined by the discriminator mapping
+ * and, as an implicit mapping, by the component schemas that reference the
+ * schema in their allOf keyword.
+ */
+function addImplementationsToDataDef(
+  def: DataDefinition,
+  schema: SchemaObject,
+  names: Oas3Tools.SchemaNames,
+  isInputObjectType: boolean,
+  data: PreprocessingData,
+  oas?: Oas3,
+  namingContext?: Oas3Tools.NamingContext
+) {
+  // Implicit mapping, i.e. the names of the schemas that extend this schema
+  const implicitMapping = {}
+  if (
+    typeof names.fromRef === 'string' &&
+    typeof oas === 'object' &&
+    typeof oas.components === 'object' &&
+    typeof oas.components.schemas === 'object'
+  ) {
+    const ref = `#/components/schemas/${names.fromRef}`
+    Object.keys(oas.components.schemas).forEach(schemaName => {
+      const componentSchema = oas.components.schemas[schemaName] as SchemaObject
+      if (
+        Array.isArray(componentSchema.allOf) &&
+        componentSchema.allOf.some(subSchema => subSchema['$ref'] === ref)
+      ) {
+        implicitMapping[schemaName] = `#/components/schemas/${schemaName}`
+      }
+    })
+  }
+
+  def.discriminatorMapping = getDiscriminatorMapping(
+    def,
+    schema,
+    implicitMapping,
+    isInputObjectType,
+    data,
+    oas,
+    namingContext
+  )
+
+  def.memberDefinitions = []
+  Object.values(def.discriminatorMapping).forEach(memberDef => {
+    if (!def.memberDefinitions.includes(memberDef)) {
+      def.memberDefinitions.push(memberDef)
+
+      if (!Array.isArray(memberDef.interfaceDefinitions)) {
+        memberDef.interfaceDefinitions = []
+      }
+      if (!memberDef.interfaceDefinitions.includes(def)) {
+        memberDef.interfaceDefinitions.push(def)
+      }
+    }
+  })
+
+  // Without implementations, an interface type cannot be resolved
+  if (def.memberDefinitions.length === 0) {
+    handleWarning({
+      typeKey: 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
+      message:
+        `The discriminator in '${JSON.stringify(schema)}' does not map to ` +
+        `any object schema`,
+      mitigationAddendum: `The schema will be translated into an object type.`,
+      data,
+      log: preprocessingLog
+    })
+
+    def.type = 'object'
+    def.discriminatorMapping = undefined
+    def.memberDefinitions = undefined
+  }
+}
+
+/**
+ * Returns the data definitions that the values of the discriminator property
+ * in the given schema map to
+ *
+ * Explicitly mapped values take precedence over the given implicit mapping.
+ * Values that do not map to object schemas are ignored, as are values that
+ * map to schemas lacking properties of the interface type. Values that map to
+ * the base schema of an interface type map to an object type that implements
+ * the interface type with the properties of the base schema.
+ */
+function getDiscriminatorMapping(
+  def: DataDefinition,
+  schema: SchemaObject,
+  implicitMapping: { [discriminatorValue: string]: string },
+  isInputObjectType: boolean,
+  data: PreprocessingData,
+  oas?: Oas3,
+  namingContext?: Oas3Tools.NamingContext
+): { [discriminatorValue: string]: DataDefinition } {
+  const mapping = { ...implicitMapping }
+  if (typeof schema.discriminator.mapping === 'object') {
+    Object.keys(schema.discriminator.mapping).forEach(discriminatorValue => {
+      const ref = schema.discriminator.mapping[discriminatorValue]
+
+      // The mapping may contain schema names instead of references
+      mapping[discriminatorValue] = ref.includes('/')
+        ? ref
+        : `#/components/schemas/${ref}`
+    })
+  }
+
+  const discriminatorMapping = {}
+  Object.keys(mapping).forEach(discriminatorValue => {
+    const ref = mapping[discriminatorValue]
+    let memberDef = createDataDef(
+      { fromRef: ref.split('/').pop() },
+      Oas3Tools.resolveRef(ref, oas),
+      isInputObjectType,
+      data,
+      undefined,
+      oas,
+      namingContext
+    )
+
+    // The base schema may map to itself
+    if (memberDef === def) {
+      if (def.type !== 'interface') {
+        return
+      }
+
+      const { discriminator, ...baseSchema } = schema
+      memberDef = createDataDef(
+        { fromRef: `${def.preferredName}Base` },
+        baseSchema,
+        isInputObjectType,
+        data,
+        undefined,
+        oas,
+        namingContext
+      )
+    }
+
+    if (memberDef.type !== 'object') {
+      handleWarning({
+        typeKey: 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
+        message:
+          `The discriminator value '${discriminatorValue}' in ` +
+          `'${JSON.stringify(schema)}' does not map to an object schema`,
+        mitigationAddendum: `The discriminator value will be ignored.`,
+        data,
+        log: preprocessingLog
+      })
+      return
+    }
+
+    // Implementations must provide all fields of the interface type
+    if (def.type === 'interface') {
+      const missingPropertyNames = Object.keys(def.subDefinitions).filter(
+        propertyName => {
+          return (
+            typeof memberDef.subDefinitions === 'object' &&
+            !(propertyName in memberDef.subDefinitions)
+          )
+        }
+      )
+      if (missingPropertyNames.length > 0) {
+        handleWarning({
+          typeKey: 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
+          message:
+            `The discriminator value '${discriminatorValue}' in ` +
+            `'${JSON.stringify(schema)}' maps to a schema that lacks the ` +
+            `properties ${missingPropertyNames
+              .map(propertyName => `'${propertyName}'`)
+              .join(', ')} of the base schema`,
+          mitigationAddendum: `The discriminator value will be ignored.`,
+          data,
+          log: preprocessingLog
+        })
+        return
+      }
+    }
+
+    discriminatorMapping[discriminatorValue] = memberDef
+  })
+
+  return discriminatorMapping
+}
@@ -16,6 +16,11 @@ import * as NodeRequest from 'request'
 
 // Imports:
 import * as Oas3Tools from './oas_3_tools'
+import {
+  parseJsonPreservingBigInts,
+  stringifyJsonPreservingBigInts
+} from './scalars'
+import { validateArguments } from './validation'
 import * as querystring from 'querystring'
 import * as JSONPath from 'jsonpath-plus'
 import { debug } from 'debug'
@@ -36,9 +41,19 @@ type AuthOptions = {
   authCookie: NodeRequest.Cookie
 }
 
+/**
+ * Headers of the latest responses, by the info object of the field whose
+ * resolver has made the request
+ *
+ * Unlike the _openapiToGraphql object, it does not depend on the response data,
+ * which may be an empty list or be turned into a connection.
+ */
+const responseHeadersByInfo: WeakMap<object, any> = new WeakMap()
+
 type GetResolverParams = {
   operation: Operation
   argsFromLink?: { [key: string]: string }
+  requestBodyFromLink?: any
   payloadName?: string
   data: PreprocessingData
   baseUrl?: string
@@ -52,6 +67,7 @@ type GetResolverParams = {
 export function getResolver({
   operation,
   argsFromLink = {},
+  requestBodyFromLink,
   payloadName,
   data,
   baseUrl,
@@ -62,6 +78,14 @@ export function getResolver({
     baseUrl = Oas3Tools.getBaseUrl(operation)
   }
 
+  // Headers and query parameters that are set using the options
+  const optionHeaders = Oas3Tools.getResolverOption(
+    'headers',
+    operation.oas,
+    data
+  )
+  const optionQs = Oas3Tools.getResolverOption('qs', operation.oas, data)
+
   // Return custom resolver if it is defined
   const customResolvers = data.options.customResolvers
   const title = operation.oas.info.title
@@ -79,8 +103,44 @@ export function getResolver({
     return customResolvers[title][path][method]
   }
 
+  /**
+   * Objects nested in the response data only need the _openapiToGraphql object
+   * to resolve their link fields and to name the operation in the errors of
+   * non-null fields
+   */
+  const passOnToNestedObjects =
+    data.options.nonNullOutputFields ||
+    hasNestedLinks(operation.responseDefinition)
+
   // Return resolve function:
   return (root: any, args, ctx, info = {}) => {
+    // Map arguments with custom names back onto the parameters
+    operation.parameters.forEach(param => {
+      const argName = Oas3Tools.getArgName(param, operation)
+      const paramName = Oas3Tools.sanitize(param.name)
+      if (argName !== paramName && argName in args) {
+        args = { ...args, [paramName]: args[argName] }
+        delete args[argName]
+      }
+    })
+
+    // Reject invalid arguments before making any request
+    if (data.options.validateArguments) {
+      const validationErrors = validateArguments(
+        args,
+        operation,
+        payloadName,
+        data
+      )
+      if (validationErrors.length > 0) {
+        throw graphQLErrorWithExtensions(
+          `Invalid arguments for operation ${operation.operationString}: ` +
+            validationErrors.map(error => error.message).join('; '),
+          { validationErrors }
+        )
+      }
+    }
+
     /**
      * Retch resolveData from possibly existing _openapiToGraphql
      *
@@ -88,25 +148,16 @@ export function getResolver({
      * from previous resolvers
      */
     let resolveData: any = {}
-    if (
-      root &&
-      typeof root === 'object' &&
-      typeof root['_openapiToGraphql'] === 'object' &&
-      typeof root['_openapiToGraphql'].data === 'object'
-    ) {
-      const parentIdentifier = getParentIdentifier(info)
-      if (
-        !(parentIdentifier.length === 0) &&
-        parentIdentifier in root['_openapiToGraphql'].data
-      ) {
+    if (typeof info['path'] === 'object') {
+      // Links may be resolved on list items and objects nested in the response
+      const parentResolveData = getResolveData(root, info)
+      if (typeof parentResolveData === 'object') {
         /**
          * Resolving link params may change the usedParams, but these changes
          * should not be present in the parent _openapiToGraphql, therefore copy
          * the object
          */
-        resolveData = JSON.parse(
-          JSON.stringify(root['_openapiToGraphql'].data[parentIdentifier])
-        )
+        resolveData = JSON.parse(JSON.stringify(parentResolveData))
       }
     }
 
@@ -141,42 +192,30 @@ export function getResolver({
 
     // Handle arguments provided by links
     for (let paramName in argsFromLink) {
-      let value = argsFromLink[paramName]
-
       let paramNameWithoutLocation = paramName
       if (paramName.indexOf('.') !== -1) {
         paramNameWithoutLocation = paramName.split('.')[1]
       }
-      /**
-       * see if the link parameter contains constants that are appended to the link parameter
-       *
-       * e.g. instead of:
-       * $response.body#/employerId
-       *
-       * it could be:
-       * abc_{$response.body#/employerId}
-       */
-      if (value.search(/{|}/) === -1) {
-        args[paramNameWithoutLocation] = isRuntimeExpression(value)
-          ? resolveLinkParameter(paramName, value, resolveData, root, args)
-          : value
-      } else {
-        // Replace link parameters with appropriate values
-        const linkParams = value.match(/{([^}]*)}/g)
-        linkParams.forEach(linkParam => {
-          value = value.replace(
-            linkParam,
-            resolveLinkParameter(
-              paramName,
-              linkParam.substring(1, linkParam.length - 1),
-              resolveData,
-              root,
-              args
-            )
-          )
-        })
-        args[paramNameWithoutLocation] = value
-      }
+
+      args[paramNameWithoutLocation] = resolveLinkValue(
+        paramName,
+        argsFromLink[paramName],
+        resolveData,
+        root,
+        args
+      )
+    }
+
+    // Handle request body provided by links
+    let payloadFromLink
+    if (typeof requestBodyFromLink !== 'undefined') {
+      payloadFromLink = resolveLinkValue(
+        'requestBody',
+        requestBodyFromLink,
+        resolveData,
+        root,
+        args
+      )
     }
 
     // Stored used parameters to future requests:
@@ -242,10 +281,32 @@ export function getResolver({
       if (sanePayloadName in args) {
         if (typeof args[sanePayloadName] === 'object') {
           // We need to desanitize the payload so the API understands it:
-          const rawPayload = JSON.stringify(
-            Oas3Tools.desanitizeObjKeys(args[sanePayloadName], data.saneMap)
+          let desanePayload = Oas3Tools.desanitizeObjKeys(
+            restoreFieldNames(
+              args[sanePayloadName],
+              operation.payloadDefinition,
+              data
+            ),
+            data.saneMap
           )
 
+          // Turn lists of key/value entries back into maps
+          if (data.options.typedMaps) {
+            desanePayload = entriesToMaps(
+              desanePayload,
+              operation.payloadDefinition
+            )
+          }
+
+          // Retain the precision of 64 bit integers for BigInt types
+          const rawPayload = data.options.formatScalars
+            ? stringifyJsonPreservingBigInts(
+                desanePayload,
+                operation.payloadDefinition,
+                data
+              )
+            : JSON.stringify(desanePayload)
+
           options.body = rawPayload
           resolveData.usedPayload = rawPayload
         } else {
@@ -258,21 +319,37 @@ export function getResolver({
       }
     }
 
+    // Send the request body provided by the link (if present)
+    if (
+      typeof payloadFromLink !== 'undefined' &&
+      typeof options.body === 'undefined'
+    ) {
+      // Strings are only sent as they are if the request body is not JSON
+      const rawPayload =
+        typeof payloadFromLink === 'string' &&
+        !headers['content-type'].includes('json')
+          ? payloadFromLink
+          : JSON.stringify(payloadFromLink)
+
+      options.body = rawPayload
+      resolveData.usedPayload = rawPayload
+    }
+
     /**
      * Pass on OpenAPI-to-GraphQL options
      */
     if (typeof data.options === 'object') {
       // Headers:
-      if (typeof data.options.headers === 'object') {
-        for (let header in data.options.headers) {
-          const val = data.options.headers[header]
+      if (typeof optionHeaders === 'object') {
+        for (let header in optionHeaders) {
+          const val = optionHeaders[header]
           options.headers[header] = val
         }
       }
       // Query string:
-      if (typeof data.options.qs === 'object') {
-        for (let query in data.options.qs) {
-          const val = data.options.qs[query]
+      if (typeof optionQs === 'object') {
+        for (let query in optionQs) {
+          const val = optionQs[query]
           options.qs[query] = val
         }
       }
@@ -313,6 +390,7 @@ export function getResolver({
 
     resolveData.usedRequestOptions = options
     resolveData.usedStatusCode = operation.statusCode
+    resolveData.operationString = operation.operationString
 
     // Make the call
     httpLog(
@@ -327,7 +405,10 @@ export function getResolver({
         if (err) {
           httpLog(err)
           reject(err)
-        } else if (response.statusCode < 200 || response.statusCode > 299) {
+        } else if (
+          (response.statusCode < 200 || response.statusCode > 299) &&
+          !isErrorMemberResponse(response, operation)
+        ) {
           httpLog(`${response.statusCode} - ${Oas3Tools.trim(body, 100)}`)
 
           const errorString = `Could not invoke operation ${operation.operationString}`
@@ -353,10 +434,18 @@ export function getResolver({
             reject(new Error(errorString))
           }
 
-          // Successful response 200-299
+          // Successful response 200-299, or error response that is a member
         } else {
           httpLog(`${response.statusCode} - ${Oas3Tools.trim(body, 100)}`)
 
+          // May differ from the status code of the operation
+          resolveData.usedStatusCode = String(response.statusCode)
+
+          resolveData.responseHeaders = response.headers
+          if (info && typeof info === 'object') {
+            responseHeadersByInfo.set(info, response.headers)
+          }
+
           if (response.headers['content-type']) {
             /**
              * Throw warning if the non-application/json content does not
@@ -396,7 +485,14 @@ export function getResolver({
               ) {
                 let responseBody
                 try {
-                  responseBody = JSON.parse(body)
+                  // Retain the precision of 64 bit integers for BigInt types
+                  responseBody = data.options.formatScalars
+                    ? parseJsonPreservingBigInts(
+                        body,
+                        operation.responseDefinition,
+                        data
+                      )
+                    : JSON.parse(body)
                 } catch (e) {
                   const errorString =
                     `Cannot JSON parse response body of ` +
@@ -407,7 +503,17 @@ export function getResolver({
                   reject(errorString)
                 }
 
-                resolveData.responseHeaders = response.headers
+                /**
+                 * Turn maps into lists of key/value entries before sanitizing,
+                 * as the keys of maps are data and must not be sanitized
+                 */
+                if (data.options.typedMaps) {
+                  responseBody = mapsToEntries(
+                    responseBody,
+                    operation.responseDefinition,
+                    resolveData.usedStatusCode
+                  )
+                }
 
                 // Deal with the fact that the server might send unsanitized data
                 let saneData = Oas3Tools.sanitizeObjKeys(
@@ -462,11 +568,16 @@ export function getResolver({
                       getIdentifier(info)
                     ] = resolveData
                   }
+
+                  if (passOnToNestedObjects) {
+                    passOnOpenapiToGraphql(saneData)
+                  }
                 }
 
                 // Apply limit argument
                 if (
                   data.options.addLimitArgument &&
+                  typeof operation.pagination !== 'object' &&
                   /**
                    * NOTE: Does not differentiate between autogenerated args and
                    * preexisting args
@@ -797,6 +908,11 @@ function resolveLinkParameter(
 
       // CASE: parameter in body
     } else if (value.startsWith('$response.body#')) {
+      const pointerValue = resolveJsonPointer(value.split('body#/')[1], root)
+      if (typeof pointerValue !== 'undefined') {
+        return pointerValue
+      }
+
       const tokens = JSONPath.JSONPath({
         path: value.split('body#/')[1],
         json: root
@@ -830,6 +946,91 @@ function resolveLinkParameter(
   )
 }
 
+/**
+ * Returns the value of a link parameter or of the request body of a link, in
+ * which all runtime expressions are replaced with the values they refer to
+ *
+ * Request bodies may be objects or lists composed of runtime expressions and
+ * constants.
+ */
+function resolveLinkValue(
+  name: string,
+  value: any,
+  resolveData: any,
+  root: any,
+  args: any
+): any {
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      return resolveLinkValue(name, item, resolveData, root, args)
+    })
+  } else if (typeof value === 'object' && value !== null) {
+    const result = {}
+    Object.keys(value).forEach(key => {
+      result[key] = resolveLinkValue(name, value[key], resolveData, root, args)
+    })
+    return result
+  } else if (typeof value !== 'string') {
+    return value
+  }
+
+  /**
+   * see if the link parameter contains constants that are appended to the link parameter
+   *
+   * e.g. instead of:
+   * $response.body#/employerId
+   *
+   * it could be:
+   * abc_{$response.body#/employerId}
+   */
+  if (value.search(/{|}/) === -1) {
+    return isRuntimeExpression(value)
+      ? resolveLinkParameter(name, value, resolveData, root, args)
+      : value
+  } else {
+    // Replace link parameters with appropriate values
+    const linkParams = value.match(/{([^}]*)}/g)
+    linkParams.forEach(linkParam => {
+      value = value.replace(
+        linkParam,
+        resolveLinkParameter(
+          name,
+          linkParam.substring(1, linkParam.length - 1),
+          resolveData,
+          root,
+          args
+        )
+      )
+    })
+    return value
+  }
+}
+
+/**
+ * Returns the value that the given JSON pointer (without the leading '/')
+ * refers to in the given sanitized response data, or undefined if there is
+ * none
+ *
+ * The pointer refers to the original property names, which may have been
+ * sanitized.
+ */
+function resolveJsonPointer(pointer: string, json: any): any {
+  return pointer.split('/').reduce((value, token) => {
+    if (value === null || typeof value !== 'object') {
+      return undefined
+    }
+
+    token = token.replace(/~1/g, '/').replace(/~0/g, '~')
+    return [
+      token,
+      Oas3Tools.sanitize(token),
+      Oas3Tools.simpleSanitize(token)
+    ].reduce((result, key) => {
+      return typeof result === 'undefined' ? value[key] : result
+    }, undefined)
+  }, json)
+}
+
 /**
  * Check if a string is a runtime expression in the context of link parameters
  */
@@ -866,11 +1067,468 @@ function getIdentifier(info): string {
 }
 
 /**
- * From the info object provided by the resolver, get the unique identifier of
- * the parent object
+ * Returns the resolveData of the closest ancestor field that made a request,
+ * or undefined if there is none
+ *
+ * Nested objects share the _openapiToGraphql object of the response data they
+ * are part of, so the identifiers of all ancestor fields have to be checked.
+ */
+export function getResolveData(source: any, info): any {
+  if (
+    !source ||
+    typeof source !== 'object' ||
+    typeof source['_openapiToGraphql'] !== 'object' ||
+    typeof source['_openapiToGraphql'].data !== 'object'
+  ) {
+    return
+  }
+
+  let path = info.path.prev
+  while (typeof path !== 'undefined') {
+    const identifier = getIdentifierRecursive(path)
+    if (identifier in source['_openapiToGraphql'].data) {
+      return source['_openapiToGraphql'].data[identifier]
+    }
+    path = path.prev
+  }
+}
+
+/**
+ * Returns the HTTP status code of the response that the given data of the field
+ * with the given info stems from, or undefined if it is not known
+ */
+export function getUsedStatusCode(source: any, info): string | undefined {
+  if (
+    source &&
+    typeof source === 'object' &&
+    typeof source['_openapiToGraphql'] === 'object' &&
+    typeof source['_openapiToGraphql'].data === 'object'
+  ) {
+    const resolveData = source['_openapiToGraphql'].data[getIdentifier(info)]
+    if (typeof resolveData === 'object') {
+      return resolveData.usedStatusCode
+    }
+  }
+}
+
+/**
+ * Returns the headers of the latest response that the resolver of the field
+ * with the given info has received, if any
+ */
+export function getResponseHeaders(info): { [key: string]: any } | undefined {
+  return responseHeadersByInfo.get(info)
+}
+
+/**
+ * Returns the headers of the response that the given parent object of the
+ * field with the given info stems from, or undefined if the parent object is
+ * not the response data of an operation
+ */
+export function getParentResponseHeaders(
+  source: any,
+  info
+): { [key: string]: any } | undefined {
+  if (
+    source &&
+    typeof source === 'object' &&
+    typeof source['_openapiToGraphql'] === 'object' &&
+    typeof source['_openapiToGraphql'].data === 'object' &&
+    typeof info.path.prev !== 'undefined'
+  ) {
+    const resolveData =
+      source['_openapiToGraphql'].data[getIdentifierRecursive(info.path.prev)]
+    if (typeof resolveData === 'object') {
+      return resolveData.responseHeaders
+    }
+  }
+}
+
+/**
+ * Returns whether the given error response is resolved as data, because it is
+ * a member of the union type of the operation (see the errorUnions option)
+ */
+function isErrorMemberResponse(
+  response: NodeRequest.Response,
+  operation: Operation
+): boolean {
+  return (
+    typeof response.headers['content-type'] === 'string' &&
+    response.headers['content-type'].includes('application/json') &&
+    typeof Oas3Tools.getStatusCodeMemberDef(
+      operation.responseDefinition,
+      String(response.statusCode)
+    ) === 'object'
+  )
+}
+
+/**
+ * Checks whether any object type that is nested in the given response data
+ * definition, i.e. that is not the returned object type itself or the item
+ * type of the returned list, has link fields
+ */
+function hasNestedLinks(
+  def: DataDefinition,
+  nested: boolean = false,
+  visited: { def: DataDefinition; nested: boolean }[] = []
+): boolean {
+  // A data definition may be the returned type and a nested one at once
+  if (
+    typeof def !== 'object' ||
+    def === null ||
+    visited.some(entry => entry.def === def && entry.nested === nested)
+  ) {
+    return false
+  }
+  visited.push({ def, nested })
+
+  if (
+    nested &&
+    typeof def.links === 'object' &&
+    Object.keys(def.links).length > 0
+  ) {
+    return true
+  }
+
+  // List items and union members are passed the _openapiToGraphql object
+  const memberDefs = Array.isArray(def.memberDefinitions)
+    ? def.memberDefinitions
+    : []
+  if (
+    memberDefs.some(memberDef => hasNestedLinks(memberDef, nested, visited))
+  ) {
+    return true
+  } else if (def.type === 'array') {
+    return hasNestedLinks(def.subDefinitions as DataDefinition, nested, visited)
+  } else if (def.type === 'map') {
+    return hasNestedLinks(def.subDefinitions as DataDefinition, true, visited)
+  } else if (def.type === 'object' || def.type === 'interface') {
+    return (
+      Object.values(
+        def.subDefinitions as { [fieldName: string]: DataDefinition }
+      ).some(subDef => hasNestedLinks(subDef, true, visited)) ||
+      hasNestedLinks(def.additionalPropertiesDefinition, true, visited)
+    )
+  }
+
+  return false
+}
+
+/**
+ * Recursively passes on the _openapiToGraphql object of the response data to
+ * all nested objects, so that the resolvers of their fields can access it
+ *
+ * The property is not enumerable, so it is not mistaken for response data.
+ */
+function passOnOpenapiToGraphql(value: any, openapiToGraphql?: object): void {
+  if (Array.isArray(value)) {
+    value.forEach(item => {
+      passOnOpenapiToGraphql(item, openapiToGraphql)
+    })
+  } else if (value && typeof value === 'object') {
+    if (typeof value['_openapiToGraphql'] === 'object') {
+      openapiToGraphql = value['_openapiToGraphql']
+    } else if (typeof openapiToGraphql === 'object') {
+      Object.defineProperty(value, '_openapiToGraphql', {
+        value: openapiToGraphql,
+        writable: true,
+        configurable: true
+      })
+    }
+
+    Object.keys(value).forEach(key => {
+      if (key !== '_openapiToGraphql') {
+        passOnOpenapiToGraphql(value[key], openapiToGraphql)
+      }
+    })
+  }
+}
+
+/**
+ * Recursively turns the maps in the given raw data, i.e. objects with
+ * additionalProperties, into lists of key/value entries
+ *
+ * The HTTP status code of the response, if given, determines the member type
+ * of a union type that combines the responses of an operation.
+ */
+export function mapsToEntries(
+  value: any,
+  def: DataDefinition,
+  statusCode?: string
+): any {
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    typeof def !== 'object' ||
+    def === null
+  ) {
+    return value
+  }
+
+  if (def.type === 'union' && !Array.isArray(value)) {
+    return mapsToEntries(value, getMemberDef(value, def, statusCode))
+  } else if (def.type === 'array' && Array.isArray(value)) {
+    return value.map(item => {
+      return mapsToEntries(item, def.subDefinitions as DataDefinition)
+    })
+  } else if (def.type === 'map' && !Array.isArray(value)) {
+    return Object.keys(value).map(key => {
+      return {
+        key,
+        value: mapsToEntries(value[key], def.subDefinitions as DataDefinition)
+      }
+    })
+  } else if (
+    (def.type === 'object' || def.type === 'interface') &&
+    !Array.isArray(value)
+  ) {
+    const objectDef = getObjectDef(value, def)
+    const subDefinitions = objectDef.subDefinitions as {
+      [fieldName: string]: DataDefinition
+    }
+
+    const result = {}
+    const additionalProperties = {}
+    Object.keys(value).forEach(key => {
+      if (key in subDefinitions) {
+        result[key] = mapsToEntries(value[key], subDefinitions[key])
+      } else if (typeof objectDef.additionalPropertiesDefinition === 'object') {
+        additionalProperties[key] = value[key]
+      } else {
+        result[key] = value[key]
+      }
+    })
+
+    if (Object.keys(additionalProperties).length > 0) {
+      result['additionalProperties'] = mapsToEntries(
+        additionalProperties,
+        objectDef.additionalPropertiesDefinition
+      )
+    }
+
+    return result
+  }
+
+  return value
+}
+
+/**
+ * Recursively turns the lists of key/value entries in the given desanitized
+ * payload back into maps
+ *
+ * Input union types are arbitrary JSON types, so their values are passed on
+ * as they are.
+ */
+function entriesToMaps(value: any, def: DataDefinition): any {
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    typeof def !== 'object' ||
+    def === null
+  ) {
+    return value
+  }
+
+  if (def.type === 'array' && Array.isArray(value)) {
+    return value.map(item => {
+      return entriesToMaps(item, def.subDefinitions as DataDefinition)
+    })
+  } else if (def.type === 'map' && Array.isArray(value)) {
+    const result = {}
+    value.forEach(entry => {
+      result[entry.key] = entriesToMaps(
+        entry.value,
+        def.subDefinitions as DataDefinition
+      )
+    })
+    return result
+  } else if (
+    (def.type === 'object' || def.type === 'interface') &&
+    !Array.isArray(value)
+  ) {
+    const objectDef = getObjectDef(value, def)
+    const subDefinitions = objectDef.subDefinitions as {
+      [fieldName: string]: DataDefinition
+    }
+
+    const result = {}
+    Object.keys(value).forEach(key => {
+      if (key in subDefinitions) {
+        result[key] = entriesToMaps(value[key], subDefinitions[key])
+      } else if (
+        key === 'additionalProperties' &&
+        typeof objectDef.additionalPropertiesDefinition === 'object'
+      ) {
+        Object.assign(
+          result,
+          entriesToMaps(value[key], objectDef.additionalPropertiesDefinition)
+        )
+      } else {
+        result[key] = value[key]
+      }
+    })
+
+    return result
+  }
+
+  return value
+}
+
+/**
+ * Recursively renames the input object fields in the given payload that are
+ * named using the x-graphql-field-name extension back to the sanitized
+ * property keys
  */
-function getParentIdentifier(info): string {
-  return getIdentifierRecursive(info.path.prev)
+function restoreFieldNames(
+  value: any,
+  def: DataDefinition,
+  data: PreprocessingData
+): any {
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    typeof def !== 'object' ||
+    def === null
+  ) {
+    return value
+  }
+
+  if (def.type === 'array' && Array.isArray(value)) {
+    return value.map(item => {
+      return restoreFieldNames(item, def.subDefinitions as DataDefinition, data)
+    })
+  } else if (def.type === 'map' && Array.isArray(value)) {
+    return value.map(entry => {
+      return {
+        ...entry,
+        value: restoreFieldNames(
+          entry.value,
+          def.subDefinitions as DataDefinition,
+          data
+        )
+      }
+    })
+  } else if (
+    (def.type === 'object' || def.type === 'interface') &&
+    !Array.isArray(value)
+  ) {
+    const subDefinitions = def.subDefinitions as {
+      [fieldName: string]: DataDefinition
+    }
+
+    // Field names of the input object type and their properties
+    const propertyKeys = {}
+    Object.keys(subDefinitions).forEach(propertyKey => {
+      const fieldName =
+        typeof def.fieldNames === 'object' && propertyKey in def.fieldNames
+          ? def.fieldNames[propertyKey]
+          : data.options.simpleFieldNames
+          ? Oas3Tools.simpleSanitize(propertyKey)
+          : Oas3Tools.sanitize(propertyKey)
+      propertyKeys[fieldName] = propertyKey
+    })
+
+    const result = {}
+    Object.keys(value).forEach(key => {
+      if (key in propertyKeys) {
+        const propertyKey = propertyKeys[key]
+        const saneKey = data.options.simpleFieldNames
+          ? Oas3Tools.simpleSanitize(propertyKey)
+          : Oas3Tools.sanitize(propertyKey)
+
+        result[saneKey] = restoreFieldNames(
+          value[key],
+          subDefinitions[propertyKey],
+          data
+        )
+      } else if (
+        key === 'additionalProperties' &&
+        typeof def.additionalPropertiesDefinition === 'object'
+      ) {
+        result[key] = restoreFieldNames(
+          value[key],
+          def.additionalPropertiesDefinition,
+          data
+        )
+      } else {
+        result[key] = value[key]
+      }
+    })
+
+    return result
+  }
+
+  return value
+}
+
+/**
+ * Returns the data definition of the implementing object type that the
+ * discriminator value in the given raw data maps to, if the data definition is
+ * an interface type, and the given data definition otherwise
+ */
+function getObjectDef(value: object, def: DataDefinition): DataDefinition {
+  if (
+    typeof def.discriminatorMapping === 'object' &&
+    value[def.schema.discriminator.propertyName] in def.discriminatorMapping
+  ) {
+    return def.discriminatorMapping[
+      value[def.schema.discriminator.propertyName]
+    ]
+  }
+
+  return def
+}
+
+/**
+ * Returns the data definition of the member of the union type that the given
+ * raw data belongs to, i.e. the one that the HTTP status code or the
+ * discriminator maps to or else the one that requires no missing properties
+ * and shares the most properties with the data
+ */
+function getMemberDef(
+  value: object,
+  def: DataDefinition,
+  statusCode?: string
+): DataDefinition | undefined {
+  if (typeof statusCode === 'string') {
+    const statusCodeMemberDef = Oas3Tools.getStatusCodeMemberDef(
+      def,
+      statusCode
+    )
+    if (typeof statusCodeMemberDef === 'object') {
+      return statusCodeMemberDef
+    }
+  }
+
+  const discriminatedDef = getObjectDef(value, def)
+  if (discriminatedDef !== def) {
+    return discriminatedDef
+  }
+
+  const keys = Object.keys(value)
+  let bestMemberDef: DataDefinition
+  let bestScore = -Infinity
+  def.memberDefinitions.forEach(memberDef => {
+    const subDefinitions = memberDef.subDefinitions as {
+      [fieldName: string]: DataDefinition
+    }
+    if (
+      (memberDef.type !== 'object' && memberDef.type !== 'interface') ||
+      (Array.isArray(memberDef.required) &&
+        !memberDef.required.every(propertyKey => keys.includes(propertyKey)))
+    ) {
+      return
+    }
+
+    const score = keys.reduce((sum, key) => {
+      return key in subDefinitions ? sum + 1 : sum - 1
+    }, 0)
+    if (score > bestScore) {
+      bestMemberDef = memberDef
+      bestScore = score
+    }
+  })
+
+  return bestMemberDef
 }
 
 /**
@@ -0,0 +1,518 @@
+// Copyright IBM Corp. 2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Custom GraphQL scalar types for the formats of JSON schemas.
+ */
+
+// Type imports:
+import { SchemaObject } from './types/oas3'
+import { DataDefinition } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+import { GraphQLScalarType, Kind, ValueNode } from 'graphql'
+
+// Imports:
+import { URL } from 'url'
+
+type ScalarConfig = {
+  name: string
+  description: string
+  typeName: string // Human-readable name of the type, used in error messages
+  isValid: (value: string) => boolean
+  serialize?: (value: any) => any // Converts non-string output values
+}
+
+const DATE_TIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})[Tt ](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+$/
+const BASE64_REGEX = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/
+const INTEGER_REGEX = /^-?\d+$/
+// Sticky, to match numbers at a given index
+const NUMBER_REGEX = new RegExp('-?\\d+(\\.\\d+)?([eE][+-]?\\d+)?', 'y')
+
+/**
+ * Date and time according to RFC 3339, section 5.6
+ */
+export const GraphQLDateTime = createStringScalar({
+  name: 'DateTime',
+  description:
+    'The `DateTime` scalar type represents a date and time string as ' +
+    'defined in RFC 3339, e.g. "2018-07-21T17:32:28Z".',
+  typeName: 'date-time',
+  isValid: value => {
+    const match = DATE_TIME_REGEX.exec(value)
+    return (
+      match !== null &&
+      isValidDate(match[1], match[2], match[3]) &&
+      Number(match[4]) < 24 &&
+      Number(match[5]) < 60 &&
+      Number(match[6]) < 61 // Leap seconds
+    )
+  },
+  serialize: value => {
+    if (value instanceof Date && !isNaN(value.getTime())) {
+      return value.toISOString()
+    }
+  }
+})
+
+/**
+ * Full date according to RFC 3339, section 5.6
+ */
+export const GraphQLDate = createStringScalar({
+  name: 'Date',
+  description:
+    'The `Date` scalar type represents a full date string as defined in ' +
+    'RFC 3339, e.g. "2018-07-21".',
+  typeName: 'date',
+  isValid: value => {
+    const match = DATE_REGEX.exec(value)
+    return match !== null && isValidDate(match[1], match[2], match[3])
+  },
+  serialize: value => {
+    if (value instanceof Date && !isNaN(value.getTime())) {
+      return value.toISOString().split('T')[0]
+    }
+  }
+})
+
+/**
+ * Email address
+ */
+export const GraphQLEmail = createStringScalar({
+  name: 'Email',
+  description:
+    'The `Email` scalar type represents an email address, e.g. ' +
+    '"jane.doe@example.com".',
+  typeName: 'email',
+  isValid: value => EMAIL_REGEX.test(value)
+})
+
+/**
+ * Absolute URL
+ */
+export const GraphQLURL = createStringScalar({
+  name: 'URL',
+  description:
+    'The `URL` scalar type represents an absolute URL, e.g. ' +
+    '"https://example.com/path".',
+  typeName: 'URL',
+  isValid: value => {
+    try {
+      return typeof new URL(value) === 'object'
+    } catch (e) {
+      return false
+    }
+  },
+  serialize: value => {
+    if (value instanceof URL) {
+      return value.toString()
+    }
+  }
+})
+
+/**
+ * Base64 encoded binary data
+ */
+export const GraphQLBase64 = createStringScalar({
+  name: 'Base64',
+  description:
+    'The `Base64` scalar type represents binary data encoded as a base64 ' +
+    'string, e.g. "SGVsbG8=".',
+  typeName: 'base64',
+  isValid: value => BASE64_REGEX.test(value),
+  serialize: value => {
+    if (Buffer.isBuffer(value)) {
+      return value.toString('base64')
+    }
+  }
+})
+
+/**
+ * 64 bit integer
+ *
+ * Values are serialized as strings because JSON numbers cannot represent
+ * integers larger than 2^53 without losing precision. Input values are passed
+ * on to the API as numbers (see stringifyJsonPreservingBigInts()).
+ */
+export const GraphQLBigInt = new GraphQLScalarType({
+  name: 'BigInt',
+  description:
+    'The `BigInt` scalar type represents a signed 64-bit integer. It is ' +
+    'serialized as a string to avoid a loss of precision, and can be ' +
+    'provided either as a string or as an integer.',
+  serialize: value => {
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      return String(value)
+    } else if (typeof value === 'string' && isBigInt(value)) {
+      return value
+    }
+
+    throw new TypeError(
+      `BigInt cannot represent non-integer value: ${JSON.stringify(value)}`
+    )
+  },
+  parseValue: value => {
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      return value
+    } else if (typeof value === 'string' && isBigInt(value)) {
+      return toIntegerOrString(value)
+    }
+
+    throw new TypeError(
+      `BigInt cannot represent non-integer value: ${JSON.stringify(value)}`
+    )
+  },
+  parseLiteral: (ast: ValueNode) => {
+    if (
+      (ast.kind === Kind.INT || ast.kind === Kind.STRING) &&
+      isBigInt(ast.value)
+    ) {
+      return toIntegerOrString(ast.value)
+    }
+
+    // Invalid literal
+    return undefined
+  }
+})
+
+/**
+ * The built-in custom scalars, identified by the format and the type of the
+ * schema they represent
+ */
+const FORMAT_SCALARS: {
+  [format: string]: { type: string; scalar: GraphQLScalarType }
+} = {
+  'date-time': { type: 'string', scalar: GraphQLDateTime },
+  date: { type: 'string', scalar: GraphQLDate },
+  email: { type: 'string', scalar: GraphQLEmail },
+  uri: { type: 'string', scalar: GraphQLURL },
+  url: { type: 'string', scalar: GraphQLURL },
+  byte: { type: 'string', scalar: GraphQLBase64 },
+  int64: { type: 'integer', scalar: GraphQLBigInt }
+}
+
+/**
+ * Returns the custom scalar type for the format of the given schema, or
+ * undefined if there is none
+ *
+ * Scalars that are registered by the user through the customScalars option
+ * take precedence over the built-in ones, which are only used if the
+ * formatScalars option is enabled.
+ */
+export function getFormatScalar(
+  schema: SchemaObject,
+  data: PreprocessingData
+): GraphQLScalarType | undefined {
+  const format = schema.format
+  if (typeof format !== 'string') {
+    return
+  }
+
+  if (
+    typeof data.options.customScalars === 'object' &&
+    typeof data.options.customScalars[format] === 'object'
+  ) {
+    return data.options.customScalars[format]
+  }
+
+  if (
+    data.options.formatScalars &&
+    format in FORMAT_SCALARS &&
+    FORMAT_SCALARS[format].type === schema.type
+  ) {
+    return FORMAT_SCALARS[format].scalar
+  }
+}
+
+/**
+ * Parses the given JSON text like JSON.parse() does, except that integers
+ * outside of the safe integer range are turned into strings to retain their
+ * precision, if they are located where the data definition expects a BigInt
+ */
+export function parseJsonPreservingBigInts(
+  text: string,
+  def: DataDefinition,
+  data: PreprocessingData
+): any {
+  // Only integers with at least 16 digits can exceed the safe integer range
+  if (!/\d{16}/.test(text)) {
+    return JSON.parse(text)
+  }
+
+  let result = ''
+  let inString = false
+  let index = 0
+
+  while (index < text.length) {
+    const char = text[index]
+
+    if (inString) {
+      if (char === '\\') {
+        // Skip the escaped character
+        result += char + text[index + 1]
+        index += 2
+        continue
+      } else if (char === '"') {
+        inString = false
+      }
+    } else if (char === '"') {
+      inString = true
+    } else if (char === '-' || (char >= '0' && char <= '9')) {
+      NUMBER_REGEX.lastIndex = index
+      const numberMatch = NUMBER_REGEX.exec(text)
+      if (numberMatch !== null) {
+        const token = numberMatch[0]
+        result +=
+          INTEGER_REGEX.test(token) && !Number.isSafeInteger(Number(token))
+            ? `"${token}"`
+            : token
+        index += token.length
+        continue
+      }
+    }
+
+    result += char
+    index++
+  }
+
+  return restoreBigInts(JSON.parse(result), JSON.parse(text), [def], data)
+}
+
+/**
+ * Serializes the given payload like JSON.stringify() does, except that the
+ * (string) values of the BigInt scalar type are written as JSON numbers
+ */
+export function stringifyJsonPreservingBigInts(
+  value: any,
+  def: DataDefinition,
+  data: PreprocessingData
+): string {
+  return stringifyValue(value, [def], data)
+}
+
+/**
+ * Recursively picks the values with preserved integers where the data
+ * definitions expect a BigInt, and the regularly parsed values elsewhere
+ */
+function restoreBigInts(
+  preservedValue: any,
+  parsedValue: any,
+  defs: DataDefinition[],
+  data: PreprocessingData
+): any {
+  if (defs.some(def => isBigIntDef(def, data))) {
+    return preservedValue
+  } else if (preservedValue === null || typeof preservedValue !== 'object') {
+    return parsedValue
+  } else if (Array.isArray(preservedValue)) {
+    const itemDefs = getNestedDefs(defs, undefined)
+    return preservedValue.map((item, index) => {
+      return restoreBigInts(item, parsedValue[index], itemDefs, data)
+    })
+  }
+
+  const result = {}
+  Object.keys(preservedValue).forEach(key => {
+    result[key] = restoreBigInts(
+      preservedValue[key],
+      parsedValue[key],
+      getNestedDefs(defs, key),
+      data
+    )
+  })
+  return result
+}
+
+/**
+ * Recursively serializes the given value, writing the integer strings where
+ * the data definitions expect a BigInt as JSON numbers
+ *
+ * Returns undefined for values that JSON.stringify() omits.
+ */
+function stringifyValue(
+  value: any,
+  defs: DataDefinition[],
+  data: PreprocessingData
+): string | undefined {
+  if (
+    typeof value === 'string' &&
+    INTEGER_REGEX.test(value) &&
+    defs.some(def => isBigIntDef(def, data))
+  ) {
+    return value
+  } else if (
+    value === null ||
+    typeof value !== 'object' ||
+    typeof value.toJSON === 'function' ||
+    defs.length === 0
+  ) {
+    return JSON.stringify(value)
+  } else if (Array.isArray(value)) {
+    const itemDefs = getNestedDefs(defs, undefined)
+    const items = value.map(item => {
+      const json = stringifyValue(item, itemDefs, data)
+      return typeof json === 'string' ? json : 'null'
+    })
+    return `[${items.join(',')}]`
+  }
+
+  const properties = []
+  Object.keys(value).forEach(key => {
+    const json = stringifyValue(value[key], getNestedDefs(defs, key), data)
+    if (typeof json === 'string') {
+      properties.push(`${JSON.stringify(key)}:${json}`)
+    }
+  })
+  return `{${properties.join(',')}}`
+}
+
+/**
+ * Returns the data definitions of the array items (if the key is undefined) or
+ * of the property with the given key that the given data definitions may hold
+ *
+ * As the member type of a union or interface type depends on the data, the
+ * data definitions of all members are considered.
+ */
+function getNestedDefs(
+  defs: DataDefinition[],
+  key: string | undefined
+): DataDefinition[] {
+  const nestedDefs: DataDefinition[] = []
+
+  const addNestedDefs = (def: DataDefinition, visited: DataDefinition[]) => {
+    if (typeof def !== 'object' || def === null || visited.includes(def)) {
+      return
+    }
+
+    if (Array.isArray(def.memberDefinitions)) {
+      def.memberDefinitions.forEach(memberDef => {
+        addNestedDefs(memberDef, [...visited, def])
+      })
+    }
+
+    if (typeof key === 'undefined') {
+      if (def.type === 'array') {
+        nestedDefs.push(def.subDefinitions as DataDefinition)
+      }
+    } else if (def.type === 'map') {
+      nestedDefs.push(def.subDefinitions as DataDefinition)
+    } else if (def.type === 'object' || def.type === 'interface') {
+      const subDefinitions = def.subDefinitions as {
+        [fieldName: string]: DataDefinition
+      }
+      if (key in subDefinitions) {
+        nestedDefs.push(subDefinitions[key])
+      } else if (typeof def.additionalPropertiesDefinition === 'object') {
+        nestedDefs.push(
+          def.additionalPropertiesDefinition.subDefinitions as DataDefinition
+        )
+      }
+    }
+  }
+
+  defs.forEach(def => addNestedDefs(def, []))
+  return nestedDefs
+}
+
+/**
+ * Checks whether the given data definition is translated into the BigInt
+ * scalar type
+ */
+function isBigIntDef(def: DataDefinition, data: PreprocessingData): boolean {
+  return (
+    typeof def === 'object' &&
+    def !== null &&
+    typeof def.schema === 'object' &&
+    getFormatScalar(def.schema, data) === GraphQLBigInt
+  )
+}
+
+/**
+ * Creates a scalar type that is represented as a string in both directions and
+ * only accepts valid strings
+ */
+function createStringScalar({
+  name,
+  description,
+  typeName,
+  isValid,
+  serialize
+}: ScalarConfig): GraphQLScalarType {
+  const validate = (value: any): string => {
+    if (typeof value === 'string' && isValid(value)) {
+      return value
+    }
+
+    throw new TypeError(
+      `${name} cannot represent an invalid ${typeName} value: ` +
+        `${JSON.stringify(value)}`
+    )
+  }
+
+  return new GraphQLScalarType({
+    name,
+    description,
+    serialize: value => {
+      if (typeof serialize === 'function') {
+        const serializedValue = serialize(value)
+        if (typeof serializedValue !== 'undefined') {
+          return serializedValue
+        }
+      }
+
+      return validate(value)
+    },
+    parseValue: validate,
+    parseLiteral: (ast: ValueNode) => {
+      if (ast.kind === Kind.STRING && isValid(ast.value)) {
+        return ast.value
+      }
+
+      // Invalid literal
+      return undefined
+    }
+  })
+}
+
+/**
+ * Checks whether the given year, month, and day make up an existing date
+ */
+function isValidDate(year: string, month: string, day: string): boolean {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  return (
+    date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === Number(month) - 1 &&
+    date.getUTCDate() === Number(day)
+  )
+}
+
+/**
+ * Checks whether the given string is an integer within the 64 bit range
+ */
+function isBigInt(value: string): boolean {
+  if (!INTEGER_REGEX.test(value)) {
+    return false
+  }
+
+  const digits = value.replace('-', '').replace(/^0+(?=\d)/, '')
+  const limit = value.startsWith('-')
+    ? '9223372036854775808'
+    : '9223372036854775807'
+
+  return (
+    digits.length < limit.length ||
+    (digits.length === limit.length && digits <= limit)
+  )
+}
+
+/**
+ * Returns the integer as a number if it can be represented without losing
+ * precision, and as a string otherwise
+ */
+function toIntegerOrString(value: string): number | string {
+  const numberValue = Number(value)
+  return Number.isSafeInteger(numberValue) ? numberValue : value
+}
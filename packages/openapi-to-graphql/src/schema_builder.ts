@@ -9,7 +9,7 @@
 
 // Type imports:
 import { PreprocessingData } from './types/preprocessing_data'
-import { Operation, DataDefinition } from './types/operation'
+import { Operation, DataDefinition, ResponseHeader } from './types/operation'
 import {
   Oas3,
   SchemaObject,
@@ -17,7 +17,7 @@ import {
   ReferenceObject,
   LinkObject
 } from './types/oas3'
-import { Args, GraphQLType } from './types/graphql'
+import { Args, Field, GraphQLType } from './types/graphql'
 import {
   GraphQLScalarType,
   GraphQLObjectType,
@@ -30,24 +30,38 @@ import {
   GraphQLList,
   GraphQLInputObjectType,
   GraphQLEnumType,
+  GraphQLUnionType,
+  GraphQLInterfaceType,
   GraphQLFieldConfigMap,
-  GraphQLOutputType
+  GraphQLFieldResolver,
+  GraphQLOutputType,
+  GraphQLResolveInfo,
+  DEFAULT_DEPRECATION_REASON
 } from 'graphql'
 
 // Imports:
 import * as GraphQLJSON from 'graphql-type-json'
 import * as Oas3Tools from './oas_3_tools'
-import { getResolver } from './resolver_builder'
+import {
+  getResolver,
+  getResolveData,
+  getUsedStatusCode,
+  getResponseHeaders,
+  getParentResponseHeaders
+} from './resolver_builder'
 import { createDataDef } from './preprocessor'
 import debug from 'debug'
 import { handleWarning, sortObject } from './utils'
+import { getFormatScalar } from './scalars'
+import { getConstraintsDescription } from './validation'
+import { GraphQLNode, getNodeIdField } from './node_interface'
 
 // Type definitions & exports:
 type GetGraphQLTypeParams = {
   def: DataDefinition
   operation?: Operation
   data: PreprocessingData // Data produced by preprocessing
-  iteration?: number // Count of recursions used to create type
+  chain?: DataDefinition[] // Definitions of the enclosing types being created
   isInputObjectType?: boolean // Whether to create an Input Type
 }
 
@@ -61,7 +75,7 @@ type GetArgsParams = {
 type CreateOrReuseOtParams = {
   def: DataDefinition
   operation?: Operation
-  iteration: number
+  chain: DataDefinition[]
   isInputObjectType: boolean
   data: PreprocessingData
 }
@@ -69,13 +83,37 @@ type CreateOrReuseOtParams = {
 type CreateOrReuseListParams = {
   def: DataDefinition
   operation?: Operation
-  iteration: number
+  chain: DataDefinition[]
+  isInputObjectType: boolean
+  data: PreprocessingData
+}
+
+type CreateOrReuseMapParams = {
+  def: DataDefinition
+  operation?: Operation
+  chain: DataDefinition[]
   isInputObjectType: boolean
   data: PreprocessingData
 }
 
+type CreateOrReuseUnionParams = {
+  def: DataDefinition
+  operation?: Operation
+  chain: DataDefinition[]
+  isInputObjectType: boolean
+  data: PreprocessingData
+}
+
+type CreateOrReuseInterfaceParams = {
+  def: DataDefinition
+  operation?: Operation
+  chain: DataDefinition[]
+  data: PreprocessingData
+}
+
 type CreateOrReuseEnumParams = {
   def: DataDefinition
+  operation?: Operation
   data: PreprocessingData
 }
 
@@ -88,7 +126,7 @@ type CreateFieldsParams = {
   def: DataDefinition
   links: { [key: string]: LinkObject }
   operation?: Operation
-  iteration: number
+  chain: DataDefinition[]
   isInputObjectType: boolean
   data: PreprocessingData
 }
@@ -109,25 +147,47 @@ export function getGraphQLType({
   def,
   operation,
   data,
-  iteration = 0,
+  chain = [],
   isInputObjectType = false
 }: GetGraphQLTypeParams): GraphQLType {
   const name = isInputObjectType ? def.iotName : def.otName
 
-  // Avoid excessive iterations
-  if (iteration === 50) {
-    throw new Error(`Too many iterations when creating schema ${name}`)
+  /**
+   * Recursive schemas reuse the (input) object type that is being created, as
+   * its fields are only resolved later on. Other types, like lists, require
+   * their content to be created first and can therefore not contain
+   * themselves.
+   */
+  const chainIndex = chain.indexOf(def)
+  if (chainIndex !== -1) {
+    const pendingType = isInputObjectType ? def.iot : def.ot
+    if (typeof pendingType !== 'undefined') {
+      return pendingType
+    }
+
+    const referenceChain = [...chain.slice(chainIndex), def]
+      .map(chainDef => (isInputObjectType ? chainDef.iotName : chainDef.otName))
+      .join(' -> ')
+    throw new Error(
+      `Cannot create type '${name}' because it contains itself through the ` +
+        `reference chain ${referenceChain}`
+    )
   }
 
   const type = def.type
 
-  // CASE: object - create ObjectType
-  if (type === 'object') {
+  /**
+   * CASE: object - create ObjectType
+   *
+   * GraphQL does not support input interface types so the shared properties of
+   * an interface are translated into an input object type
+   */
+  if (type === 'object' || (type === 'interface' && isInputObjectType)) {
     return createOrReuseOt({
       def,
       operation,
       data,
-      iteration,
+      chain,
       isInputObjectType
     })
 
@@ -137,14 +197,44 @@ export function getGraphQLType({
       def,
       operation,
       data,
-      iteration,
+      chain,
       isInputObjectType
     })
 
+    // CASE: map - create list of entry types
+  } else if (type === 'map') {
+    return createOrReuseMap({
+      def,
+      operation,
+      data,
+      chain,
+      isInputObjectType
+    })
+
+    // CASE: union - create UnionType
+  } else if (type === 'union') {
+    return createOrReuseUnion({
+      def,
+      operation,
+      data,
+      chain,
+      isInputObjectType
+    })
+
+    // CASE: interface - create InterfaceType
+  } else if (type === 'interface') {
+    return createOrReuseInterface({
+      def,
+      operation,
+      data,
+      chain
+    })
+
     // CASE: enum - create EnumType
   } else if (type === 'enum') {
     return createOrReuseEnum({
       def,
+      operation,
       data
     })
 
@@ -176,7 +266,7 @@ function createOrReuseOt({
   def,
   operation,
   data,
-  iteration,
+  chain,
   isInputObjectType
 }: CreateOrReuseOtParams): GraphQLType {
   // Try to reuse a preexisting (input) object type
@@ -242,6 +332,35 @@ function createOrReuseOt({
     return GraphQLJSON
   }
 
+  /**
+   * Input object types must contain at least one field, which is not the case
+   * if all properties are readOnly
+   */
+  if (
+    isInputObjectType &&
+    typeof def.additionalPropertiesDefinition !== 'object' &&
+    Object.keys(def.subDefinitions).length > 0 &&
+    Object.keys(def.subDefinitions).every(propertyKey => {
+      return !isPropertyOfType(
+        def.subDefinitions[propertyKey].schema,
+        isInputObjectType
+      )
+    })
+  ) {
+    handleWarning({
+      typeKey: 'OBJECT_MISSING_PROPERTIES',
+      message:
+        `The operation ` +
+        `'${operation.operationString}' contains ` +
+        `an object schema ${JSON.stringify(schema)} with only readOnly ` +
+        `properties. GraphQL input objects must have well-defined ` +
+        `properties so a one to one conversion cannot be achieved.`,
+      data,
+      log: translationLog
+    })
+    return GraphQLJSON
+  }
+
   // CASE: query - create object type
   if (!isInputObjectType) {
     translationLog(
@@ -260,9 +379,32 @@ function createOrReuseOt({
           links: def.links,
           operation,
           data,
-          iteration,
+          chain,
           isInputObjectType
         })
+      },
+      interfaces: () => {
+        const interfaces: GraphQLInterfaceType[] = []
+
+        if (Array.isArray(def.interfaceDefinitions)) {
+          def.interfaceDefinitions.forEach(interfaceDef => {
+            interfaces.push(
+              getGraphQLType({
+                def: interfaceDef,
+                operation,
+                data,
+                chain: [...chain, def],
+                isInputObjectType: false
+              }) as GraphQLInterfaceType
+            )
+          })
+        }
+
+        if (typeof def.nodeOperation === 'object') {
+          interfaces.push(GraphQLNode)
+        }
+
+        return interfaces
       }
     })
 
@@ -290,7 +432,7 @@ function createOrReuseOt({
           links: undefined,
           operation,
           data,
-          iteration,
+          chain,
           isInputObjectType
         })
       }
@@ -306,7 +448,7 @@ function createOrReuseOt({
 function createOrReuseList({
   def,
   operation,
-  iteration,
+  chain,
   isInputObjectType,
   data
 }: CreateOrReuseListParams): GraphQLList<any> {
@@ -336,12 +478,19 @@ function createOrReuseList({
     def: itemDef,
     data,
     operation,
-    iteration: iteration + 1,
+    chain: [...chain, def],
     isInputObjectType
   })
 
   if (itemsType !== null) {
-    const listObjectType = new GraphQLList(itemsType)
+    // List items in responses are non-null unless the schema states otherwise
+    const listObjectType = new GraphQLList(
+      !isInputObjectType &&
+      data.options.nonNullOutputFields &&
+      itemsSchema.nullable !== true
+        ? new GraphQLNonNull(itemsType)
+        : itemsType
+    )
 
     // Store newly created List Object Type
     if (!isInputObjectType) {
@@ -356,11 +505,398 @@ function createOrReuseList({
   }
 }
 
+/**
+ * Returns an existing map or creates a new one, and stores it in data
+ *
+ * GraphQL does not support maps, so a map is translated into a list of entry
+ * types consisting of the key and the (typed) value.
+ */
+function createOrReuseMap({
+  def,
+  operation,
+  chain,
+  isInputObjectType,
+  data
+}: CreateOrReuseMapParams): GraphQLList<any> {
+  // Try to reuse existing list of entries
+  if (!isInputObjectType && def.ot && typeof def.ot !== 'undefined') {
+    translationLog(`Reuse map '${def.otName}'`)
+    return def.ot as GraphQLList<any>
+  } else if (isInputObjectType && def.iot && typeof def.iot !== 'undefined') {
+    translationLog(`Reuse map '${def.iotName}'`)
+    return def.iot as GraphQLList<any>
+  }
+
+  translationLog(`Create map '${def.otName}'`)
+
+  // Get definition of the map values, which should be in the sub definitions
+  const valueDef = def.subDefinitions as DataDefinition
+
+  const getValueType = () => {
+    return getGraphQLType({
+      def: valueDef,
+      operation,
+      data,
+      chain: [...chain, def],
+      isInputObjectType
+    })
+  }
+
+  // CASE: query - create list of entry object types
+  if (!isInputObjectType) {
+    const entryType = new GraphQLObjectType({
+      name: `${def.otName}Entry`,
+      description: def.schema.description,
+      fields: () => {
+        return {
+          key: {
+            type: new GraphQLNonNull(GraphQLString)
+          },
+          value: {
+            type: getValueType() as GraphQLOutputType,
+            description: valueDef.schema.description
+          }
+        }
+      }
+    })
+
+    def.ot = new GraphQLList(
+      data.options.nonNullOutputFields
+        ? new GraphQLNonNull(entryType)
+        : entryType
+    )
+    return def.ot
+
+    // CASE: mutation - create list of entry input object types
+  } else {
+    const entryInputType = new GraphQLInputObjectType({
+      name: `${def.otName}EntryInput`,
+      description: def.schema.description,
+      fields: () => {
+        return {
+          key: {
+            type: new GraphQLNonNull(GraphQLString)
+          },
+          value: {
+            type: getValueType() as GraphQLInputObjectType,
+            description: valueDef.schema.description
+          }
+        }
+      }
+    })
+
+    def.iot = new GraphQLList(new GraphQLNonNull(entryInputType))
+    return def.iot
+  }
+}
+
+/**
+ * Returns an existing union type or creates a new one, and stores it in data
+ *
+ * GraphQL does not support input union types so for input object types, the
+ * arbitrary JSON type is used instead.
+ */
+function createOrReuseUnion({
+  def,
+  operation,
+  chain,
+  isInputObjectType,
+  data
+}: CreateOrReuseUnionParams): GraphQLUnionType | GraphQLScalarType {
+  // CASE: mutation - use arbitrary JSON type
+  if (isInputObjectType) {
+    if (def.iot && typeof def.iot !== 'undefined') {
+      translationLog(`Reuse input union type '${def.iotName}'`)
+      return def.iot as GraphQLScalarType
+    }
+
+    handleWarning({
+      typeKey: 'INPUT_UNION_OBJECT',
+      message:
+        `GraphQL does not support input union types so the input schema ` +
+        `'${JSON.stringify(def.schema)}' cannot be translated into an ` +
+        `input object type.`,
+      data,
+      log: translationLog
+    })
+
+    def.iot = GraphQLJSON
+    return def.iot as GraphQLScalarType
+  }
+
+  // CASE: query - reuse or create union type
+  if (def.ot && typeof def.ot !== 'undefined') {
+    translationLog(`Reuse GraphQLUnionType '${def.otName}'`)
+    return def.ot as GraphQLUnionType
+  }
+
+  translationLog(`Create GraphQLUnionType '${def.otName}'`)
+
+  def.ot = new GraphQLUnionType({
+    name: def.otName,
+    description: def.schema.description,
+    types: () => {
+      return def.memberDefinitions
+        .map(memberDef => {
+          return getGraphQLType({
+            def: memberDef,
+            operation,
+            data,
+            chain: [...chain, def],
+            isInputObjectType: false
+          })
+        })
+        .filter(memberType => {
+          // Objects without properties are turned into arbitrary JSON types
+          return memberType instanceof GraphQLObjectType
+        }) as GraphQLObjectType[]
+    },
+    resolveType: (source, context, info) => {
+      // Members that are arbitrary JSON types are not part of the union
+      const isObjectMemberDef = (memberDef: DataDefinition | undefined) => {
+        return (
+          typeof memberDef === 'object' &&
+          memberDef.ot instanceof GraphQLObjectType
+        )
+      }
+
+      const memberDef = [
+        getStatusCodeMemberDef(source, info, def),
+        getDiscriminatedMemberDef(source, def, data),
+        getMatchingMemberDef(
+          source,
+          def.memberDefinitions.filter(isObjectMemberDef),
+          data
+        )
+      ].find(isObjectMemberDef)
+
+      if (typeof memberDef === 'undefined') {
+        throw new Error(
+          `Cannot determine the member type of union '${def.otName}' that ` +
+            `the response data '${JSON.stringify(source)}' belongs to`
+        )
+      }
+      return memberDef.ot as GraphQLObjectType
+    }
+  })
+
+  return def.ot
+}
+
+/**
+ * Returns the data definition that the HTTP status code of the response maps
+ * to, if the union type combines the responses of an operation
+ */
+function getStatusCodeMemberDef(
+  source: object,
+  info: GraphQLResolveInfo,
+  def: DataDefinition
+): DataDefinition | undefined {
+  const statusCode = getUsedStatusCode(source, info)
+  if (typeof statusCode === 'string') {
+    return Oas3Tools.getStatusCodeMemberDef(def, statusCode)
+  }
+}
+
+/**
+ * Returns an existing interface type or creates a new one, and stores it in
+ * data
+ *
+ * The interface type carries the properties of the base schema, i.e. the
+ * schema containing the discriminator. As the implementing object types may
+ * only be reachable through the interface type, they are created right away.
+ */
+function createOrReuseInterface({
+  def,
+  operation,
+  chain,
+  data
+}: CreateOrReuseInterfaceParams): GraphQLInterfaceType {
+  if (def.ot && typeof def.ot !== 'undefined') {
+    translationLog(`Reuse GraphQLInterfaceType '${def.otName}'`)
+    return def.ot as GraphQLInterfaceType
+  }
+
+  translationLog(`Create GraphQLInterfaceType '${def.otName}'`)
+
+  def.ot = new GraphQLInterfaceType({
+    name: def.otName,
+    description: def.schema.description,
+    fields: () => {
+      // Link fields would also have to be present in every implementation
+      return createFields({
+        def,
+        links: undefined,
+        operation,
+        data,
+        chain,
+        isInputObjectType: false
+      })
+    },
+    resolveType: source => {
+      const memberDef =
+        getDiscriminatedMemberDef(source, def, data) ||
+        getMatchingMemberDef(source, def.memberDefinitions, data)
+      return typeof memberDef === 'object'
+        ? (memberDef.ot as GraphQLObjectType)
+        : undefined
+    }
+  })
+
+  def.memberDefinitions.forEach(memberDef => {
+    getGraphQLType({
+      def: memberDef,
+      operation,
+      data,
+      chain: [...chain, def],
+      isInputObjectType: false
+    })
+  })
+
+  return def.ot
+}
+
+/**
+ * Returns the data definition that the value of the discriminator property in
+ * the given (sanitized) response data maps to, if any
+ */
+function getDiscriminatedMemberDef(
+  source: object,
+  def: DataDefinition,
+  data: PreprocessingData
+): DataDefinition | undefined {
+  if (
+    typeof def.discriminatorMapping !== 'object' ||
+    typeof source !== 'object' ||
+    source === null
+  ) {
+    return
+  }
+
+  const propertyName = def.schema.discriminator.propertyName
+  const sanePropertyName = data.options.simpleFieldNames
+    ? Oas3Tools.simpleSanitize(propertyName)
+    : Oas3Tools.sanitize(propertyName)
+
+  const discriminatorValue = source[sanePropertyName]
+  if (typeof discriminatorValue === 'string') {
+    return def.discriminatorMapping[discriminatorValue]
+  }
+}
+
+/**
+ * Returns the data definition among the given member data definitions whose
+ * schema best matches the given (sanitized) response data
+ *
+ * A member schema matches the data if the data contains all of the properties
+ * that the schema requires and if the values agree with the property types.
+ * Among the matching member schemas, the one that shares the most properties
+ * with the data is selected.
+ */
+function getMatchingMemberDef(
+  source: object,
+  memberDefs: DataDefinition[],
+  data: PreprocessingData
+): DataDefinition | undefined {
+  if (typeof source !== 'object' || source === null) {
+    return
+  }
+
+  const sourceKeys = Object.keys(source).filter(key => {
+    return key !== '_openapiToGraphql'
+  })
+
+  let bestMemberDef: DataDefinition
+  let bestScore = -Infinity
+  let bestIsMatch = false
+
+  memberDefs.forEach(memberDef => {
+    // Responses do not contain writeOnly properties
+    const fieldDefs = {}
+    for (let propertyKey in memberDef.subDefinitions as {
+      [fieldName: string]: DataDefinition
+    }) {
+      if (
+        isPropertyOfType(memberDef.subDefinitions[propertyKey].schema, false)
+      ) {
+        const saneKey = data.options.simpleFieldNames
+          ? Oas3Tools.simpleSanitize(propertyKey)
+          : Oas3Tools.sanitize(propertyKey)
+        fieldDefs[saneKey] = memberDef.subDefinitions[propertyKey]
+      }
+    }
+
+    const required = getRequiredProperties(memberDef, false)
+
+    const isMatch =
+      required.every(propertyKey => {
+        const saneKey = data.options.simpleFieldNames
+          ? Oas3Tools.simpleSanitize(propertyKey)
+          : Oas3Tools.sanitize(propertyKey)
+        return sourceKeys.includes(saneKey)
+      }) &&
+      sourceKeys.every(key => {
+        return (
+          !(key in fieldDefs) ||
+          isValueOfDataDefType(source[key], fieldDefs[key])
+        )
+      })
+
+    const score = sourceKeys.reduce((sum, key) => {
+      return key in fieldDefs ? sum + 1 : sum - 1
+    }, 0)
+
+    if (
+      (isMatch && !bestIsMatch) ||
+      (isMatch === bestIsMatch && score > bestScore)
+    ) {
+      bestMemberDef = memberDef
+      bestScore = score
+      bestIsMatch = isMatch
+    }
+  })
+
+  return bestMemberDef
+}
+
+/**
+ * Determines whether the given value agrees with the type of the data
+ * definition
+ */
+function isValueOfDataDefType(value: any, def: DataDefinition): boolean {
+  if (value === null || typeof value === 'undefined') {
+    return true
+  }
+
+  switch (def.type) {
+    case 'object':
+    case 'union':
+    case 'interface':
+      return typeof value === 'object' && !Array.isArray(value)
+    case 'array':
+    case 'map': // Maps are converted into lists of entries
+      return Array.isArray(value)
+    case 'enum':
+      return def.schema.enum.includes(value)
+    case 'string':
+    case 'id':
+      return typeof value === 'string'
+    case 'integer':
+    case 'number':
+      return typeof value === 'number'
+    case 'boolean':
+      return typeof value === 'boolean'
+    default:
+      return true
+  }
+}
+
 /**
  * Returns an existing enum type or creates a new one, and stores it in data
  */
 function createOrReuseEnum({
   def,
+  operation,
   data
 }: CreateOrReuseEnumParams): GraphQLEnumType {
   /**
@@ -374,11 +910,67 @@ function createOrReuseEnum({
   } else {
     translationLog(`Create GraphQLEnumType '${def.otName}'`)
 
+    /**
+     * Values can be deprecated using the x-deprecated-enum-values extension,
+     * which either lists them or maps them to the reasons
+     */
+    const deprecatedValues = def.schema['x-deprecated-enum-values']
+    const getValueDeprecationReason = (value: any): string | undefined => {
+      if (Array.isArray(deprecatedValues)) {
+        return deprecatedValues.includes(value)
+          ? DEFAULT_DEPRECATION_REASON
+          : undefined
+      } else if (
+        typeof deprecatedValues === 'object' &&
+        deprecatedValues !== null &&
+        value.toString() in deprecatedValues
+      ) {
+        const reason = deprecatedValues[value.toString()]
+        return typeof reason === 'string' ? reason : DEFAULT_DEPRECATION_REASON
+      }
+    }
+
+    // Names of values can be set using the x-graphql-enum-values extension
+    const valueNames =
+      typeof def.schema['x-graphql-enum-values'] === 'object'
+        ? def.schema['x-graphql-enum-values']
+        : {}
+
     const values = {}
     def.schema.enum.forEach(e => {
-      // Force enum values to string
-      values[Oas3Tools.sanitize(e.toString(), false)] = {
-        value: e
+      let extensionName: string
+      if (e.toString() in valueNames) {
+        if (Oas3Tools.isGraphQLName(valueNames[e.toString()])) {
+          extensionName = valueNames[e.toString()]
+        } else {
+          handleWarning({
+            typeKey: 'INVALID_GRAPHQL_EXTENSION',
+            message:
+              `The name '${JSON.stringify(valueNames[e.toString()])}' of ` +
+              `the enum value '${e}' in the extension ` +
+              `'x-graphql-enum-values' is not a valid GraphQL name.`,
+            data,
+            log: translationLog
+          })
+        }
+      }
+
+      // The enumValueNamer option may override the (sanitized) name
+      const valueName =
+        Oas3Tools.getNameFromHook(
+          'enumValueNamer',
+          [extensionName, e.toString()],
+          def.schema,
+          operation,
+          data
+        ) ||
+        extensionName ||
+        // Force enum values to string
+        Oas3Tools.sanitize(e.toString(), false)
+
+      values[valueName] = {
+        value: e,
+        deprecationReason: getValueDeprecationReason(e)
       }
     })
 
@@ -420,6 +1012,9 @@ function getScalarType({
     case 'json':
       def.ot = GraphQLJSON
       break
+    case 'format':
+      def.ot = getFormatScalar(def.schema, data)
+      break
     default:
       throw new Error(`Cannot process schema type '${def.type}'.`)
   }
@@ -435,7 +1030,7 @@ function createFields({
   links,
   operation,
   data,
-  iteration,
+  chain,
   isInputObjectType
 }: CreateFieldsParams): GraphQLFieldConfigMap<any, any> {
   let fields: GraphQLFieldConfigMap<any, any> = {}
@@ -444,17 +1039,25 @@ function createFields({
     [fieldName: string]: DataDefinition
   }
 
+  // Only required properties that are part of this (input) object type count
+  const required = getRequiredProperties(def, isInputObjectType)
+
   // Create fields for properties
   for (let fieldTypeKey in fieldTypeDefinitions) {
     const fieldTypeDefinition = fieldTypeDefinitions[fieldTypeKey]
     const schema = fieldTypeDefinition.schema
 
+    // Drop readOnly properties from input object types and vice versa
+    if (!isPropertyOfType(schema, isInputObjectType)) {
+      continue
+    }
+
     // Get object type describing the property
     const objectType = getGraphQLType({
       def: fieldTypeDefinition,
       operation,
       data,
-      iteration: iteration + 1,
+      chain: [...chain, def],
       isInputObjectType
     })
 
@@ -464,6 +1067,13 @@ function createFields({
       'required' in def.schema && // The full schema, not subschema, will contain the required property
       def.schema.required.includes(fieldTypeKey)
 
+    // Determine if this property is required and non-nullable in responses
+    const reqQueryProp =
+      !isInputObjectType &&
+      data.options.nonNullOutputFields &&
+      required.includes(fieldTypeKey) &&
+      schema.nullable !== true
+
     // Finally, add the object type to the fields (using sanitized field name)
     if (objectType) {
       const sanePropName = Oas3Tools.sanitizeAndStore(
@@ -472,20 +1082,150 @@ function createFields({
         data.options.simpleFieldNames
       )
 
+      // The field name may be set using the x-graphql-field-name extension
+      const fieldName =
+        typeof def.fieldNames === 'object' && fieldTypeKey in def.fieldNames
+          ? def.fieldNames[fieldTypeKey]
+          : sanePropName
+
+      if (fieldName in fields) {
+        handleWarning({
+          typeKey: 'DUPLICATE_FIELD_NAME',
+          message:
+            `Cannot create a field for property '${fieldTypeKey}' of ` +
+            `'${JSON.stringify(def.schema)}' because the object already ` +
+            `contains a field named '${fieldName}'.`,
+          data,
+          log: translationLog
+        })
+        continue
+      }
+
+      let description =
+        isInputObjectType && data.options.validateArguments
+          ? addConstraintsToDescription(schema.description, schema)
+          : schema.description
+
+      const deprecationReason = Oas3Tools.getDeprecationReason(schema)
+      if (isInputObjectType) {
+        description = addDeprecationToDescription(
+          description,
+          deprecationReason
+        )
+      }
+
+      fields[fieldName] = {
+        type:
+          reqMutationProp || reqQueryProp
+            ? new GraphQLNonNull(objectType)
+            : (objectType as GraphQLOutputType),
+
+        description,
+
+        // Input object fields cannot be deprecated in GraphQL
+        deprecationReason: isInputObjectType ? undefined : deprecationReason
+      }
+
+      if (isInputObjectType) {
+        const inputField = fields[fieldName]
+        inputField.defaultValue = getDefaultValue(fieldTypeDefinition, data)
+      }
+
+      // Point at the operation if the API does not adhere to the schema
+      if (
+        reqQueryProp ||
+        (!isInputObjectType &&
+          data.options.nonNullOutputFields &&
+          objectType instanceof GraphQLList &&
+          objectType.ofType instanceof GraphQLNonNull)
+      ) {
+        fields[fieldName].resolve = getNonNullFieldResolver(
+          fieldTypeKey,
+          sanePropName
+        )
+      } else if (!isInputObjectType && fieldName !== sanePropName) {
+        // The data still uses the sanitized property keys
+        fields[fieldName].resolve = source => source[sanePropName]
+      }
+    }
+  }
+
+  // Create field for the map of additional properties
+  if (typeof def.additionalPropertiesDefinition === 'object') {
+    const sanePropName = Oas3Tools.sanitize('additionalProperties')
+
+    if (sanePropName in fields) {
+      handleWarning({
+        typeKey: 'DUPLICATE_FIELD_NAME',
+        message:
+          `Cannot create a field for the additional properties of ` +
+          `'${JSON.stringify(def.schema)}' because the object already ` +
+          `contains a field with the same (sanitized) name.`,
+        data,
+        log: translationLog
+      })
+    } else {
       fields[sanePropName] = {
-        type: reqMutationProp
-          ? new GraphQLNonNull(objectType)
-          : (objectType as GraphQLOutputType),
+        type: getGraphQLType({
+          def: def.additionalPropertiesDefinition,
+          operation,
+          data,
+          chain: [...chain, def],
+          isInputObjectType
+        }) as GraphQLOutputType,
+        description: `Additional properties of the object as key/value entries`
+      }
+    }
+  }
 
-        description: schema.description
+  // Create field for the global ID of objects implementing the Node interface
+  if (!isInputObjectType && typeof def.nodeOperation === 'object') {
+    // Preserve the original id property
+    if ('id' in fields) {
+      if ('rawId' in fields) {
+        handleWarning({
+          typeKey: 'DUPLICATE_FIELD_NAME',
+          message:
+            `Cannot create a field for the original id property of ` +
+            `'${def.otName}' because the object already contains a field ` +
+            `named 'rawId'.`,
+          data,
+          log: translationLog
+        })
+      } else {
+        const idField = fields['id']
+        fields['rawId'] = {
+          ...idField,
+          resolve: (source, args, context, info) => {
+            return typeof idField.resolve === 'function'
+              ? idField.resolve(source, args, context, {
+                  ...info,
+                  fieldName: 'id'
+                })
+              : source['id']
+          }
+        }
       }
     }
+
+    fields['id'] = getNodeIdField(def, data)
   }
 
-  // Create fields for links
+  // Create fields for the documented headers of the responses of this type
+  if (!isInputObjectType && Array.isArray(def.responseHeaders)) {
+    addResponseHeaderFields(
+      fields,
+      def.responseHeaders,
+      getParentResponseHeaders,
+      def.otName,
+      operation,
+      data
+    )
+  }
+
+  // Create fields for links, whether the object type is nested or not
   if (
-    iteration === 0 &&
-    operation && // Only for operation-level object types
+    operation &&
     typeof operation === 'object' && // Operation is provided
     typeof links === 'object' && // Links are present
     !isInputObjectType // Only object type (input object types cannot make use of links)
@@ -510,7 +1250,12 @@ function createFields({
         let linkedOpId
         // TODO: href is yet another alternative to operationRef and operationId
         if (typeof link.operationId === 'string') {
-          linkedOpId = link.operationId
+          // The operationId references an operation of the same OAS
+          linkedOpId = Oas3Tools.getOperationKey(
+            link.operationId,
+            operation.oas,
+            data
+          )
         } else if (typeof link.operationRef === 'string') {
           linkedOpId = linkOpRefToOpId({
             links,
@@ -543,11 +1288,25 @@ function createFields({
           // Get resolve function for link
           const linkResolver = getResolver({
             operation: linkedOp,
-            argsFromLink: Oas3Tools.sanitizeObjectKeys(argsFromLink) as {
-              [key: string]: string
-            },
+            // Links may provide a request body instead of parameters
+            argsFromLink:
+              typeof argsFromLink === 'object'
+                ? (Oas3Tools.sanitizeObjectKeys(argsFromLink) as {
+                    [key: string]: string
+                  })
+                : undefined,
+            requestBodyFromLink: link.requestBody,
             data,
-            baseUrl: data.options.baseUrl
+            // The server of the link overrides the base URL
+            baseUrl:
+              typeof link.server === 'object'
+                ? Oas3Tools.getServerUrl(link.server)
+                : Oas3Tools.getResolverOption('baseUrl', linkedOp.oas, data),
+            requestOptions: Oas3Tools.getResolverOption(
+              'requestOptions',
+              linkedOp.oas,
+              data
+            )
           })
 
           // Get args for link
@@ -577,7 +1336,8 @@ function createFields({
             type: resObjectType,
             resolve: linkResolver,
             args,
-            description
+            description,
+            deprecationReason: linkedOp.deprecationReason
           }
         } else {
           handleWarning({
@@ -596,7 +1356,8 @@ function createFields({
 }
 
 /**
- * Returns the operationId that an operationRef is associated to
+ * Returns the operationId that an operationRef is associated to, i.e. the key
+ * of the operation in the preprocessing data
  *
  * NOTE: If the operation does not natively have operationId, this function
  *  will try to produce an operationId the same way preprocessor.js does it.
@@ -769,8 +1530,9 @@ function linkOpRefToOpId({
               linkedOpId = Oas3Tools.generateOperationId(linkMethod, linkPath)
             }
 
-            if (linkedOpId in data.operations) {
-              return linkedOpId
+            const linkedOpKey = Oas3Tools.getOperationKey(linkedOpId, oas, data)
+            if (linkedOpKey in data.operations) {
+              return linkedOpKey
             } else {
               handleWarning({
                 typeKey: 'UNRESOLVABLE_LINK',
@@ -872,19 +1634,24 @@ export function getArgs({
       continue
     }
 
+    // Parameters can be hidden using the x-graphql-skip extension
+    if (parameter['x-graphql-skip'] === true) {
+      continue
+    }
+
     // TODO: update with requestOptions
     // If this parameter is provided via options, ignore
     if (typeof data.options === 'object') {
-      if (
-        typeof data.options.headers === 'object' &&
-        parameter.name in data.options.headers
-      ) {
+      const headers = Oas3Tools.getResolverOption(
+        'headers',
+        operation.oas,
+        data
+      )
+      if (typeof headers === 'object' && parameter.name in headers) {
         continue
       }
-      if (
-        typeof data.options.qs === 'object' &&
-        parameter.name in data.options.qs
-      ) {
+      const qs = Oas3Tools.getResolverOption('qs', operation.oas, data)
+      if (typeof qs === 'object' && parameter.name in qs) {
         continue
       }
     }
@@ -941,7 +1708,10 @@ export function getArgs({
       { fromRef: parameter.name },
       schema as SchemaObject,
       true,
-      data
+      data,
+      undefined,
+      operation.oas,
+      operation
     )
 
     // @ts-ignore
@@ -949,17 +1719,18 @@ export function getArgs({
       def: paramDef,
       operation,
       data,
-      iteration: 0,
+      chain: [],
       isInputObjectType: true
     })
 
     /**
-     * Sanitize the argument name
+     * Sanitize the argument name, unless it is set using the argNamer option or
+     * the x-graphql-arg-name extension
      *
      * NOTE: when matching these parameters back to requests, we need to again
      * use the real parameter name
      */
-    const saneName = Oas3Tools.sanitize(parameter.name)
+    const saneName = Oas3Tools.getArgName(parameter, operation)
 
     // Parameters are not required when a default exists:
     let hasDefault = false
@@ -974,15 +1745,30 @@ export function getArgs({
     }
     const paramRequired = parameter.required && !hasDefault
 
+    let description = data.options.validateArguments
+      ? addConstraintsToDescription(
+          parameter.description,
+          schema as SchemaObject
+        )
+      : parameter.description // Might be undefined
+
+    // Arguments cannot be deprecated in GraphQL
+    description = addDeprecationToDescription(
+      description,
+      Oas3Tools.getDeprecationReason(parameter)
+    )
+
     args[saneName] = {
       type: paramRequired ? new GraphQLNonNull(type) : type,
-      description: parameter.description // Might be undefined
+      description,
+      defaultValue: getDefaultValue(paramDef, data)
     }
   }
 
-  // Add limit argument
+  // Add limit argument (unless the list is paginated by a connection)
   if (
     data.options.addLimitArgument &&
+    typeof operation.pagination !== 'object' &&
     typeof operation.responseDefinition === 'object' &&
     operation.responseDefinition.schema.type === 'array' &&
     // Only add limit argument to lists of object types, not to lists of scalar types
@@ -1034,7 +1820,9 @@ export function getArgs({
     }
     args[saneName] = {
       type: reqRequired ? new GraphQLNonNull(reqObjectType) : reqObjectType,
-      description: def.schema.description
+      description: data.options.validateArguments
+        ? addConstraintsToDescription(def.schema.description, def.schema)
+        : def.schema.description
     }
   }
 
@@ -1042,6 +1830,394 @@ export function getArgs({
   return args
 }
 
+/**
+ * Returns the default value of the schema of the given data definition as the
+ * default value of a GraphQL argument or input object field, or undefined if
+ * there is none or if it does not agree with the schema
+ */
+function getDefaultValue(def: DataDefinition, data: PreprocessingData): any {
+  if (typeof def.schema.default === 'undefined') {
+    return undefined
+  }
+
+  const defaultValue = toInputValue(def.schema.default, def, data)
+  if (typeof defaultValue === 'undefined') {
+    handleWarning({
+      typeKey: 'INVALID_DEFAULT_VALUE',
+      message:
+        `The default value '${JSON.stringify(def.schema.default)}' of ` +
+        `'${JSON.stringify(def.schema)}' does not agree with its schema.`,
+      data,
+      log: translationLog
+    })
+  }
+
+  return defaultValue
+}
+
+/**
+ * Converts the given value of the data definition into a value of the
+ * corresponding GraphQL input type, or returns undefined if the value does not
+ * agree with the data definition
+ *
+ * I.e. properties are renamed to the names of the input object fields and maps
+ * are converted into lists of key/value entries. Enum values are kept, as the
+ * enum types map them to the (sanitized) names of the GraphQL enum values.
+ */
+function toInputValue(
+  value: any,
+  def: DataDefinition,
+  data: PreprocessingData
+): any {
+  if (value === null) {
+    return value
+  }
+
+  switch (def.type) {
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return undefined
+      }
+
+      const items = value.map(item => {
+        return toInputValue(item, def.subDefinitions as DataDefinition, data)
+      })
+      return items.includes(undefined) ? undefined : items
+    }
+
+    case 'map': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return undefined
+      }
+
+      const entries = Object.keys(value).map(key => {
+        return {
+          key,
+          value: toInputValue(
+            value[key],
+            def.subDefinitions as DataDefinition,
+            data
+          )
+        }
+      })
+      return entries.some(entry => typeof entry.value === 'undefined')
+        ? undefined
+        : entries
+    }
+
+    case 'object':
+    case 'interface': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return undefined
+      }
+
+      const subDefinitions = def.subDefinitions as {
+        [propertyKey: string]: DataDefinition
+      }
+
+      const result = {}
+      const additionalProperties = {}
+      for (let propertyKey in value) {
+        if (propertyKey in subDefinitions) {
+          // Drop properties that are not part of the input object type
+          if (!isPropertyOfType(subDefinitions[propertyKey].schema, true)) {
+            continue
+          }
+
+          const fieldName =
+            typeof def.fieldNames === 'object' && propertyKey in def.fieldNames
+              ? def.fieldNames[propertyKey]
+              : data.options.simpleFieldNames
+              ? Oas3Tools.simpleSanitize(propertyKey)
+              : Oas3Tools.sanitize(propertyKey)
+          const fieldValue = toInputValue(
+            value[propertyKey],
+            subDefinitions[propertyKey],
+            data
+          )
+          if (typeof fieldValue === 'undefined') {
+            return undefined
+          }
+          result[fieldName] = fieldValue
+        } else {
+          additionalProperties[propertyKey] = value[propertyKey]
+        }
+      }
+
+      // Additional properties are stored in a list of key/value entries
+      if (
+        typeof def.additionalPropertiesDefinition === 'object' &&
+        Object.keys(additionalProperties).length > 0
+      ) {
+        const entries = toInputValue(
+          additionalProperties,
+          def.additionalPropertiesDefinition,
+          data
+        )
+        if (typeof entries === 'undefined') {
+          return undefined
+        }
+        result[Oas3Tools.sanitize('additionalProperties')] = entries
+      }
+
+      return result
+    }
+
+    default:
+      return isValueOfDataDefType(value, def) ? value : undefined
+  }
+}
+
+/**
+ * Returns a field that wraps the response data, which the given field of the
+ * given operation resolves on, in a payload type that also holds the documented
+ * headers of the response (see the responseHeaders option)
+ */
+export function getResponsePayloadField(
+  field: Field,
+  operation: Operation,
+  data: PreprocessingData
+): Field {
+  const type = new GraphQLObjectType({
+    name: operation.responsePayloadName,
+    description: `The response of operation ${operation.operationString}, including its headers`,
+    fields: () => {
+      const fields: GraphQLFieldConfigMap<any, any> = {
+        data: {
+          type: field.type as GraphQLOutputType,
+          description: `The response data`
+        }
+      }
+      addResponseHeaderFields(
+        fields,
+        operation.responseHeaders,
+        payload => payload.headers,
+        operation.responsePayloadName,
+        operation,
+        data
+      )
+      return fields
+    }
+  })
+
+  return {
+    ...field,
+    type,
+    resolve: (root, args, ctx, info) => {
+      return Promise.resolve(field.resolve(root, args, ctx, info)).then(
+        value => {
+          return { data: value, headers: getResponseHeaders(info) }
+        }
+      )
+    }
+  }
+}
+
+/**
+ * Adds a field for every given response header to the given fields of the
+ * object type with the given name
+ *
+ * The fields resolve on the headers that the given function returns for their
+ * parent object, and are null if the header is missing.
+ */
+function addResponseHeaderFields(
+  fields: GraphQLFieldConfigMap<any, any>,
+  responseHeaders: ResponseHeader[],
+  getHeaders: (
+    source: any,
+    info: GraphQLResolveInfo
+  ) => { [key: string]: any } | undefined,
+  typeName: string,
+  operation: Operation,
+  data: PreprocessingData
+): void {
+  responseHeaders.forEach(({ name, description, definition }) => {
+    const fieldName = data.options.simpleFieldNames
+      ? Oas3Tools.simpleSanitize(name)
+      : Oas3Tools.sanitize(name)
+
+    if (fieldName in fields) {
+      handleWarning({
+        typeKey: 'DUPLICATE_FIELD_NAME',
+        message:
+          `Cannot create a field for the response header '${name}' ` +
+          `because '${typeName}' already contains a field with the same ` +
+          `(sanitized) name.`,
+        data,
+        log: translationLog
+      })
+      return
+    }
+
+    fields[fieldName] = {
+      type: getGraphQLType({
+        def: definition,
+        operation,
+        data
+      }) as GraphQLOutputType,
+      description:
+        typeof description === 'string'
+          ? description
+          : `The '${name}' header of the response`,
+      resolve: (source, args, context, info) => {
+        const headers = getHeaders(source, info)
+        return typeof headers === 'object'
+          ? parseHeaderValue(headers[name.toLowerCase()], definition)
+          : null
+      }
+    }
+  })
+}
+
+/**
+ * Parses the given value of a response header according to the given data
+ * definition, expecting lists to be comma-separated (i.e. the simple style)
+ */
+function parseHeaderValue(
+  value: string | string[] | undefined,
+  def: DataDefinition
+): any {
+  if (typeof value === 'undefined') {
+    return null
+  } else if (Array.isArray(value)) {
+    value = value.join(',')
+  }
+
+  switch (def.schema.type) {
+    case 'integer':
+    case 'number': {
+      const numberValue = Number(value)
+      return value.trim() === '' || isNaN(numberValue) ? null : numberValue
+    }
+
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : null
+
+    case 'array':
+      return value
+        .split(',')
+        .map(item =>
+          parseHeaderValue(item.trim(), def.subDefinitions as DataDefinition)
+        )
+
+    default:
+      return value
+  }
+}
+
+/**
+ * Returns a resolver for a non-null field (or a field containing a list of
+ * non-null items) that throws an error pointing at the operation that
+ * returned the data if the value is missing
+ */
+function getNonNullFieldResolver(
+  propertyKey: string,
+  sanePropertyKey: string
+): GraphQLFieldResolver<any, any> {
+  return (source, args, context, info) => {
+    const value = source[sanePropertyKey]
+
+    let missingValue: string
+    if (value === null || typeof value === 'undefined') {
+      missingValue = `a value for the required property '${propertyKey}'`
+    } else if (
+      Array.isArray(value) &&
+      value.some(item => item === null || typeof item === 'undefined')
+    ) {
+      missingValue = `a value for every item in the list property '${propertyKey}'`
+    } else {
+      return value
+    }
+
+    const resolveData = getResolveData(source, info)
+    const operationString =
+      typeof resolveData === 'object' &&
+      typeof resolveData.operationString === 'string'
+        ? `operation ${resolveData.operationString}`
+        : `the API`
+
+    throw new Error(
+      `Cannot return null for non-nullable field ` +
+        `${info.parentType.name}.${info.fieldName}: ${operationString} ` +
+        `did not return ${missingValue}`
+    )
+  }
+}
+
+/**
+ * Checks whether the property with the given schema is part of the object type
+ * or of the input object type, as readOnly properties are only sent in
+ * responses and writeOnly properties are only sent in requests
+ */
+function isPropertyOfType(
+  schema: SchemaObject,
+  isInputObjectType: boolean
+): boolean {
+  return isInputObjectType
+    ? schema.readOnly !== true
+    : schema.writeOnly !== true
+}
+
+/**
+ * Returns the required properties of the given data definition that are part
+ * of the object type or of the input object type
+ */
+function getRequiredProperties(
+  def: DataDefinition,
+  isInputObjectType: boolean
+): string[] {
+  if (!Array.isArray(def.required)) {
+    return []
+  }
+
+  return def.required.filter(propertyKey => {
+    const propertyDef = (def.subDefinitions as {
+      [fieldName: string]: DataDefinition
+    })[propertyKey]
+
+    return (
+      typeof propertyDef !== 'object' ||
+      isPropertyOfType(propertyDef.schema, isInputObjectType)
+    )
+  })
+}
+
+/**
+ * Appends the validation keywords of the given schema to the description of an
+ * argument or input object field
+ */
+function addConstraintsToDescription(
+  description: string | undefined,
+  schema: SchemaObject
+): string | undefined {
+  const constraintsDescription = getConstraintsDescription(schema)
+  if (typeof constraintsDescription === 'undefined') {
+    return description
+  }
+
+  return typeof description === 'string'
+    ? `${description}\n\n${constraintsDescription}`
+    : constraintsDescription
+}
+
+/**
+ * Appends the deprecation reason to the description of an argument or input
+ * object field, as these cannot be marked as deprecated in GraphQL
+ */
+function addDeprecationToDescription(
+  description: string | undefined,
+  deprecationReason: string | undefined
+): string | undefined {
+  if (typeof deprecationReason === 'undefined') {
+    return description
+  }
+
+  const deprecationDescription = `Deprecated: ${deprecationReason}`
+  return typeof description === 'string'
+    ? `${description}\n\n${deprecationDescription}`
+    : deprecationDescription
+}
+
 /**
  * Used in the context of links, specifically those using an external operationRef
  * If the reference is an absolute reference, determine the type of location
@@ -0,0 +1,804 @@
+// Copyright IBM Corp. 2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to translate the callbacks of operations into GraphQL
+ * subscriptions, whose events are received by an embedded HTTP server, and to
+ * create subscriptions that poll GET operations.
+ *
+ * See https://swagger.io/docs/specification/callbacks/
+ */
+
+// Type imports:
+import { Operation, Callback } from './types/operation'
+import { CallbackReceiverConfig } from './types/options'
+import { Field, ResolveFunction } from './types/graphql'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import { getGraphQLType, getArgs } from './schema_builder'
+import {
+  getResolver,
+  getResponseHeaders,
+  mapsToEntries
+} from './resolver_builder'
+import * as Oas3Tools from './oas_3_tools'
+import { handleWarning } from './utils'
+import * as http from 'http'
+import * as crypto from 'crypto'
+import { AddressInfo } from 'net'
+import * as deepEqual from 'deep-equal'
+import debug from 'debug'
+
+const translationLog = debug('translation')
+const httpLog = debug('http')
+
+/**
+ * Key of the method that returns the iterator of an async iterable, which is
+ * missing from the es2017 typings
+ */
+const ASYNC_ITERATOR = (Symbol as any).asyncIterator || '@@asyncIterator'
+
+/**
+ * Default maximum size of a callback in bytes
+ */
+const MAX_CALLBACK_SIZE = 1024 * 1024
+
+type CallbackListener = (payload: any) => void
+
+export type CallbackReceiver = {
+  /**
+   * Starts the server if needed, and resolves on the URL under which the given
+   * listener receives callbacks and on a function that removes the listener
+   * again, which stops the server once no listeners are left
+   */
+  addListener: (
+    listener: CallbackListener
+  ) => Promise<{ url: string; remove: () => Promise<void> }>
+}
+
+/**
+ * The outcome of polling an operation, and the ETag of its response, if any
+ */
+type PollingEvent = {
+  value?: any
+  error?: any
+  etag?: string
+}
+
+type Poller = {
+  listeners: ((event: PollingEvent) => void)[]
+  lastEvent?: PollingEvent
+  timer?: NodeJS.Timer
+  stopped: boolean
+}
+
+type EventIterator = {
+  next: () => Promise<IteratorResult<any>>
+  return: () => Promise<IteratorResult<any>>
+  throw: (error: any) => Promise<IteratorResult<any>>
+}
+
+/**
+ * Creates the embedded HTTP server that receives the callbacks of all
+ * subscriptions of a GraphQL schema
+ *
+ * Every subscription is assigned a URL with a random ID, to which the API
+ * sends the JSON payloads of the callbacks.
+ */
+export function createCallbackReceiver(
+  config: CallbackReceiverConfig = {}
+): CallbackReceiver {
+  const listeners: { [id: string]: CallbackListener } = {}
+  const maxBodySize =
+    typeof config.maxBodySize === 'number'
+      ? config.maxBodySize
+      : MAX_CALLBACK_SIZE
+  let server: http.Server
+
+  // Resolves on the base URL of the server once it is listening
+  let listening: Promise<string>
+
+  // Resolves once the previous server is stopped
+  let stopping: Promise<void> = Promise.resolve()
+
+  const handleRequest = (
+    req: http.IncomingMessage,
+    res: http.ServerResponse
+  ) => {
+    const id = req.url.split('?')[0].replace(/^\/+/, '')
+    if (typeof listeners[id] !== 'function') {
+      res.statusCode = 404
+      res.end()
+      return
+    }
+
+    // Reject callbacks that exceed the maximum size, and discard the rest
+    const chunks: Buffer[] = []
+    let size = 0
+    const rejectTooLarge = () => {
+      res.statusCode = 413
+      res.setHeader('Connection', 'close')
+      res.end()
+    }
+    if (Number(req.headers['content-length']) > maxBodySize) {
+      rejectTooLarge()
+      req.resume()
+      return
+    }
+
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length
+      if (size <= maxBodySize) {
+        chunks.push(chunk)
+      } else if (!res.finished) {
+        rejectTooLarge()
+      }
+    })
+    req.on('end', () => {
+      if (size > maxBodySize) {
+        return
+      }
+
+      const body = Buffer.concat(chunks).toString('utf8')
+      httpLog(
+        `Callback ${req.method} ${req.url} - ${Oas3Tools.trim(body, 100)}`
+      )
+
+      let payload
+      try {
+        payload = JSON.parse(body)
+      } catch (e) {
+        res.statusCode = 400
+        res.end()
+        return
+      }
+
+      // The subscription may have ended in the meantime
+      if (typeof listeners[id] === 'function') {
+        listeners[id](payload)
+      }
+      res.statusCode = 204
+      res.end()
+    })
+  }
+
+  const start = (): Promise<string> => {
+    return stopping.then(() => {
+      return new Promise<string>((resolve, reject) => {
+        server = http.createServer(handleRequest)
+        server.once('error', error => {
+          listening = undefined
+          reject(error)
+        })
+        // Only accept callbacks from other hosts if they can reach the server
+        const host =
+          typeof config.host === 'string'
+            ? config.host
+            : typeof config.url === 'string'
+            ? undefined
+            : 'localhost'
+        server.listen({ port: config.port || 0, host }, () => {
+          const { port } = server.address() as AddressInfo
+          const url =
+            typeof config.url === 'string'
+              ? config.url.replace(/\/+$/, '')
+              : `http://localhost:${port}`
+          httpLog(`Receive callbacks on ${url}`)
+          resolve(url)
+        })
+      })
+    })
+  }
+
+  const stop = (): Promise<void> => {
+    const stoppedServer = server
+    listening = undefined
+    stopping = new Promise(resolve => {
+      stoppedServer.close(() => {
+        httpLog(`Stop receiving callbacks`)
+        resolve()
+      })
+    })
+    return stopping
+  }
+
+  return {
+    addListener: listener => {
+      const id = crypto.randomBytes(16).toString('hex')
+      listeners[id] = listener
+      if (typeof listening === 'undefined') {
+        listening = start()
+      }
+
+      const remove = () => {
+        delete listeners[id]
+        return Object.keys(listeners).length === 0 &&
+          typeof listening !== 'undefined'
+          ? stop()
+          : Promise.resolve()
+      }
+
+      return listening.then(
+        baseUrl => {
+          return { url: `${baseUrl}/${id}`, remove }
+        },
+        error => {
+          delete listeners[id]
+          throw error
+        }
+      )
+    }
+  }
+}
+
+/**
+ * Creates the field of the Subscription object for the given callback of the
+ * given operation
+ *
+ * Subscribing invokes the operation with the URL of the callback receiver, and
+ * every callback that the API sends to that URL is pushed to the subscriber.
+ * Unsubscribing invokes the operation that is set using the callbackCleanup
+ * option, if any.
+ */
+export function getSubscriptionField(
+  operation: Operation,
+  callback: Callback,
+  receiver: CallbackReceiver,
+  data: PreprocessingData
+): Field {
+  const type = getGraphQLType({
+    def: callback.eventDefinition,
+    data,
+    operation
+  })
+
+  const args = getArgs({
+    def: callback.payloadDefinition,
+    parameters: callback.parameters,
+    operation: {
+      ...operation,
+      payloadRequired: callback.payloadRequired,
+      responseDefinition: callback.eventDefinition,
+      pagination: undefined
+    },
+    data
+  })
+
+  const register = getResolver({
+    operation,
+    payloadName: operation.payloadDefinition
+      ? operation.payloadDefinition.iotName
+      : null,
+    data,
+    baseUrl: Oas3Tools.getResolverOption('baseUrl', operation.oas, data),
+    requestOptions: Oas3Tools.getResolverOption(
+      'requestOptions',
+      operation.oas,
+      data
+    )
+  })
+  const cleanup = getCleanupResolver(operation, data)
+
+  const subscribe: ResolveFunction = (root, args, ctx, info) => {
+    // Unsubscribing removes the listener, once it has been added
+    let onReturn = () => Promise.resolve()
+    const { iterator, push } = createEventIterator(() => onReturn())
+
+    return receiver
+      .addListener(payload => {
+        // Deal with the fact that the API might send unsanitized data
+        push(
+          Oas3Tools.sanitizeObjKeys(
+            data.options.typedMaps
+              ? mapsToEntries(payload, callback.eventDefinition)
+              : payload,
+            data.options.simpleFieldNames
+          )
+        )
+      })
+      .then(({ url, remove }) => {
+        onReturn = remove
+        return Promise.resolve(
+          register(
+            root,
+            getOperationArgs(args, url, operation, callback, data),
+            ctx,
+            info
+          )
+        ).then(
+          response => {
+            onReturn = () => {
+              return (typeof cleanup === 'function'
+                ? Promise.resolve()
+                    .then(() => cleanup(response, {}, ctx, info))
+                    .catch(error => {
+                      httpLog(
+                        `Cannot clean up the subscription to the callback ` +
+                          `'${callback.name}' of operation ` +
+                          `${operation.operationString}: ${error}`
+                      )
+                    })
+                : Promise.resolve()
+              ).then(remove)
+            }
+            return iterator
+          },
+          error => {
+            return remove().then(() => {
+              throw error
+            })
+          }
+        )
+      })
+  }
+
+  return {
+    type,
+    args,
+    subscribe,
+    // The events are the data of the subscription field
+    resolve: event => event,
+    description: callback.description,
+    deprecationReason: operation.deprecationReason
+  }
+}
+
+/**
+ * Returns the arguments of the given operation, i.e. the given arguments of the
+ * subscription field of the given callback, with the given callback URL filled
+ * in where the runtime expression of the callback refers to
+ */
+function getOperationArgs(
+  args: object,
+  url: string,
+  operation: Operation,
+  callback: Callback,
+  data: PreprocessingData
+): object {
+  const operationArgs = { ...args }
+  const urlExpression = callback.urlExpression
+
+  // CASE: callback URL in parameter
+  if (typeof callback.urlParameter === 'object') {
+    operationArgs[Oas3Tools.sanitize(callback.urlParameter.name)] = url
+    return operationArgs
+  }
+
+  const payloadName = Oas3Tools.sanitize(operation.payloadDefinition.iotName)
+  let payload = {}
+  if (typeof callback.payloadDefinition === 'object') {
+    const subscriptionPayloadName = Oas3Tools.sanitize(
+      callback.payloadDefinition.iotName
+    )
+    payload = { ...operationArgs[subscriptionPayloadName] }
+    delete operationArgs[subscriptionPayloadName]
+  }
+
+  // CASE: callback URL is request body
+  if (urlExpression === '$request.body') {
+    operationArgs[payloadName] = url
+    return operationArgs
+  }
+
+  // CASE: callback URL in request body
+  let def = operation.payloadDefinition
+  let value = payload
+  urlExpression
+    .split('#/')[1]
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .forEach((propertyKey, index, propertyKeys) => {
+      const fieldName =
+        typeof def.fieldNames === 'object' && propertyKey in def.fieldNames
+          ? def.fieldNames[propertyKey]
+          : data.options.simpleFieldNames
+          ? Oas3Tools.simpleSanitize(propertyKey)
+          : Oas3Tools.sanitize(propertyKey)
+
+      if (index === propertyKeys.length - 1) {
+        value[fieldName] = url
+      } else {
+        value[fieldName] = { ...value[fieldName] }
+        value = value[fieldName]
+        def = def.subDefinitions[propertyKey]
+      }
+    })
+  operationArgs[payloadName] = payload
+
+  return operationArgs
+}
+
+/**
+ * Returns the resolver of the operation that is invoked when a subscription to
+ * a callback of the given operation ends, if it is set using the
+ * callbackCleanup option
+ *
+ * Like the resolvers of links, it resolves the runtime expressions of the
+ * parameters and request body against the request and response of the given
+ * operation.
+ */
+function getCleanupResolver(
+  operation: Operation,
+  data: PreprocessingData
+): ResolveFunction | undefined {
+  const title = operation.oas.info.title
+  const cleanups = data.options.callbackCleanup
+  if (typeof cleanups !== 'object' || typeof cleanups[title] !== 'object') {
+    return
+  }
+
+  const config =
+    cleanups[title][operation.operationId] ||
+    cleanups[title][`${operation.method.toUpperCase()} ${operation.path}`]
+  if (typeof config !== 'object') {
+    return
+  }
+
+  const oas =
+    typeof config.title === 'string'
+      ? data.oass.find(oas => oas.info.title === config.title)
+      : operation.oas
+  const cleanupOperation = Object.values(data.operations).find(
+    otherOperation => {
+      return (
+        otherOperation.oas === oas &&
+        (typeof config.operationId === 'string'
+          ? otherOperation.operationId === config.operationId
+          : otherOperation.path === config.path &&
+            typeof config.method === 'string' &&
+            otherOperation.method === config.method.toLowerCase())
+      )
+    }
+  )
+  if (typeof cleanupOperation !== 'object') {
+    handleWarning({
+      typeKey: 'UNRESOLVABLE_CALLBACK_CLEANUP',
+      message:
+        `The operation to clean up the subscriptions to the callbacks of ` +
+        `operation ${operation.operationString} cannot be found.`,
+      data,
+      log: translationLog
+    })
+    return
+  }
+
+  return getResolver({
+    operation: cleanupOperation,
+    argsFromLink: config.parameters,
+    requestBodyFromLink: config.requestBody,
+    data,
+    baseUrl:
+      typeof config.server === 'object'
+        ? Oas3Tools.getServerUrl(config.server)
+        : Oas3Tools.getResolverOption('baseUrl', cleanupOperation.oas, data),
+    requestOptions: Oas3Tools.getResolverOption(
+      'requestOptions',
+      cleanupOperation.oas,
+      data
+    )
+  })
+}
+
+/**
+ * Returns the interval at which subscriptions poll the given operation, if it
+ * is set using the pollingSubscriptions option
+ */
+export function getPollingInterval(
+  operation: Operation,
+  data: PreprocessingData
+): number | undefined {
+  const title = operation.oas.info.title
+  const intervals = data.options.pollingSubscriptions
+  if (typeof intervals !== 'object' || typeof intervals[title] !== 'object') {
+    return
+  }
+
+  const interval =
+    intervals[title][operation.operationId] ||
+    intervals[title][`${operation.method.toUpperCase()} ${operation.path}`]
+  if (typeof interval === 'undefined') {
+    return
+  }
+
+  if (operation.method !== 'get' || operation.isMutation) {
+    handleWarning({
+      typeKey: 'INVALID_POLLING_SUBSCRIPTION',
+      message:
+        `Operation ${operation.operationString} cannot be polled because ` +
+        `only GET operations that are translated into queries can be polled.`,
+      data,
+      log: translationLog
+    })
+    return
+  } else if (operation.inViewer) {
+    handleWarning({
+      typeKey: 'INVALID_POLLING_SUBSCRIPTION',
+      message:
+        `Operation ${operation.operationString} cannot be polled because ` +
+        `it requires authentication through a viewer.`,
+      data,
+      log: translationLog
+    })
+    return
+  } else if (typeof interval !== 'number' || !(interval > 0)) {
+    handleWarning({
+      typeKey: 'INVALID_POLLING_SUBSCRIPTION',
+      message:
+        `Operation ${operation.operationString} cannot be polled because ` +
+        `the interval '${interval}' is not a positive number.`,
+      data,
+      log: translationLog
+    })
+    return
+  }
+
+  return interval
+}
+
+/**
+ * Creates the field of the Subscription object that polls the given field of
+ * the Query object at the given interval
+ *
+ * Subscriptions with the same arguments, and the same scope if the given
+ * function determines the scope of their contexts, share one poller, which
+ * emits the response right away and then whenever it changes, and which stops
+ * once the last of these subscriptions ends. The poller resolves the field
+ * with the context of the first of these subscriptions.
+ */
+export function getPollingSubscriptionField(
+  field: Field,
+  interval: number,
+  pollingScope?: (context: any) => string
+): Field {
+  const pollers: { [pollerKey: string]: Poller } = {}
+
+  const subscribe: ResolveFunction = (root, args, ctx, info) => {
+    const scope =
+      typeof pollingScope === 'function' ? String(pollingScope(ctx)) : ''
+    const pollerKey = JSON.stringify([scope, args])
+    let poller = pollers[pollerKey]
+    if (typeof poller !== 'object') {
+      poller = { listeners: [], stopped: false }
+      pollers[pollerKey] = poller
+
+      // The response data is stored under the name of the field, not an alias
+      const pollInfo = {
+        ...info,
+        path: { ...info['path'], key: info['fieldName'] }
+      }
+
+      const reschedule = () => {
+        if (!poller.stopped) {
+          poller.timer = setTimeout(poll, interval)
+        }
+      }
+
+      const poll = () => {
+        Promise.resolve()
+          .then(() => field.resolve(root, args, ctx, pollInfo))
+          .then(
+            (value): PollingEvent => {
+              return { value, etag: getETag(pollInfo) }
+            },
+            (error): PollingEvent => {
+              return { error }
+            }
+          )
+          .then(event => {
+            if (
+              !poller.stopped &&
+              !isSamePollingEvent(poller.lastEvent, event)
+            ) {
+              poller.lastEvent = event
+              poller.listeners.forEach(listener => listener(event))
+            }
+          })
+          .then(reschedule, error => {
+            httpLog(`Failed to emit the polled response: ${error}`)
+            reschedule()
+          })
+      }
+      poll()
+    }
+
+    const { iterator, push } = createEventIterator(() => {
+      poller.listeners.splice(poller.listeners.indexOf(push), 1)
+      if (poller.listeners.length === 0) {
+        poller.stopped = true
+        clearTimeout(poller.timer)
+        delete pollers[pollerKey]
+      }
+      return Promise.resolve()
+    })
+    poller.listeners.push(push)
+
+    // Subscriptions that join a running poller start with its latest response
+    if (typeof poller.lastEvent === 'object') {
+      push(poller.lastEvent)
+    }
+
+    return iterator
+  }
+
+  return {
+    ...field,
+    subscribe,
+    resolve: (event: PollingEvent, args, ctx, info) => {
+      if (typeof event.error !== 'undefined') {
+        throw event.error
+      }
+      if (info['path'].key !== info['fieldName']) {
+        addResolveDataAlias(event.value, info['fieldName'], info['path'].key)
+      }
+      return event.value
+    }
+  }
+}
+
+/**
+ * Makes the resolve data that the given polled data stores under the name of
+ * the polled field available under the given alias of the field as well
+ */
+function addResolveDataAlias(
+  value: any,
+  fieldName: string,
+  alias: string | number,
+  visited: object[] = []
+): void {
+  if (Array.isArray(value)) {
+    value.forEach(item => addResolveDataAlias(item, fieldName, alias, visited))
+  } else if (value && typeof value === 'object') {
+    const openapiToGraphql = value['_openapiToGraphql']
+    if (
+      typeof openapiToGraphql === 'object' &&
+      typeof openapiToGraphql.data === 'object' &&
+      !visited.includes(openapiToGraphql)
+    ) {
+      visited.push(openapiToGraphql)
+
+      // Identifiers end with the name of the polled field, e.g. node/delivery
+      Object.keys(openapiToGraphql.data)
+        .filter(identifier => {
+          return (
+            identifier === fieldName || identifier.endsWith(`/${fieldName}`)
+          )
+        })
+        .forEach(identifier => {
+          const aliasIdentifier =
+            identifier.slice(0, identifier.length - fieldName.length) + alias
+          openapiToGraphql.data[aliasIdentifier] =
+            openapiToGraphql.data[identifier]
+        })
+    }
+
+    Object.keys(value)
+      .filter(key => key !== '_openapiToGraphql')
+      .forEach(key =>
+        addResolveDataAlias(value[key], fieldName, alias, visited)
+      )
+  }
+}
+
+/**
+ * Returns the ETag header of the response that the resolver of the field with
+ * the given info has received, if any
+ */
+function getETag(info): string | undefined {
+  const headers = getResponseHeaders(info)
+  return typeof headers === 'object' ? headers.etag : undefined
+}
+
+/**
+ * Determines whether the given events of a poller are the same, i.e. whether
+ * the response has not changed in between
+ */
+function isSamePollingEvent(
+  lastEvent: PollingEvent | undefined,
+  event: PollingEvent
+): boolean {
+  if (typeof lastEvent !== 'object') {
+    return false
+  } else if (
+    typeof lastEvent.error !== 'undefined' ||
+    typeof event.error !== 'undefined'
+  ) {
+    return getErrorMessage(lastEvent.error) === getErrorMessage(event.error)
+  } else if (
+    typeof lastEvent.etag === 'string' &&
+    typeof event.etag === 'string'
+  ) {
+    return lastEvent.etag === event.etag
+  }
+
+  return deepEqual(
+    withoutResolveData(lastEvent.value),
+    withoutResolveData(event.value),
+    { strict: true }
+  )
+}
+
+function getErrorMessage(error: any): string | undefined {
+  if (typeof error === 'undefined') {
+    return
+  }
+  return error instanceof Error ? error.message : String(error)
+}
+
+/**
+ * Returns a copy of the given data without the _openapiToGraphql objects, which
+ * differ between requests
+ */
+function withoutResolveData(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(withoutResolveData)
+  } else if (value && typeof value === 'object') {
+    const copy = {}
+    Object.keys(value)
+      .filter(key => key !== '_openapiToGraphql')
+      .forEach(key => {
+        copy[key] = withoutResolveData(value[key])
+      })
+    return copy
+  }
+  return value
+}
+
+/**
+ * Returns an async iterator over the events that are pushed to it, which calls
+ * the given function once it is ended, i.e. when the client unsubscribes
+ */
+function createEventIterator(
+  onReturn: () => Promise<void>
+): { iterator: EventIterator; push: (event: any) => void } {
+  const events: any[] = []
+  const pulls: ((result: IteratorResult<any>) => void)[] = []
+  let done = false
+
+  const iterator: EventIterator = {
+    next: () => {
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true })
+      } else if (events.length > 0) {
+        return Promise.resolve({ value: events.shift(), done: false })
+      }
+      return new Promise(resolve => {
+        pulls.push(resolve)
+      })
+    },
+    return: () => {
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true })
+      }
+
+      done = true
+      events.length = 0
+      pulls.splice(0).forEach(pull => {
+        pull({ value: undefined, done: true })
+      })
+      return onReturn().then(() => {
+        return { value: undefined, done: true }
+      })
+    },
+    throw: error => {
+      return iterator.return().then(() => {
+        throw error
+      })
+    }
+  }
+  iterator[ASYNC_ITERATOR] = () => iterator
+
+  const push = (event: any) => {
+    if (done) {
+      return
+    } else if (pulls.length > 0) {
+      pulls.shift()({ value: event, done: false })
+    } else {
+      events.push(event)
+    }
+  }
+
+  return { iterator, push }
+}
@@ -12,7 +12,9 @@ import {
   GraphQLScalarType,
   GraphQLInputObjectType,
   GraphQLList,
-  GraphQLEnumType
+  GraphQLEnumType,
+  GraphQLUnionType,
+  GraphQLInterfaceType
 } from 'graphql'
 
 export type GraphQLType =
@@ -21,6 +23,8 @@ export type GraphQLType =
   | GraphQLEnumType
   | GraphQLInputObjectType
   | GraphQLList<any>
+  | GraphQLUnionType
+  | GraphQLInterfaceType
 
 type Arg = {
   type: any
@@ -41,6 +45,8 @@ export type ResolveFunction = (
 export type Field = {
   type: GraphQLType
   resolve?: ResolveFunction
+  subscribe?: ResolveFunction
   args?: Args
   description: string
+  deprecationReason?: string
 }
@@ -7,6 +7,8 @@
  * Type definitions for the OpenAPI Specification 3.
  */
 
+import { PaginationConfig } from './options'
+
 type ExternalDocumentationObject = {
   description?: string
   url: string
@@ -18,6 +20,8 @@ export type SchemaObject = {
   type?: 'string' | 'number' | 'object' | 'array' | 'boolean' | 'integer'
   format?: string
   nullable?: boolean
+  readOnly?: boolean
+  writeOnly?: boolean
   description?: string
   properties?: {
     [key: string]: SchemaObject
@@ -28,7 +32,40 @@ export type SchemaObject = {
   items?: SchemaObject | ReferenceObject // MUST be a single schema object in OAS, see https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.1.md#properties
   additionalItems?: boolean | string[]
   enum?: string[]
+  minLength?: number
+  maxLength?: number
+  pattern?: string
+  minimum?: number
+  maximum?: number
+  exclusiveMinimum?: boolean
+  exclusiveMaximum?: boolean
+  multipleOf?: number
+  minItems?: number
+  maxItems?: number
+  uniqueItems?: boolean
+  minProperties?: number
+  maxProperties?: number
   allOf?: SchemaObject[]
+  anyOf?: SchemaObject[]
+  oneOf?: SchemaObject[]
+  not?: SchemaObject
+  discriminator?: DiscriminatorObject
+  deprecated?: boolean
+  'x-deprecation-reason'?: string
+  'x-deprecated-enum-values'?: string[]
+  'x-graphql-type-name'?: string
+  'x-graphql-field-name'?: string
+  'x-graphql-enum-values'?: {
+    [value: string]: string
+  }
+  'x-graphql-skip'?: boolean
+}
+
+export type DiscriminatorObject = {
+  propertyName: string
+  mapping?: {
+    [key: string]: string
+  }
 }
 
 export type ReferenceObject = {
@@ -42,13 +79,14 @@ type ExampleObject = {
   externalValue?: string
 }
 
-type HeaderObject = {
+export type HeaderObject = {
   name?: string
   in?: 'query' | 'header' | 'path' | 'cookie'
   description?: string
   required?: boolean
   deprecated?: boolean
   allowEmptyValue?: boolean
+  schema?: SchemaObject | ReferenceObject
 }
 
 type EncodingObject = {
@@ -78,6 +116,9 @@ export type ParameterObject = {
   description?: string
   required?: boolean
   deprecated?: boolean
+  'x-deprecation-reason'?: string
+  'x-graphql-arg-name'?: string
+  'x-graphql-skip'?: boolean
   allowEmptyValue?: boolean
   style?: 'form' | 'simple'
   explode?: boolean
@@ -151,12 +192,25 @@ export type OperationObject = {
   parameters?: Array<ParameterObject | ReferenceObject>
   requestBody?: RequestBodyObject | ReferenceObject
   responses?: ResponsesObject
-  callbacks?: any // TODO: extend?
+  callbacks?: CallbacksObject
   deprecated?: boolean
+  'x-deprecation-reason'?: string
+  'x-graphql-pagination'?: PaginationConfig | false
+  'x-graphql-field-name'?: string
+  'x-graphql-operation-type'?: 'query' | 'mutation'
+  'x-graphql-skip'?: boolean
   security?: SecurityRequirementObject[]
   servers?: ServerObject[]
 }
 
+export type CallbackObject = {
+  [expression: string]: PathItemObject
+}
+
+export type CallbacksObject = {
+  [key: string]: CallbackObject | ReferenceObject
+}
+
 export type PathItemObject = {
   $ref?: string
   summary?: string
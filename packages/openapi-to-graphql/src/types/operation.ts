@@ -15,13 +15,16 @@ import {
   ServerObject,
   SchemaObject
 } from './oas3'
+import { PaginationConfig } from './options'
 
 import {
   GraphQLScalarType,
   GraphQLObjectType,
   GraphQLInputObjectType,
   GraphQLList,
-  GraphQLEnumType
+  GraphQLEnumType,
+  GraphQLUnionType,
+  GraphQLInterfaceType
 } from 'graphql'
 
 export type DataDefinition = {
@@ -41,16 +44,156 @@ export type DataDefinition = {
    */
   subDefinitions: DataDefinition | { [fieldName: string]: DataDefinition }
 
+  /**
+   * Data definitions of the member schemas of a union type
+   *
+   * I.e. If the dataDef is a union type created from the oneOf or anyOf
+   * keyword, the memberDefinitions are references to the object types that
+   * make up the union
+   */
+  memberDefinitions?: DataDefinition[]
+
+  /**
+   * Data definition of the map of additional properties of an object type that
+   * has both fixed properties and additionalProperties
+   *
+   * I.e. The additional properties are translated into a separate field that
+   * holds a list of key/value entries
+   */
+  additionalPropertiesDefinition?: DataDefinition
+
+  /**
+   * Names of the required properties of an object type, including the ones
+   * required by the allOf subschemas
+   */
+  required?: string[]
+
+  /**
+   * GraphQL field names of the properties that are named using the fieldNamer
+   * option or the x-graphql-field-name extension
+   */
+  fieldNames?: { [propertyKey: string]: string }
+
+  /**
+   * Data definitions of the member schemas that the values of the
+   * discriminator property map to
+   *
+   * I.e. If the dataDef is an interface type or a union type whose schema uses
+   * the discriminator keyword, the value of the discriminator property in the
+   * response data determines the member type
+   */
+  discriminatorMapping?: { [discriminatorValue: string]: DataDefinition }
+
+  /**
+   * If the union type combines the successful responses of an operation, the
+   * HTTP status code of the actual response determines the member type
+   */
+  statusCodeMapping?: { [statusCode: string]: DataDefinition }
+
+  /**
+   * Data definitions of the interface types that the object type implements
+   *
+   * I.e. If the schema of the dataDef is mapped to by the discriminator of
+   * another schema, the interfaceDefinitions are references to that schema
+   */
+  interfaceDefinitions?: DataDefinition[]
+
   links: { [key: string]: LinkObject }
 
   otName: string
   iotName: string
+
+  /**
+   * The namespace of the OAS that defines the schema, if the namespaces option
+   * is set
+   */
+  namespace?: string
   ot?:
     | GraphQLObjectType
     | GraphQLScalarType
     | GraphQLList<any>
     | GraphQLEnumType
-  iot?: GraphQLInputObjectType | GraphQLList<any>
+    | GraphQLUnionType
+    | GraphQLInterfaceType
+  iot?: GraphQLInputObjectType | GraphQLList<any> | GraphQLScalarType
+
+  /**
+   * The connection type for lists of this type, if the relayConnections option
+   * is enabled
+   */
+  connectionOt?: GraphQLObjectType
+
+  /**
+   * The operation that fetches a single object of this type by its ID, if the
+   * relayNodeInterface option is enabled and the type implements the Node
+   * interface
+   */
+  nodeOperation?: Operation
+
+  // The path parameter of the nodeOperation that holds the ID
+  nodeIdParam?: string
+
+  // The property of the objects that holds the ID
+  nodeIdProperty?: string
+
+  /**
+   * Documented headers of the responses that return this object type, if the
+   * responseHeaders option is set to 'type'
+   *
+   * I.e. The headers are translated into additional fields of the object type
+   */
+  responseHeaders?: ResponseHeader[]
+}
+
+export type ResponseHeader = {
+  // Name of the header in the OAS
+  name: string
+
+  /**
+   * Human-readable description of the header
+   */
+  description?: string
+
+  // Data definition of the schema of the header
+  definition: DataDefinition
+}
+
+export type Callback = {
+  /**
+   * Name of the callback in the OAS, which the subscription field is named
+   * after
+   */
+  name: string
+
+  /**
+   * Human-readable description of the callback
+   */
+  description: string
+
+  /**
+   * Runtime expression that refers to the callback URL in the request of the
+   * operation, e.g. $request.body#/callbackUrl
+   */
+  urlExpression: string
+
+  /**
+   * Parameter of the operation that holds the callback URL, unless the URL is
+   * in the request body
+   */
+  urlParameter?: ParameterObject
+
+  /**
+   * Information about the payload that the API sends to the callback URL
+   */
+  eventDefinition: DataDefinition
+
+  /**
+   * Parameters and request payload of the operation, without the callback URL,
+   * which are the arguments of the subscription field
+   */
+  parameters: ParameterObject[]
+  payloadDefinition?: DataDefinition
+  payloadRequired: boolean
 }
 
 export type Operation = {
@@ -75,6 +218,11 @@ export type Operation = {
    */
   description: string
 
+  /**
+   * The reason why the operation is deprecated, if it is
+   */
+  deprecationReason?: string
+
   /**
    * URL path of this operation
    */
@@ -139,11 +287,47 @@ export type Operation = {
    */
   isMutation: boolean
 
+  /**
+   * Name of the Query or Mutation field of this operation, if it is set using
+   * the x-graphql-field-name extension
+   */
+  fieldName?: string
+
+  /**
+   * Names of the arguments of the parameters that are set using the argNamer
+   * option or the x-graphql-arg-name extension
+   */
+  argNames?: { [parameterName: string]: string }
+
   /**
    * The success HTTP code, 200-299, destined to become a GraphQL object type
    */
   statusCode: string
 
+  /**
+   * How the list returned by this operation is paginated, if it is exposed as
+   * a connection
+   */
+  pagination?: PaginationConfig
+
+  /**
+   * Callbacks of this operation that are translated into subscriptions, if the
+   * createSubscriptionsFromCallbacks option is enabled
+   */
+  subscriptionCallbacks?: Callback[]
+
+  /**
+   * Documented headers of the response, if the responseHeaders option is set to
+   * 'payload'
+   *
+   * I.e. The field of the operation returns a payload type that holds the
+   * response data and a field for every header
+   */
+  responseHeaders?: ResponseHeader[]
+
+  // Name of the payload type
+  responsePayloadName?: string
+
   /**
    * The OAS which this operation originated from
    */
@@ -5,7 +5,15 @@
 
 // Type imports:
 import * as NodeRequest from 'request'
+import { GraphQLScalarType } from 'graphql'
 import { ResolveFunction } from './graphql'
+import {
+  LinkObject,
+  OperationObject,
+  ReferenceObject,
+  SchemaObject,
+  ServerObject
+} from './oas3'
 
 /**
  * Type definition of the options that users can pass to OpenAPI-to-GraphQL.
@@ -17,6 +25,17 @@ export type Warning = {
   path?: string[]
 }
 
+export type InferredLink = {
+  // Name of the object type that the link field is added to
+  typeName: string
+
+  // Name of the link field
+  linkName: string
+
+  // The link object, which can be defined in the OAS instead
+  link: LinkObject
+}
+
 export type Report = {
   warnings: Warning[]
   numOps: number
@@ -24,8 +43,123 @@ export type Report = {
   numOpsMutation: number
   numQueriesCreated: number
   numMutationsCreated: number
+  numSubscriptionsCreated: number
+  inferredLinks: InferredLink[]
+}
+
+export type LinkConfig = {
+  /**
+   * The linked operation, identified either by its operationId or by its path
+   * and method
+   */
+  operationId?: string
+  path?: string
+  method?: string
+
+  /**
+   * Title of the OAS that contains the linked operation, by default the OAS of
+   * the linking type or operation
+   */
+  title?: string
+
+  // Runtime expressions or constants, like in link objects
+  parameters?: { [key: string]: any }
+  requestBody?: any
+  server?: ServerObject
+  description?: string
 }
 
+export type CallbackReceiverConfig = {
+  // Port of the server, by default a random free port
+  port?: number
+
+  /**
+   * Host name of the server, by default localhost, or all hosts if the url is
+   * set
+   */
+  host?: string
+
+  /**
+   * Base URL under which the API can reach the server, e.g. if it runs behind a
+   * proxy, by default http://localhost:{port}
+   */
+  url?: string
+
+  // Maximum size of a callback in bytes, by default 1 MB
+  maxBodySize?: number
+}
+
+export type PaginationConfig = {
+  /**
+   * The kind of pagination:
+   *
+   * 'offset': the query parameters determine the number of items to skip and
+   * the maximum number of items to return
+   *
+   * 'page': the query parameters determine the page number and the page size
+   *
+   * 'cursor': the query parameters determine the cursor after which to return
+   * items and the maximum number of items to return
+   */
+  type: 'offset' | 'page' | 'cursor'
+
+  // Names of the query parameters
+  offsetParam?: string
+  limitParam?: string
+  pageParam?: string
+  sizeParam?: string
+  cursorParam?: string
+
+  /**
+   * Number of the first page if the type is 'page', 1 by default
+   */
+  firstPage?: number
+
+  /**
+   * Property of the items that holds their cursor if the type is 'cursor',
+   * 'id' by default
+   */
+  cursorProperty?: string
+}
+
+/**
+ * Parameters of the naming hooks, i.e. the typeNamer, fieldNamer, argNamer, and
+ * enumValueNamer options
+ */
+export type NamerParams = {
+  /**
+   * The names that would be used otherwise, in the order of preference, before
+   * they are sanitized
+   *
+   * E.g. the name set using an x-graphql-* extension, the names inferred from
+   * the reference, title, and path of a schema, the property key, the
+   * parameter name, or the enum value.
+   */
+  candidateNames: string[]
+
+  // The schema of the type, field, argument, or enum
+  schema?: SchemaObject | ReferenceObject
+
+  /**
+   * The operation that the name is created for, with its path and method
+   *
+   * Types are shared between operations, so types and their fields are named
+   * for the first operation that uses them.
+   */
+  operation?: OperationObject
+  path?: string
+  method?: string
+
+  // The title of the OAS
+  oasTitle?: string
+}
+
+/**
+ * Returns a GraphQL name, which is used as it is, or undefined to use the
+ * default name
+ */
+export type Namer = (params: NamerParams) => string | void
+
 export type Options = {
   /**
    * Adhere to the OAS as closely as possible. If set to true, any deviation
@@ -82,30 +216,269 @@ export type Options = {
    */
   idFormats?: string[]
 
+  /**
+   * By default, string schemas are translated into GraphQL String types and
+   * 64 bit integer schemas into GraphQL Float types, regardless of their
+   * format.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate schemas with the formats
+   * date-time, date, email, uri, url, byte, and int64 into the custom scalar
+   * types DateTime, Date, Email, URL, Base64, and BigInt, which validate
+   * values in both directions.
+   */
+  formatScalars?: boolean
+
+  /**
+   * Allows to define custom scalar types for schemas with a particular format.
+   *
+   * The scalar types are identified by the format. They take precedence over
+   * the scalar types created by the formatScalars option and over the ID type
+   * created by the idFormats option.
+   */
+  customScalars?: { [format: string]: GraphQLScalarType }
+
+  /**
+   * By default, the validation keywords of the schemas of parameters and
+   * request bodies (e.g. minLength, pattern, or maximum) are ignored, so
+   * invalid arguments are only rejected by the API itself.
+   *
+   * This option tells OpenAPI-to-GraphQL to validate the arguments before
+   * making any request, and to list the constraints in the descriptions of
+   * the arguments and input object fields.
+   */
+  validateArguments?: boolean
+
+  /**
+   * By default, all fields of object types are nullable, regardless of the
+   * required keyword of the schemas.
+   *
+   * This option tells OpenAPI-to-GraphQL to make fields non-null if the
+   * corresponding properties are required and not nullable, and to make list
+   * items non-null unless they are nullable. If the API returns no value for
+   * such a field, the error will refer to the operation that returned the
+   * data.
+   */
+  nonNullOutputFields?: boolean
+
+  /**
+   * By default, schemas with an additionalProperties schema are translated into
+   * arbitrary JSON types.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate them into lists of typed
+   * key/value entries instead. Objects with both fixed properties and
+   * additionalProperties keep their fields and gain an additional field called
+   * additionalProperties holding the entries.
+   */
+  typedMaps?: boolean
+
+  /**
+   * By default, schemas with a discriminator are translated into object types
+   * like any other schema.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate them into interface
+   * types instead, which are implemented by the object types of the schemas
+   * that the discriminator maps to, and which are resolved using the value of
+   * the discriminator property.
+   */
+  discriminatorInterfaces?: boolean
+
+  /**
+   * Operations, parameters, and properties that are marked as deprecated in the
+   * OAS are translated into GraphQL fields and arguments carrying a
+   * deprecation reason, which is taken from the x-deprecation-reason extension
+   * if present.
+   *
+   * This option tells OpenAPI-to-GraphQL to leave deprecated operations out of
+   * the GraphQL schema entirely.
+   */
+  omitDeprecatedOperations?: boolean
+
+  /**
+   * By default, only the response of the first successful HTTP status code
+   * (200-299 or 2XX) of an operation is translated.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate the responses of all
+   * successful status codes with different object schemas into a union type,
+   * whose member type is determined by the status code of the actual response.
+   */
+  responseUnions?: boolean
+
+  /**
+   * By default, error responses (i.e. responses with a non-2xx HTTP status
+   * code) are turned into GraphQL errors.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate the responses of the
+   * documented error status codes (4XX, 5XX, and default) with object schemas
+   * into members of a union type with the successful response, and to resolve
+   * such error responses as data instead of throwing an error.
+   */
+  errorUnions?: boolean
+
+  /**
+   * By default, operations that return lists are translated into fields that
+   * return GraphQL lists.
+   *
+   * This option tells OpenAPI-to-GraphQL to expose GET operations with
+   * offset/limit, page/size, or cursor query parameters as Relay connections
+   * with the arguments first and after (and last and before). The pagination
+   * parameters are detected based on their names, or can be configured using
+   * the pagination option or the x-graphql-pagination extension.
+   */
+  relayConnections?: boolean
+
+  /**
+   * Allows to configure how the lists returned by operations are paginated,
+   * if the relayConnections option is enabled.
+   *
+   * The configurations are identified by the operationId. A value of false
+   * prevents the operation from being exposed as a connection.
+   */
+  pagination?: { [operationId: string]: PaginationConfig | false }
+
+  /**
+   * By default, OpenAPI-to-GraphQL does not support global object
+   * identification.
+   *
+   * This option tells OpenAPI-to-GraphQL to find, for every object type, a GET
+   * operation that fetches one object by its ID in a path parameter (e.g.
+   * GET /users/{userId}). These object types implement the Node interface,
+   * whose id field holds an opaque global ID, and the node field of the Query
+   * object fetches any such object by its global ID.
+   */
+  relayNodeInterface?: boolean
+
+  /**
+   * Infer links between object types if the OAS does not define them
+   *
+   * An object type with an ID property, e.g. authorId, or with an object
+   * property that has an ID, e.g. author.id, links to the GET operation that
+   * fetches a single object of the matching type by its ID, e.g.
+   * GET /authors/{authorId}. The inferred links are listed in the report.
+   */
+  inferLinks?: boolean
+
+  /**
+   * Group the operations of every OAS under a field of the Query and Mutation
+   * objects, e.g. query { github { ... } }, and prefix the names of the types
+   * of every OAS accordingly, so that operations and types of different OASs
+   * do not collide
+   *
+   * If true, the namespaces are named after the titles of the OASs. They can
+   * also be set by the title of the OAS, in which case the operations of OASs
+   * without a namespace remain in the Query and Mutation objects.
+   */
+  namespaces?: boolean | { [oasTitle: string]: string }
+
+  /**
+   * Allows to declare links that are not defined in the OAS, including links
+   * to operations of other OASs
+   *
+   * The links are identified by the title of the OAS, then by the name of the
+   * object type or by the operation (its operationId or method and path, e.g.
+   * 'GET /users/{userId}'), and lastly by the name of the link.
+   */
+  links?: {
+    [oasTitle: string]: {
+      [typeNameOrOperation: string]: { [linkName: string]: LinkConfig }
+    }
+  }
+
+  /**
+   * Translate the callbacks of operations into fields of the Subscription
+   * object
+   *
+   * Subscribing invokes the operation with the URL of an embedded HTTP server
+   * (see the callbackReceiver option) as the callback URL, and every callback
+   * that the API sends to that URL is pushed to the subscriber.
+   */
+  createSubscriptionsFromCallbacks?: boolean
+
+  /**
+   * GET operations whose responses can be subscribed to, mapped to the interval
+   * (in milliseconds) at which the subscriptions poll them
+   *
+   * The operations are identified by the title of the OAS, then by their
+   * operationId or method and path, e.g. 'GET /users/{userId}'. The field of the
+   * Subscription object is named like the field of the Query object. It emits
+   * the response right away and then whenever it changes, as determined by its
+   * ETag header or, lacking one, by comparing the data.
+   *
+   * Subscriptions with the same arguments share one poller, which uses the
+   * context of the first subscription and stops once the last one ends.
+   */
+  pollingSubscriptions?: {
+    [oasTitle: string]: { [operation: string]: number }
+  }
+
+  /**
+   * Returns the scope of the given context, e.g. the user that it holds the
+   * credentials of, so that only subscriptions with the same scope share
+   * pollers (see the pollingSubscriptions option)
+   */
+  pollingScope?: (context: any) => string
+
+  /**
+   * Translate the headers that are documented for the responses of operations
+   * into fields
+   *
+   * 'type': the headers are fields of the object type that the operation
+   * returns, which are null if the object is not the response of an operation
+   * that documents them
+   *
+   * 'payload': the operation returns a payload type that holds the response
+   * data in its data field, and the headers in the other fields
+   */
+  responseHeaders?: false | 'type' | 'payload'
+
+  /**
+   * Hooks to name the GraphQL types, the fields (of object types as well as of
+   * the Query and Mutation object), the arguments, and the enum values.
+   *
+   * They take precedence over the x-graphql-* extensions. Names that are
+   * already taken or are not valid GraphQL names are ignored.
+   */
+  typeNamer?: Namer
+  fieldNamer?: Namer
+  argNamer?: Namer
+  enumValueNamer?: Namer
+
   // Resolver options
 
   /**
    * Custom headers to send with every request made by a resolve function.
+   *
+   * Headers for the requests to a specific API can be set by the title of its
+   * OAS, e.g. { 'Example API': { authorization: 'Bearer abc' } }, and take
+   * precedence over the other headers.
    */
-  headers?: { [key: string]: string }
+  headers?: { [key: string]: string | { [key: string]: string } }
 
   /**
    * Custom query parameters to send with every reqeust by a resolve function.
+   *
+   * Like headers, they can be set by the title of the OAS.
    */
-  qs?: { [key: string]: string }
+  qs?: { [key: string]: string | { [key: string]: string } }
 
   /**
    * Allows to override or add options to the node's request object used to make
    * calls to the API backend.
    * e.g. Setup the web proxy to use.
+   *
+   * Like headers, they can be set by the title of the OAS.
    */
-  requestOptions?: NodeRequest.OptionsWithUrl
+  requestOptions?:
+    | NodeRequest.OptionsWithUrl
+    | { [oasTitle: string]: NodeRequest.OptionsWithUrl }
 
   /**
    * Specifies the URL on which all paths will be based on.
    * Overrides the server object in the OAS.
+   *
+   * Can also be set by the title of the OAS, in which case the other OASs use
+   * their server objects.
    */
-  baseUrl?: string
+  baseUrl?: string | { [oasTitle: string]: string }
 
   /**
    * Allows to define custom resolvers for fields on the query/mutation root
@@ -126,6 +499,28 @@ export type Options = {
     [title: string]: { [path: string]: { [method: string]: ResolveFunction } }
   }
 
+  /**
+   * Configures the embedded HTTP server that receives the callbacks of
+   * subscriptions (see the createSubscriptionsFromCallbacks option)
+   *
+   * The server is started when the first subscription starts and stopped when
+   * the last one ends.
+   */
+  callbackReceiver?: CallbackReceiverConfig
+
+  /**
+   * Operations to invoke when a subscription ends, e.g. to delete the webhook
+   * that the operation of the subscription has registered
+   *
+   * The operations are identified by the title of the OAS, then by the
+   * operation of the subscription (its operationId or method and path, e.g.
+   * 'POST /webhooks'). They are declared like links, whose runtime expressions
+   * refer to the request and response of the operation of the subscription.
+   */
+  callbackCleanup?: {
+    [oasTitle: string]: { [operation: string]: LinkConfig }
+  }
+
   // Authentication options
 
   /**
@@ -232,30 +627,269 @@ export type InternalOptions = {
    */
   idFormats?: string[]
 
+  /**
+   * By default, string schemas are translated into GraphQL String types and
+   * 64 bit integer schemas into GraphQL Float types, regardless of their
+   * format.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate schemas with the formats
+   * date-time, date, email, uri, url, byte, and int64 into the custom scalar
+   * types DateTime, Date, Email, URL, Base64, and BigInt, which validate
+   * values in both directions.
+   */
+  formatScalars: boolean
+
+  /**
+   * Allows to define custom scalar types for schemas with a particular format.
+   *
+   * The scalar types are identified by the format. They take precedence over
+   * the scalar types created by the formatScalars option and over the ID type
+   * created by the idFormats option.
+   */
+  customScalars?: { [format: string]: GraphQLScalarType }
+
+  /**
+   * By default, the validation keywords of the schemas of parameters and
+   * request bodies (e.g. minLength, pattern, or maximum) are ignored, so
+   * invalid arguments are only rejected by the API itself.
+   *
+   * This option tells OpenAPI-to-GraphQL to validate the arguments before
+   * making any request, and to list the constraints in the descriptions of
+   * the arguments and input object fields.
+   */
+  validateArguments: boolean
+
+  /**
+   * By default, all fields of object types are nullable, regardless of the
+   * required keyword of the schemas.
+   *
+   * This option tells OpenAPI-to-GraphQL to make fields non-null if the
+   * corresponding properties are required and not nullable, and to make list
+   * items non-null unless they are nullable. If the API returns no value for
+   * such a field, the error will refer to the operation that returned the
+   * data.
+   */
+  nonNullOutputFields: boolean
+
+  /**
+   * By default, schemas with an additionalProperties schema are translated into
+   * arbitrary JSON types.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate them into lists of typed
+   * key/value entries instead. Objects with both fixed properties and
+   * additionalProperties keep their fields and gain an additional field called
+   * additionalProperties holding the entries.
+   */
+  typedMaps: boolean
+
+  /**
+   * By default, schemas with a discriminator are translated into object types
+   * like any other schema.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate them into interface
+   * types instead, which are implemented by the object types of the schemas
+   * that the discriminator maps to, and which are resolved using the value of
+   * the discriminator property.
+   */
+  discriminatorInterfaces: boolean
+
+  /**
+   * Operations, parameters, and properties that are marked as deprecated in the
+   * OAS are translated into GraphQL fields and arguments carrying a
+   * deprecation reason, which is taken from the x-deprecation-reason extension
+   * if present.
+   *
+   * This option tells OpenAPI-to-GraphQL to leave deprecated operations out of
+   * the GraphQL schema entirely.
+   */
+  omitDeprecatedOperations: boolean
+
+  /**
+   * By default, only the response of the first successful HTTP status code
+   * (200-299 or 2XX) of an operation is translated.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate the responses of all
+   * successful status codes with different object schemas into a union type,
+   * whose member type is determined by the status code of the actual response.
+   */
+  responseUnions: boolean
+
+  /**
+   * By default, error responses (i.e. responses with a non-2xx HTTP status
+   * code) are turned into GraphQL errors.
+   *
+   * This option tells OpenAPI-to-GraphQL to translate the responses of the
+   * documented error status codes (4XX, 5XX, and default) with object schemas
+   * into members of a union type with the successful response, and to resolve
+   * such error responses as data instead of throwing an error.
+   */
+  errorUnions: boolean
+
+  /**
+   * By default, operations that return lists are translated into fields that
+   * return GraphQL lists.
+   *
+   * This option tells OpenAPI-to-GraphQL to expose GET operations with
+   * offset/limit, page/size, or cursor query parameters as Relay connections
+   * with the arguments first and after (and last and before). The pagination
+   * parameters are detected based on their names, or can be configured using
+   * the pagination option or the x-graphql-pagination extension.
+   */
+  relayConnections: boolean
+
+  /**
+   * Allows to configure how the lists returned by operations are paginated,
+   * if the relayConnections option is enabled.
+   *
+   * The configurations are identified by the operationId. A value of false
+   * prevents the operation from being exposed as a connection.
+   */
+  pagination?: { [operationId: string]: PaginationConfig | false }
+
+  /**
+   * By default, OpenAPI-to-GraphQL does not support global object
+   * identification.
+   *
+   * This option tells OpenAPI-to-GraphQL to find, for every object type, a GET
+   * operation that fetches one object by its ID in a path parameter (e.g.
+   * GET /users/{userId}). These object types implement the Node interface,
+   * whose id field holds an opaque global ID, and the node field of the Query
+   * object fetches any such object by its global ID.
+   */
+  relayNodeInterface: boolean
+
+  /**
+   * Infer links between object types if the OAS does not define them
+   *
+   * An object type with an ID property, e.g. authorId, or with an object
+   * property that has an ID, e.g. author.id, links to the GET operation that
+   * fetches a single object of the matching type by its ID, e.g.
+   * GET /authors/{authorId}. The inferred links are listed in the report.
+   */
+  inferLinks: boolean
+
+  /**
+   * Group the operations of every OAS under a field of the Query and Mutation
+   * objects, e.g. query { github { ... } }, and prefix the names of the types
+   * of every OAS accordingly, so that operations and types of different OASs
+   * do not collide
+   *
+   * If true, the namespaces are named after the titles of the OASs. They can
+   * also be set by the title of the OAS, in which case the operations of OASs
+   * without a namespace remain in the Query and Mutation objects.
+   */
+  namespaces: boolean | { [oasTitle: string]: string }
+
+  /**
+   * Allows to declare links that are not defined in the OAS, including links
+   * to operations of other OASs
+   *
+   * The links are identified by the title of the OAS, then by the name of the
+   * object type or by the operation (its operationId or method and path, e.g.
+   * 'GET /users/{userId}'), and lastly by the name of the link.
+   */
+  links?: {
+    [oasTitle: string]: {
+      [typeNameOrOperation: string]: { [linkName: string]: LinkConfig }
+    }
+  }
+
+  /**
+   * Translate the callbacks of operations into fields of the Subscription
+   * object
+   *
+   * Subscribing invokes the operation with the URL of an embedded HTTP server
+   * (see the callbackReceiver option) as the callback URL, and every callback
+   * that the API sends to that URL is pushed to the subscriber.
+   */
+  createSubscriptionsFromCallbacks: boolean
+
+  /**
+   * GET operations whose responses can be subscribed to, mapped to the interval
+   * (in milliseconds) at which the subscriptions poll them
+   *
+   * The operations are identified by the title of the OAS, then by their
+   * operationId or method and path, e.g. 'GET /users/{userId}'. The field of the
+   * Subscription object is named like the field of the Query object. It emits
+   * the response right away and then whenever it changes, as determined by its
+   * ETag header or, lacking one, by comparing the data.
+   *
+   * Subscriptions with the same arguments share one poller, which uses the
+   * context of the first subscription and stops once the last one ends.
+   */
+  pollingSubscriptions?: {
+    [oasTitle: string]: { [operation: string]: number }
+  }
+
+  /**
+   * Returns the scope of the given context, e.g. the user that it holds the
+   * credentials of, so that only subscriptions with the same scope share
+   * pollers (see the pollingSubscriptions option)
+   */
+  pollingScope?: (context: any) => string
+
+  /**
+   * Translate the headers that are documented for the responses of operations
+   * into fields
+   *
+   * 'type': the headers are fields of the object type that the operation
+   * returns, which are null if the object is not the response of an operation
+   * that documents them
+   *
+   * 'payload': the operation returns a payload type that holds the response
+   * data in its data field, and the headers in the other fields
+   */
+  responseHeaders: false | 'type' | 'payload'
+
+  /**
+   * Hooks to name the GraphQL types, the fields (of object types as well as of
+   * the Query and Mutation object), the arguments, and the enum values.
+   *
+   * They take precedence over the x-graphql-* extensions. Names that are
+   * already taken or are not valid GraphQL names are ignored.
+   */
+  typeNamer?: Namer
+  fieldNamer?: Namer
+  argNamer?: Namer
+  enumValueNamer?: Namer
+
   // Resolver options
 
   /**
    * Custom headers to send with every request made by a resolve function.
+   *
+   * Headers for the requests to a specific API can be set by the title of its
+   * OAS, e.g. { 'Example API': { authorization: 'Bearer abc' } }, and take
+   * precedence over the other headers.
    */
-  headers?: { [key: string]: string }
+  headers?: { [key: string]: string | { [key: string]: string } }
 
   /**
    * Custom query parameters to send with every reqeust by a resolve function.
+   *
+   * Like headers, they can be set by the title of the OAS.
    */
-  qs?: { [key: string]: string }
+  qs?: { [key: string]: string | { [key: string]: string } }
 
   /**
    * Allows to override or add options to the node's request object used to make
    * calls to the API backend.
    * e.g. Setup the web proxy to use.
+   *
+   * Like headers, they can be set by the title of the OAS.
    */
-  requestOptions?: NodeRequest.OptionsWithUrl
+  requestOptions?:
+    | NodeRequest.OptionsWithUrl
+    | { [oasTitle: string]: NodeRequest.OptionsWithUrl }
 
   /**
    * Specifies the URL on which all paths will be based on.
    * Overrides the server object in the OAS.
+   *
+   * Can also be set by the title of the OAS, in which case the other OASs use
+   * their server objects.
    */
-  baseUrl?: string
+  baseUrl?: string | { [oasTitle: string]: string }
 
   /**
    * Allows to define custom resolvers for fields on the query/mutation root
@@ -276,6 +910,28 @@ export type InternalOptions = {
     [title: string]: { [path: string]: { [method: string]: ResolveFunction } }
   }
 
+  /**
+   * Configures the embedded HTTP server that receives the callbacks of
+   * subscriptions (see the createSubscriptionsFromCallbacks option)
+   *
+   * The server is started when the first subscription starts and stopped when
+   * the last one ends.
+   */
+  callbackReceiver?: CallbackReceiverConfig
+
+  /**
+   * Operations to invoke when a subscription ends, e.g. to delete the webhook
+   * that the operation of the subscription has registered
+   *
+   * The operations are identified by the title of the OAS, then by the
+   * operation of the subscription (its operationId or method and path, e.g.
+   * 'POST /webhooks'). They are declared like links, whose runtime expressions
+   * refer to the request and response of the operation of the subscription.
+   */
+  callbackCleanup?: {
+    [oasTitle: string]: { [operation: string]: LinkConfig }
+  }
+
   // Authentication options
 
   /**
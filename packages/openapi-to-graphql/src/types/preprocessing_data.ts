@@ -62,6 +62,14 @@ export type PreprocessingData = {
    */
   saneMap: { [key: string]: string }
 
+  /**
+   * Compiled regular expressions of the pattern keywords in the schemas of
+   * arguments, if the validateArguments option is enabled
+   *
+   * NOTE: Patterns that cannot be compiled map to null
+   */
+  patterns: { [pattern: string]: RegExp | null }
+
   /**
    * Options passed to OpenAPI-to-GraphQL by the user
    */
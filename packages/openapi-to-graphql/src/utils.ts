@@ -19,11 +19,16 @@ export const mitigations = {
   MULTIPLE_RESPONSES: `Select first response object with successful status code (200-299).`,
   MISSING_RESPONSE_SCHEMA: `Ignore operation.`,
   DUPLICATE_FIELD_NAME: `Ignore field and maintain preexisting field.`,
+  DUPLICATE_TYPE_NAME: `Use an inferred name instead.`,
   DUPLICATE_LINK_KEY: `Ignore link and maintain preexisting link.`,
   UNSUPPORTED_HTTP_SECURITY_SCHEME: `Ignore security scheme.`,
   NON_APPLICATION_JSON_SCHEMA: `Ignore schema`,
   OBJECT_MISSING_PROPERTIES: `The (sub-)object will be stored in an arbitray JSON type.`,
   UNSUPPORTED_JSON_SCHEMA_KEYWORD: `Ignore keyword and continue.`,
+  INPUT_UNION_OBJECT: `The input object will be stored in an arbitrary JSON type.`,
+  INVALID_GRAPHQL_EXTENSION: `Ignore extension.`,
+  INVALID_DEFAULT_VALUE: `Ignore default value.`,
+  INVALID_PATTERN: `Do not enforce the pattern.`,
 
   // Links
   UNRESOLVABLE_LINK: `Ignore link.`,
@@ -39,6 +44,16 @@ export const mitigations = {
   CUSTOM_RESOLVER_UNKNOWN_OAS: `Ignore this set of custom resolvers.`,
   CUSTOM_RESOLVER_UNKNOWN_PATH_METHOD: `Ignore this set of custom resolvers.`,
   LIMIT_ARGUMENT_NAME_COLLISION: `Do not override existing 'limit' argument.`,
+  INVALID_PAGINATION: `Ignore pagination and return the plain list.`,
+  PAGINATION_NAME_COLLISION: `Ignore pagination and return the plain list.`,
+  NODE_NAME_COLLISION: `Do not create the Node interface.`,
+  NAMESPACE_NAME_COLLISION: `Ignore namespace.`,
+  INVALID_NAMESPACE: `Use the sanitized namespace instead.`,
+  INVALID_CALLBACK: `Ignore callback.`,
+  UNRESOLVABLE_CALLBACK_CLEANUP: `Do not invoke any operation when the subscription ends.`,
+  UNSUPPORTED_RESPONSE_HEADERS: `Ignore the headers of the response.`,
+  INVALID_POLLING_SUBSCRIPTION: `Do not create a subscription that polls the operation.`,
+  INVALID_NAMER_RESULT: `Use the default name instead.`,
 
   // Miscellaneous
   OAUTH_SECURITY_SCHEME: `Ignore security scheme`
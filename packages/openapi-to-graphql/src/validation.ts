@@ -0,0 +1,411 @@
+// Copyright IBM Corp. 2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to enforce the validation keywords of JSON schemas on the
+ * arguments of GraphQL fields.
+ */
+
+// Type imports:
+import {
+  Oas3,
+  SchemaObject,
+  ReferenceObject,
+  ParameterObject
+} from './types/oas3'
+import { Operation, DataDefinition } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import * as deepEqual from 'deep-equal'
+import { handleWarning } from './utils'
+import debug from 'debug'
+
+const preprocessingLog = debug('preprocessing')
+
+export type ArgumentValidationError = {
+  /**
+   * Path to the invalid value, e.g. 'petInput.tags[1]'
+   */
+  argumentPath: string
+
+  /**
+   * The validation keyword that is violated, e.g. 'minLength'
+   */
+  keyword: string
+
+  message: string
+}
+
+/**
+ * Validation keywords that are enforced, in the order they are checked
+ */
+const VALIDATION_KEYWORDS = [
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'exclusiveMinimum',
+  'maximum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'minProperties',
+  'maxProperties'
+]
+
+/**
+ * Returns a statement that lists the validation keywords of the given schema,
+ * to be appended to the description of an argument or input field
+ */
+export function getConstraintsDescription(
+  schema: SchemaObject
+): string | undefined {
+  const constraints = VALIDATION_KEYWORDS.filter(keyword => {
+    return typeof schema[keyword] !== 'undefined'
+  }).map(keyword => {
+    return `${keyword}: ${JSON.stringify(schema[keyword])}`
+  })
+
+  if (constraints.length > 0) {
+    return `Constraints: ${constraints.join(', ')}`
+  }
+}
+
+/**
+ * Validates the arguments of a query or mutation field against the schemas of
+ * the parameters and of the request body of the given operation
+ *
+ * Returns the list of violated constraints, which is empty if the arguments
+ * are valid.
+ */
+export function validateArguments(
+  args: { [argName: string]: any },
+  operation: Operation,
+  payloadName: string | undefined,
+  data: PreprocessingData
+): ArgumentValidationError[] {
+  const errors: ArgumentValidationError[] = []
+
+  operation.parameters.forEach(parameter => {
+    const saneName = Oas3Tools.sanitize(parameter.name)
+    const schema = getParameterSchema(parameter)
+
+    // Arguments may have custom names
+    if (typeof schema === 'object' && saneName in args) {
+      validateValue(
+        args[saneName],
+        schema,
+        Oas3Tools.getArgName(parameter, operation),
+        errors,
+        data,
+        operation.oas
+      )
+    }
+  })
+
+  if (
+    typeof payloadName === 'string' &&
+    typeof operation.payloadDefinition === 'object'
+  ) {
+    const sanePayloadName = Oas3Tools.sanitize(payloadName)
+    if (sanePayloadName in args) {
+      validateValue(
+        args[sanePayloadName],
+        operation.payloadDefinition.schema,
+        sanePayloadName,
+        errors,
+        data,
+        operation.oas,
+        operation.payloadDefinition
+      )
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Compiles the pattern keywords in the schemas of the parameters and of the
+ * request body of the given operation, and stores them in data
+ *
+ * Patterns are compiled as Unicode-aware regular expressions if possible. As
+ * patterns in OASs commonly contain escape sequences that are invalid in that
+ * mode, e.g. '\-', they are compiled as regular ones otherwise.
+ */
+export function compilePatterns(
+  operation: Operation,
+  data: PreprocessingData
+): void {
+  const schemas = operation.parameters.map(getParameterSchema)
+  if (typeof operation.payloadDefinition === 'object') {
+    schemas.push(operation.payloadDefinition.schema)
+  }
+
+  const visited: SchemaObject[] = []
+  const compileSchemaPatterns = (
+    schemaOrRef: SchemaObject | ReferenceObject
+  ) => {
+    if (typeof schemaOrRef !== 'object' || schemaOrRef === null) {
+      return
+    }
+
+    const schema: SchemaObject =
+      '$ref' in schemaOrRef
+        ? Oas3Tools.resolveRef(schemaOrRef['$ref'], operation.oas)
+        : schemaOrRef
+    if (visited.includes(schema)) {
+      return
+    }
+    visited.push(schema)
+
+    if (
+      typeof schema.pattern === 'string' &&
+      !(schema.pattern in data.patterns)
+    ) {
+      data.patterns[schema.pattern] = compilePattern(schema.pattern, data)
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach(compileSchemaPatterns)
+    }
+    if (typeof schema.items === 'object') {
+      compileSchemaPatterns(schema.items)
+    }
+    if (typeof schema.properties === 'object') {
+      Object.values(schema.properties).forEach(compileSchemaPatterns)
+    }
+  }
+
+  schemas.forEach(compileSchemaPatterns)
+}
+
+/**
+ * Returns the regular expression of the given pattern, or null if it cannot be
+ * compiled
+ */
+function compilePattern(
+  pattern: string,
+  data: PreprocessingData
+): RegExp | null {
+  try {
+    return new RegExp(pattern, 'u')
+  } catch (e) {
+    try {
+      return new RegExp(pattern)
+    } catch (e) {
+      handleWarning({
+        typeKey: 'INVALID_PATTERN',
+        message: `The pattern '${pattern}' is not a valid regular expression: ${e.message}`,
+        data,
+        log: preprocessingLog
+      })
+      return null
+    }
+  }
+}
+
+/**
+ * Returns the schema of the given parameter, if any
+ */
+function getParameterSchema(
+  parameter: ParameterObject
+): SchemaObject | ReferenceObject | undefined {
+  if (typeof parameter.schema === 'object') {
+    return parameter.schema
+  } else if (
+    typeof parameter.content === 'object' &&
+    typeof parameter.content['application/json'] === 'object'
+  ) {
+    return parameter.content['application/json'].schema
+  }
+}
+
+/**
+ * Recursively validates the given (sanitized) value against the schema and
+ * adds the violated constraints to the list of errors
+ *
+ * The data definition of the schema, if known, provides the custom names of
+ * input object fields.
+ */
+function validateValue(
+  value: any,
+  schemaOrRef: SchemaObject | ReferenceObject,
+  path: string,
+  errors: ArgumentValidationError[],
+  data: PreprocessingData,
+  oas: Oas3,
+  def?: DataDefinition
+): void {
+  if (value === null || typeof value === 'undefined') {
+    return
+  }
+
+  const schema: SchemaObject =
+    '$ref' in schemaOrRef
+      ? Oas3Tools.resolveRef(schemaOrRef['$ref'], oas)
+      : schemaOrRef
+
+  // Constraints may also be defined in the subschemas
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(subSchema => {
+      validateValue(value, subSchema, path, errors, data, oas, def)
+    })
+  }
+
+  const addError = (keyword: string, message: string) => {
+    errors.push({
+      argumentPath: path,
+      keyword,
+      message: `Argument '${path}' ${message}`
+    })
+  }
+
+  // CASE: string
+  if (typeof value === 'string') {
+    /**
+     * Count code points rather than UTF-16 code units, in accordance with the
+     * JSON schema specification
+     */
+    const length = Array.from(value).length
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      addError(
+        'minLength',
+        `must be at least ${schema.minLength} characters long`
+      )
+    }
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      addError(
+        'maxLength',
+        `must be at most ${schema.maxLength} characters long`
+      )
+    }
+    if (
+      typeof schema.pattern === 'string' &&
+      data.patterns[schema.pattern] instanceof RegExp &&
+      !data.patterns[schema.pattern].test(value)
+    ) {
+      addError('pattern', `must match the pattern '${schema.pattern}'`)
+    }
+
+    // CASE: number
+  } else if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number') {
+      if (schema.exclusiveMinimum === true && value <= schema.minimum) {
+        addError('exclusiveMinimum', `must be greater than ${schema.minimum}`)
+      } else if (value < schema.minimum) {
+        addError(
+          'minimum',
+          `must be greater than or equal to ${schema.minimum}`
+        )
+      }
+    }
+    if (typeof schema.maximum === 'number') {
+      if (schema.exclusiveMaximum === true && value >= schema.maximum) {
+        addError('exclusiveMaximum', `must be less than ${schema.maximum}`)
+      } else if (value > schema.maximum) {
+        addError('maximum', `must be less than or equal to ${schema.maximum}`)
+      }
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      // Allow for floating point inaccuracies, e.g. 0.3 / 0.1
+      const quotient = value / schema.multipleOf
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-8) {
+        addError('multipleOf', `must be a multiple of ${schema.multipleOf}`)
+      }
+    }
+
+    // CASE: array
+  } else if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      addError('minItems', `must contain at least ${schema.minItems} items`)
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      addError('maxItems', `must contain at most ${schema.maxItems} items`)
+    }
+    if (
+      schema.uniqueItems === true &&
+      value.some((item, index) => {
+        return value.findIndex(other => deepEqual(item, other)) !== index
+      })
+    ) {
+      addError('uniqueItems', `must not contain duplicate items`)
+    }
+
+    if (typeof schema.items === 'object') {
+      value.forEach((item, index) => {
+        validateValue(
+          item,
+          schema.items,
+          `${path}[${index}]`,
+          errors,
+          data,
+          oas,
+          typeof def === 'object' && def.type === 'array'
+            ? (def.subDefinitions as DataDefinition)
+            : undefined
+        )
+      })
+    }
+
+    // CASE: object
+  } else if (typeof value === 'object') {
+    const numProperties = Object.keys(value).length
+    if (
+      typeof schema.minProperties === 'number' &&
+      numProperties < schema.minProperties
+    ) {
+      addError(
+        'minProperties',
+        `must contain at least ${schema.minProperties} properties`
+      )
+    }
+    if (
+      typeof schema.maxProperties === 'number' &&
+      numProperties > schema.maxProperties
+    ) {
+      addError(
+        'maxProperties',
+        `must contain at most ${schema.maxProperties} properties`
+      )
+    }
+
+    // The keys of input objects are sanitized or custom field names
+    if (typeof schema.properties === 'object') {
+      const propertyDefs =
+        typeof def === 'object' &&
+        (def.type === 'object' || def.type === 'interface')
+          ? (def.subDefinitions as { [propertyKey: string]: DataDefinition })
+          : {}
+
+      for (let propertyKey in schema.properties) {
+        const fieldName = schema.properties[propertyKey]['x-graphql-field-name']
+        const saneKey =
+          typeof def === 'object' &&
+          typeof def.fieldNames === 'object' &&
+          propertyKey in def.fieldNames
+            ? def.fieldNames[propertyKey]
+            : Oas3Tools.isGraphQLName(fieldName)
+            ? fieldName
+            : data.options.simpleFieldNames
+            ? Oas3Tools.simpleSanitize(propertyKey)
+            : Oas3Tools.sanitize(propertyKey)
+
+        validateValue(
+          value[saneKey],
+          schema.properties[propertyKey],
+          `${path}.${saneKey}`,
+          errors,
+          data,
+          oas,
+          propertyDefs[propertyKey]
+        )
+      }
+    }
+  }
+}
@@ -9,7 +9,7 @@
 
 import * as openapiToGraphql from '../lib/index'
 import { Options } from '../lib/types/options'
-import { graphql, parse, validate } from 'graphql'
+import { graphql, parse, validate, validateSchema } from 'graphql'
 
 const api = require('./example_api_server')
 const api2 = require('./example_api3_server')
@@ -439,3 +439,214 @@ test('Option customResolver with two APIs and interrelated links', () => {
       })
     })
 })
+
+test('Option namespaces with two APIs', () => {
+  const query = `{
+    exampleAPI {
+      user(username: "arlene") {
+        name
+      }
+    }
+    exampleAPI3 {
+      author(authorId: "arlene") {
+        name
+        employee {
+          name
+        }
+      }
+      viewerApiKey(apiKey: "abcdef") {
+        nextWork(authorId: "arlene") {
+          title
+        }
+      }
+    }
+  }`
+  return openapiToGraphql
+    .createGraphQlSchema([oas, oas3], {
+      fillEmptyResponses: true,
+      namespaces: true
+    })
+    .then(({ schema }) => {
+      expect(Object.keys(schema.getQueryType().getFields())).toEqual([
+        'exampleAPI',
+        'exampleAPI3'
+      ])
+      expect(Object.keys(schema.getMutationType().getFields())).toEqual([
+        'exampleAPI'
+      ])
+
+      // Types are prefixed by the namespace
+      expect(schema.getType('Author')).toBeUndefined()
+      expect(schema.getType('ExampleAPI3Author')).toBeDefined()
+      expect(schema.getType('ExampleAPIUser')).toBeDefined()
+      expect(schema.getType('ExampleAPI3ViewerApiKey')).toBeDefined()
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            exampleAPI: {
+              user: {
+                name: 'Arlene L McMahon'
+              }
+            },
+            exampleAPI3: {
+              author: {
+                name: 'Arlene L McMahon',
+                employee: {
+                  name: 'Arlene L McMahon'
+                }
+              },
+              viewerApiKey: {
+                nextWork: {
+                  title: 'OpenAPI-to-GraphQL for Power Users'
+                }
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Option namespaces with two APIs that share operationIds', () => {
+  const oas3Copy = {
+    ...oas3,
+    info: {
+      ...oas3.info,
+      title: 'Example API 3 Copy'
+    }
+  }
+
+  const query = `{
+    books {
+      author(authorId: "arlene") {
+        name
+      }
+    }
+    copy {
+      author(authorId: "arlene") {
+        name
+      }
+    }
+  }`
+  return openapiToGraphql
+    .createGraphQlSchema([oas3, oas3Copy], {
+      namespaces: {
+        'Example API 3': 'books',
+        'Example API 3 Copy': 'copy'
+      }
+    })
+    .then(({ schema, report }) => {
+      expect(
+        report.warnings.filter(warning => {
+          return warning.type === 'DUPLICATE_OPERATIONID'
+        })
+      ).toEqual([])
+      expect(schema.getType('BooksAuthor')).toBeDefined()
+      expect(schema.getType('CopyAuthor')).toBeDefined()
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            books: {
+              author: {
+                name: 'Arlene L McMahon'
+              }
+            },
+            copy: {
+              author: {
+                name: 'Arlene L McMahon'
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Option namespaces sanitizes namespaces that are not valid GraphQL names', () => {
+  const query = `{
+    myBooks {
+      author(authorId: "arlene") {
+        name
+      }
+    }
+  }`
+  return openapiToGraphql
+    .createGraphQlSchema([oas3], {
+      namespaces: {
+        'Example API 3': 'my-books'
+      }
+    })
+    .then(({ schema, report }) => {
+      expect(validateSchema(schema)).toEqual([])
+      expect(schema.getType('MyBooksAuthor')).toBeDefined()
+      expect(
+        report.warnings
+          .filter(warning => warning.type === 'INVALID_NAMESPACE')
+          .map(warning => warning.message)
+      ).toEqual([
+        `The namespace "my-books" of the OAS 'Example API 3' is not a valid ` +
+          `GraphQL name. Its sanitized form is 'myBooks'.`
+      ])
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            myBooks: {
+              author: {
+                name: 'Arlene L McMahon'
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Resolver options can be set by the title of the OAS', () => {
+  // The server of the OAS is replaced using the baseUrl option
+  const oas3Elsewhere = {
+    ...oas3,
+    servers: [
+      {
+        url: 'http://localhost:1/api'
+      }
+    ]
+  }
+
+  const query = `{
+    user(username: "arlene") {
+      name
+    }
+    nextWork(authorId: "arlene") {
+      title
+    }
+  }`
+  return openapiToGraphql
+    .createGraphQlSchema([oas, oas3Elsewhere], {
+      viewer: false,
+      baseUrl: {
+        'Example API 3': `http://localhost:${PORT2}/api`
+      },
+      headers: {
+        'Example API 3': {
+          access_token: 'abcdef'
+        }
+      }
+    })
+    .then(({ schema }) => {
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            user: {
+              name: 'Arlene L McMahon'
+            },
+            nextWork: {
+              title: 'OpenAPI-to-GraphQL for Power Users'
+            }
+          }
+        })
+      })
+    })
+})
@@ -0,0 +1,3231 @@
+// Copyright IBM Corp. 2017,2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+/* globals beforeAll, test, expect */
+
+import * as openapiToGraphql from '../lib/index'
+import { createCallbackReceiver } from '../lib/subscriptions'
+import * as http from 'http'
+import {
+  graphql,
+  parse,
+  subscribe,
+  GraphQLInputObjectType,
+  GraphQLObjectType,
+  GraphQLUnionType,
+  GraphQLInterfaceType,
+  GraphQLScalarType,
+  GraphQLString,
+  GraphQLFloat,
+  printSchema,
+  validateSchema
+} from 'graphql'
+
+const api = require('./example_api4_server')
+
+const oas = require('./fixtures/example_oas4.json')
+const storesOas = require('./fixtures/example_oas4_stores.json')
+const PORT = 3007
+// update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+storesOas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema
+
+/**
+ * Set up the schema first and run example API server
+ */
+beforeAll(() => {
+  return Promise.all([
+    openapiToGraphql.createGraphQlSchema(oas).then(({ schema, report }) => {
+      createdSchema = schema
+    }),
+    api.startServer(PORT)
+  ])
+})
+
+/**
+ * Shut down API server
+ */
+afterAll(() => {
+  return api.stopServer()
+})
+
+test('oneOf and anyOf schemas are translated into union types', () => {
+  const paymentMethod = createdSchema.getType('PaymentMethod')
+  expect(paymentMethod).toBeInstanceOf(GraphQLUnionType)
+  expect(paymentMethod.getTypes().map(type => type.name)).toEqual([
+    'CreditCard',
+    'BankAccount'
+  ])
+
+  const notification = createdSchema.getType('Notification')
+  expect(notification).toBeInstanceOf(GraphQLUnionType)
+  expect(notification.getTypes().map(type => type.name)).toEqual([
+    'EmailNotification',
+    'SmsNotification'
+  ])
+})
+
+test('Resolve the member type of a union from the response data', () => {
+  const query = `{
+    visa: paymentMethod(paymentMethodId: "visa") {
+      __typename
+      ... on CreditCard {
+        cardNumber
+      }
+      ... on BankAccount {
+        iban
+      }
+    }
+    savings: paymentMethod(paymentMethodId: "savings") {
+      __typename
+      ... on CreditCard {
+        cardNumber
+      }
+      ... on BankAccount {
+        iban
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        visa: {
+          __typename: 'CreditCard',
+          cardNumber: '4111111111111111'
+        },
+        savings: {
+          __typename: 'BankAccount',
+          iban: 'DE89370400440532013000'
+        }
+      }
+    })
+  })
+})
+
+test('Resolve the member types of a list of unions', () => {
+  const query = `{
+    paymentMethods {
+      __typename
+      ... on CreditCard {
+        holder
+      }
+      ... on BankAccount {
+        holder
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        paymentMethods: [
+          {
+            __typename: 'CreditCard',
+            holder: 'Arlene L McMahon'
+          },
+          {
+            __typename: 'BankAccount',
+            holder: 'William B Ropp'
+          }
+        ]
+      }
+    })
+  })
+})
+
+test('Resolve the member type of an anyOf union', () => {
+  const query = `{
+    notification {
+      ... on EmailNotification {
+        email
+      }
+      ... on SmsNotification {
+        phoneNumber
+        read
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        notification: {
+          phoneNumber: '+1 555 0100',
+          read: false
+        }
+      }
+    })
+  })
+})
+
+test('Union members that are arbitrary JSON types are not resolved as member types', () => {
+  // Objects without properties are turned into arbitrary JSON types
+  const jsonMemberOas = JSON.parse(JSON.stringify(oas))
+  jsonMemberOas.components.schemas.PaymentMethod.oneOf.push({
+    type: 'object',
+    description: 'Any other payment method'
+  })
+
+  return openapiToGraphql
+    .createGraphQlSchema(jsonMemberOas)
+    .then(({ schema }) => {
+      expect(
+        schema
+          .getType('PaymentMethod')
+          .getTypes()
+          .map(type => type.name)
+      ).toEqual(['CreditCard', 'BankAccount'])
+
+      // Lacks the required expiration date, so no object member matches fully
+      const query = `{
+        paymentMethod(paymentMethodId: "expired") {
+          __typename
+          ... on CreditCard {
+            cardNumber
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            paymentMethod: {
+              __typename: 'CreditCard',
+              cardNumber: '5500000000000004'
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Input union types are stored in an arbitrary JSON type', () => {
+  const query = `mutation {
+    postPaymentMethod(paymentMethodInput: {
+      iban: "NL91ABNA0417164300"
+    }) {
+      ... on BankAccount {
+        iban
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        postPaymentMethod: {
+          iban: 'NL91ABNA0417164300'
+        }
+      }
+    })
+  })
+})
+
+test('Discriminated schemas are translated into object types by default', () => {
+  const pet = createdSchema.getType('Pet')
+  expect(pet).toBeInstanceOf(GraphQLObjectType)
+  expect(createdSchema.getType('Dog')).toBeUndefined()
+})
+
+test('Option discriminatorInterfaces translates discriminated schemas into interface types', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      discriminatorInterfaces: true
+    })
+    .then(({ schema }) => {
+      const pet = schema.getType('Pet') as GraphQLInterfaceType
+      expect(pet).toBeInstanceOf(GraphQLInterfaceType)
+      expect(Object.keys(pet.getFields())).toEqual(['name', 'petType'])
+
+      expect(
+        schema
+          .getPossibleTypes(pet)
+          .map(type => type.name)
+          .sort()
+      ).toEqual(['Cat', 'Dog', 'Lizard'])
+
+      const dog = schema.getType('Dog') as GraphQLObjectType
+      expect(dog.getInterfaces()).toEqual([pet])
+      expect(Object.keys(dog.getFields())).toEqual([
+        'name',
+        'packSize',
+        'petType'
+      ])
+    })
+})
+
+test('Resolve the implementing type of an interface from the discriminator', () => {
+  const query = `{
+    pets {
+      __typename
+      name
+      ... on Dog {
+        packSize
+      }
+      ... on Cat {
+        huntingSkill
+      }
+      ... on Lizard {
+        lovesRocks
+      }
+    }
+  }`
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, { discriminatorInterfaces: true })
+    .then(({ schema }) => graphql(schema, query))
+    .then(result => {
+      expect(result).toEqual({
+        data: {
+          pets: [
+            {
+              __typename: 'Dog',
+              name: 'Rex',
+              packSize: 3
+            },
+            {
+              __typename: 'Cat',
+              name: 'Tom',
+              huntingSkill: 'lazy'
+            },
+            {
+              __typename: 'Lizard',
+              name: 'Spike',
+              lovesRocks: true
+            }
+          ]
+        }
+      })
+    })
+})
+
+test('Discriminator values that map to the base schema resolve to an implementation of the base schema', () => {
+  const oasWithBase = JSON.parse(JSON.stringify(oas))
+  const schemas = oasWithBase.components.schemas
+  schemas.Pet.discriminator.mapping.pet = '#/components/schemas/Pet'
+
+  // Robots lack the name of pets
+  schemas.Pet.discriminator.mapping.robot = '#/components/schemas/Robot'
+  schemas.Robot = {
+    type: 'object',
+    properties: {
+      petType: {
+        type: 'string'
+      },
+      serial: {
+        type: 'string'
+      }
+    }
+  }
+
+  const query = `{
+    pets {
+      __typename
+      name
+    }
+  }`
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithBase, {
+      discriminatorInterfaces: true,
+      customResolvers: {
+        'Example API 4': {
+          '/pets': {
+            get: () => {
+              return [
+                { name: 'Rex', petType: 'dog', packSize: 3 },
+                { name: 'Nemo', petType: 'pet' }
+              ]
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema, report }) => {
+      expect(validateSchema(schema)).toEqual([])
+      expect(
+        schema
+          .getPossibleTypes(schema.getType('Pet') as GraphQLInterfaceType)
+          .map(type => type.name)
+          .sort()
+      ).toEqual(['Cat', 'Dog', 'Lizard', 'PetBase'])
+      expect(
+        report.warnings.some(warning => {
+          return (
+            warning.type === 'UNSUPPORTED_JSON_SCHEMA_KEYWORD' &&
+            warning.message.includes("lacks the properties 'name'")
+          )
+        })
+      ).toBe(true)
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            pets: [
+              {
+                __typename: 'Dog',
+                name: 'Rex'
+              },
+              {
+                __typename: 'PetBase',
+                name: 'Nemo'
+              }
+            ]
+          }
+        })
+      })
+    })
+})
+
+test('Input interface types are translated into input object types', () => {
+  const query = `mutation {
+    postPet(petInput: {
+      name: "Garfield"
+      petType: "cat"
+    }) {
+      __typename
+      name
+    }
+  }`
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, { discriminatorInterfaces: true })
+    .then(({ schema }) => graphql(schema, query))
+    .then(result => {
+      expect(result).toEqual({
+        data: {
+          postPet: {
+            __typename: 'Cat',
+            name: 'Garfield'
+          }
+        }
+      })
+    })
+})
+
+test('Schemas with formats are translated into String and Float types by default', () => {
+  const invoice = createdSchema.getType('Invoice')
+  const fields = invoice.getFields()
+  expect(fields.invoiceId.type).toBe(GraphQLFloat)
+  expect(fields.issuedAt.type).toBe(GraphQLString)
+})
+
+test('Schemas with formats are translated into custom scalar types', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      formatScalars: true
+    })
+    .then(({ schema }) => {
+      const fields = schema.getType('Invoice').getFields()
+      expect(fields.invoiceId.type.name).toEqual('BigInt')
+      expect(fields.issuedAt.type.name).toEqual('DateTime')
+      expect(fields.dueDate.type.name).toEqual('Date')
+      expect(fields.contactEmail.type.name).toEqual('Email')
+      expect(fields.receiptUrl.type.name).toEqual('URL')
+      expect(fields.signature.type.name).toEqual('Base64')
+
+      const query = `{
+        invoice(invoiceId: "9007199254740993") {
+          invoiceId
+          issuedAt
+          dueDate
+          contactEmail
+          receiptUrl
+          signature
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            invoice: {
+              invoiceId: '9007199254740993',
+              issuedAt: '2019-05-01T12:30:00Z',
+              dueDate: '2019-05-31',
+              contactEmail: 'billing@example.com',
+              receiptUrl: 'https://example.com/receipts/9007199254740993',
+              signature: 'SGVsbG8='
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Custom scalar types validate input values', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      formatScalars: true
+    })
+    .then(({ schema }) => {
+      const query = `mutation {
+        postInvoice(invoiceInput: {
+          invoiceId: 42
+          dueDate: "2019-02-30"
+          contactEmail: "billing"
+        }) {
+          invoiceId
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.errors.map(error => error.message)).toEqual([
+          'Expected type Date, found "2019-02-30".',
+          'Expected type Email, found "billing".'
+        ])
+      })
+    })
+})
+
+test('Custom scalar types send 64 bit integers as JSON numbers', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      formatScalars: true
+    })
+    .then(({ schema }) => {
+      // The API echoes the raw request body
+      const query = `mutation {
+        postInvoice(invoiceInput: {
+          invoiceId: "9007199254740993"
+        }) {
+          invoiceId
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            postInvoice: {
+              invoiceId: '9007199254740993'
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Custom scalar types only retain the precision of 64 bit integers', () => {
+  // Turn the metadata of invoices into an arbitrary JSON type
+  const oasWithMetadata = JSON.parse(JSON.stringify(oas))
+  oasWithMetadata.components.schemas.Invoice.properties.metadata = {
+    type: 'object'
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithMetadata, {
+      formatScalars: true
+    })
+    .then(({ schema }) => {
+      const query = `mutation {
+        postInvoice(invoiceInput: {
+          invoiceId: "9007199254740993"
+          metadata: {
+            batch: 9007199254740992
+          }
+        }) {
+          invoiceId
+          metadata
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            postInvoice: {
+              invoiceId: '9007199254740993',
+              metadata: {
+                batch: 9007199254740992
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Custom scalar types can be registered for formats', () => {
+  const GraphQLCents = new GraphQLScalarType({
+    name: 'Cents',
+    serialize: value => `${value} cents`,
+    parseValue: value => value,
+    parseLiteral: ast => (ast.kind === 'IntValue' ? Number(ast.value) : null)
+  })
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      formatScalars: true,
+      customScalars: {
+        int64: GraphQLCents
+      }
+    })
+    .then(({ schema }) => {
+      const fields = schema.getType('Invoice').getFields()
+      expect(fields.invoiceId.type).toBe(GraphQLCents)
+      expect(fields.issuedAt.type.name).toEqual('DateTime')
+
+      const query = `mutation {
+        postInvoice(invoiceInput: {
+          invoiceId: 42
+        }) {
+          invoiceId
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            postInvoice: {
+              invoiceId: '42 cents'
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Validation keywords are listed in argument and input field descriptions', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      validateArguments: true
+    })
+    .then(({ schema }) => {
+      const limitArg = schema
+        .getQueryType()
+        .getFields()
+        .pets.args.find(arg => arg.name === 'limit')
+      expect(limitArg.description).toEqual(
+        'Maximum number of pets to return.\n\nConstraints: minimum: 1, maximum: 50'
+      )
+
+      const fields = schema.getType('InvoiceInput').getFields()
+      expect(fields.reference.description).toEqual(
+        'Constraints: minLength: 5, maxLength: 12, pattern: "^INV-"'
+      )
+      expect(fields.amount.description).toEqual(
+        'Constraints: minimum: 0, exclusiveMinimum: true, multipleOf: 0.01'
+      )
+    })
+})
+
+test('Valid arguments are passed on to the API', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      validateArguments: true
+    })
+    .then(({ schema }) => {
+      const query = `{
+        pets(limit: 1) {
+          name
+        }
+      }`
+
+      const mutation = `mutation {
+        postInvoice(invoiceInput: {
+          reference: "INV-42"
+          amount: 19.99
+          tags: ["urgent", "paid"]
+        }) {
+          reference
+          amount
+          tags
+        }
+      }`
+
+      return Promise.all([
+        graphql(schema, query),
+        graphql(schema, mutation)
+      ]).then(([queryResult, mutationResult]) => {
+        expect(queryResult).toEqual({
+          data: {
+            pets: [
+              {
+                name: 'Rex'
+              }
+            ]
+          }
+        })
+        expect(mutationResult).toEqual({
+          data: {
+            postInvoice: {
+              reference: 'INV-42',
+              amount: 19.99,
+              tags: ['urgent', 'paid']
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Invalid arguments are rejected before any request is made', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      validateArguments: true
+    })
+    .then(({ schema }) => {
+      const query = `mutation {
+        postInvoice(invoiceInput: {
+          reference: "42"
+          amount: 0
+          tags: ["urgent", "urgent", "x"]
+        }) {
+          reference
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.data).toEqual({
+          postInvoice: null
+        })
+        expect(result.errors[0].message).toEqual(
+          'Invalid arguments for operation POST /invoices: ' +
+            "Argument 'invoiceInput.reference' must be at least 5 characters long; " +
+            "Argument 'invoiceInput.reference' must match the pattern '^INV-'; " +
+            "Argument 'invoiceInput.amount' must be greater than 0; " +
+            "Argument 'invoiceInput.tags' must not contain duplicate items; " +
+            "Argument 'invoiceInput.tags[2]' must be at least 2 characters long"
+        )
+        expect(
+          result.errors[0].extensions.validationErrors.map(
+            error => error.argumentPath
+          )
+        ).toEqual([
+          'invoiceInput.reference',
+          'invoiceInput.reference',
+          'invoiceInput.amount',
+          'invoiceInput.tags',
+          'invoiceInput.tags[2]'
+        ])
+      })
+    })
+})
+
+test('Patterns with escape sequences are enforced', () => {
+  // Require references with digits, escaping the hyphen as OASs commonly do
+  const oasWithPattern = JSON.parse(JSON.stringify(oas))
+  oasWithPattern.components.schemas.Invoice.properties.reference.pattern =
+    '^INV\\-\\d+$'
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithPattern, {
+      validateArguments: true
+    })
+    .then(({ schema, report }) => {
+      expect(
+        report.warnings.filter(warning => warning.type === 'INVALID_PATTERN')
+      ).toEqual([])
+
+      const query = `mutation {
+        valid: postInvoice(invoiceInput: {
+          reference: "INV-42"
+        }) {
+          reference
+        }
+        invalid: postInvoice(invoiceInput: {
+          reference: "INV-XL"
+        }) {
+          reference
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.data).toEqual({
+          valid: {
+            reference: 'INV-42'
+          },
+          invalid: null
+        })
+        expect(result.errors[0].message).toEqual(
+          'Invalid arguments for operation POST /invoices: ' +
+            "Argument 'invoiceInput.reference' must match the pattern '^INV\\-\\d+$'"
+        )
+      })
+    })
+})
+
+test('Invalid parameters are rejected before any request is made', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      validateArguments: true
+    })
+    .then(({ schema }) => {
+      const query = `{
+        pets(limit: 51) {
+          name
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.errors.map(error => error.message)).toEqual([
+          'Invalid arguments for operation GET /pets: ' +
+            "Argument 'limit' must be less than or equal to 50"
+        ])
+      })
+    })
+})
+
+test('Output fields are nullable by default', () => {
+  const fields = createdSchema.getType('CreditCard').getFields()
+  expect(fields.cardNumber.type).toBe(GraphQLString)
+
+  const petsField = createdSchema.getQueryType().getFields().pets
+  expect(petsField.type.toString()).toEqual('[Pet]')
+})
+
+test('Required properties are translated into non-null output fields', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      nonNullOutputFields: true,
+      discriminatorInterfaces: true
+    })
+    .then(({ schema }) => {
+      const fields = schema.getType('CreditCard').getFields()
+      expect(fields.cardNumber.type.toString()).toEqual('String!')
+      expect(fields.expirationDate.type.toString()).toEqual('String!')
+      expect(fields.holder.type.toString()).toEqual('String')
+
+      // Required properties of allOf subschemas
+      const dogFields = schema.getType('Dog').getFields()
+      expect(dogFields.name.type.toString()).toEqual('String!')
+      expect(dogFields.packSize.type.toString()).toEqual('Int')
+
+      // List items
+      const petsField = schema.getQueryType().getFields().pets
+      expect(petsField.type.toString()).toEqual('[Pet!]')
+
+      const query = `{
+        paymentMethod(paymentMethodId: "visa") {
+          ... on CreditCard {
+            cardNumber
+            expirationDate
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            paymentMethod: {
+              cardNumber: '4111111111111111',
+              expirationDate: '12/25'
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Missing values of non-null output fields refer to the operation', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      nonNullOutputFields: true
+    })
+    .then(({ schema }) => {
+      const query = `{
+        paymentMethod(paymentMethodId: "expired") {
+          ... on CreditCard {
+            cardNumber
+            expirationDate
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.data).toEqual({
+          paymentMethod: null
+        })
+        expect(result.errors.map(error => error.message)).toEqual([
+          'Cannot return null for non-nullable field ' +
+            'CreditCard.expirationDate: operation ' +
+            'GET /paymentMethods/{paymentMethodId} did not return a value ' +
+            "for the required property 'expirationDate'"
+        ])
+      })
+    })
+})
+
+test('Schemas with additionalProperties are translated into arbitrary JSON types by default', () => {
+  const productField = createdSchema.getQueryType().getFields().product
+  expect(productField.type.toString()).toEqual('JSON')
+})
+
+test('Schemas with additionalProperties are translated into lists of key/value entries', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      typedMaps: true
+    })
+    .then(({ schema }) => {
+      const fields = schema.getType('Product').getFields()
+      expect(fields.prices.type.toString()).toEqual('[PriceMapEntry]')
+      expect(fields.additionalProperties.type.toString()).toEqual(
+        '[ProductAdditionalPropertiesEntry]'
+      )
+
+      const entryFields = schema.getType('PriceMapEntry').getFields()
+      expect(entryFields.key.type.toString()).toEqual('String!')
+      expect(entryFields.value.type.toString()).toEqual('Price')
+
+      // The keys of maps are not sanitized
+      const query = `{
+        product(productId: "tshirt") {
+          name
+          prices {
+            key
+            value {
+              amount
+            }
+          }
+          additionalProperties {
+            key
+            value
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            product: {
+              name: 'T-shirt',
+              prices: [
+                { key: 'USD', value: { amount: 20 } },
+                { key: 'EUR', value: { amount: 18 } }
+              ],
+              additionalProperties: [{ key: 'color-code', value: '#ff0000' }]
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Lists of key/value entries are sent to the API as maps', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      typedMaps: true
+    })
+    .then(({ schema }) => {
+      const inputFields = schema.getType('ProductInput').getFields()
+      expect(inputFields.prices.type.toString()).toEqual(
+        '[PriceMapEntryInput!]'
+      )
+
+      const query = `mutation {
+        postProduct(productInput: {
+          name: "Mug"
+          prices: [{ key: "GBP", value: { amount: 7.5, currency: "GBP" } }]
+          additionalProperties: [{ key: "color-code", value: "#0000ff" }]
+        }) {
+          name
+          prices {
+            key
+            value {
+              amount
+              currency
+            }
+          }
+          additionalProperties {
+            key
+            value
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            postProduct: {
+              name: 'Mug',
+              prices: [{ key: 'GBP', value: { amount: 7.5, currency: 'GBP' } }],
+              additionalProperties: [{ key: 'color-code', value: '#0000ff' }]
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Maps in members of union types are translated into lists of key/value entries', () => {
+  // Add a map of limits to bank accounts
+  const oasWithLimits = JSON.parse(JSON.stringify(oas))
+  oasWithLimits.components.schemas.BankAccount.properties.limits = {
+    type: 'object',
+    additionalProperties: {
+      type: 'number'
+    }
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithLimits, {
+      typedMaps: true
+    })
+    .then(({ schema }) => {
+      const query = `{
+        paymentMethod(paymentMethodId: "savings") {
+          ... on BankAccount {
+            iban
+            limits {
+              key
+              value
+            }
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            paymentMethod: {
+              iban: 'DE89370400440532013000',
+              limits: [
+                { key: 'atm-withdrawal', value: 500 },
+                { key: 'transfer', value: 10000 }
+              ]
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Deprecated operations, properties, and enum values are marked as deprecated', () => {
+  const deleteOrderField = createdSchema.getMutationType().getFields()
+    .deleteOrder
+  expect(deleteOrderField.isDeprecated).toEqual(true)
+  expect(deleteOrderField.deprecationReason).toEqual(
+    'Orders are cancelled instead of deleted.'
+  )
+
+  const orderFields = createdSchema.getType('Order').getFields()
+  expect(orderFields.trackingNumber.isDeprecated).toEqual(false)
+  expect(orderFields.trackingCode.isDeprecated).toEqual(true)
+  expect(orderFields.trackingCode.deprecationReason).toEqual(
+    'No longer supported'
+  )
+
+  const statusValues = createdSchema.getType('OrderStatus').getValues()
+  expect(
+    statusValues.map(value => [value.name, value.deprecationReason])
+  ).toEqual([
+    ['placed', undefined],
+    ['shipped', undefined],
+    ['cancelled', undefined],
+    ['lost', 'Lost orders are reported as cancelled.']
+  ])
+
+  // Deprecated fields can still be queried
+  const query = `{
+    order(orderId: "1002") {
+      status
+      trackingCode
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        order: {
+          status: 'lost',
+          trackingCode: 'TRACK-1002'
+        }
+      }
+    })
+  })
+})
+
+test('Listed deprecated enum values are deprecated with the default reason', () => {
+  const oasWithListedValues = JSON.parse(JSON.stringify(oas))
+  oasWithListedValues.components.schemas.OrderStatus[
+    'x-deprecated-enum-values'
+  ] = ['cancelled', 'lost']
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithListedValues)
+    .then(({ schema }) => {
+      const statusValues = schema.getType('OrderStatus').getValues()
+      expect(
+        statusValues.map(value => [value.name, value.deprecationReason])
+      ).toEqual([
+        ['placed', undefined],
+        ['shipped', undefined],
+        ['cancelled', 'No longer supported'],
+        ['lost', 'No longer supported']
+      ])
+    })
+})
+
+test('Deprecated arguments and input fields are described as deprecated', () => {
+  const ordersField = createdSchema.getQueryType().getFields().orders
+  const customerNameArg = ordersField.args.find(
+    arg => arg.name === 'customerName'
+  )
+  expect(customerNameArg.description).toEqual(
+    'Only return orders of this customer.\n\nDeprecated: Use customerId instead.'
+  )
+
+  const inputFields = createdSchema.getType('OrderInput').getFields()
+  expect(inputFields.trackingCode.description).toEqual(
+    'The tracking number of the shipment.\n\nDeprecated: No longer supported'
+  )
+})
+
+test('Deprecated operations can be omitted', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      omitDeprecatedOperations: true
+    })
+    .then(({ schema }) => {
+      const mutationFields = schema.getMutationType().getFields()
+      expect(mutationFields.deleteOrder).toBeUndefined()
+      expect(mutationFields.postOrder).toBeDefined()
+    })
+})
+
+test('readOnly and writeOnly properties are only part of object types and input object types, respectively', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      nonNullOutputFields: true
+    })
+    .then(({ schema }) => {
+      const fields = schema.getType('User').getFields()
+      expect(Object.keys(fields)).toEqual(['createdAt', 'userId', 'username'])
+      expect(fields.userId.type.toString()).toEqual('String!')
+      expect(fields.username.type.toString()).toEqual('String!')
+
+      const inputFields = schema.getType('UserInput').getFields()
+      expect(Object.keys(inputFields)).toEqual(['password', 'username'])
+      expect(inputFields.password.type.toString()).toEqual('String!')
+      expect(inputFields.username.type.toString()).toEqual('String!')
+
+      const query = `mutation {
+        postUser(userInput: {
+          username: "jane"
+          password: "secret"
+        }) {
+          userId
+          username
+          createdAt
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            postUser: {
+              userId: 'u1',
+              username: 'jane',
+              createdAt: '2019-05-01T12:30:00Z'
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Paginated list operations return plain lists by default', () => {
+  const ordersField = createdSchema.getQueryType().getFields().orders
+  expect(ordersField.type.toString()).toEqual('[Order]')
+  expect(ordersField.args.map(arg => arg.name)).toContain('offset')
+})
+
+test('Operations with offset and limit parameters are exposed as connections', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayConnections: true
+    })
+    .then(({ schema }) => {
+      const ordersField = schema.getQueryType().getFields().orders
+      expect(ordersField.type.toString()).toEqual('OrderConnection')
+      expect(ordersField.args.map(arg => arg.name).sort()).toEqual([
+        'after',
+        'before',
+        'customerId',
+        'customerName',
+        'first',
+        'last',
+        'status'
+      ])
+
+      const query = `{
+        orders(first: 2) {
+          edges {
+            cursor
+            node {
+              orderId
+            }
+          }
+          pageInfo {
+            hasNextPage
+            hasPreviousPage
+            endCursor
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.errors).toBeUndefined()
+        const orders = result.data.orders
+        expect(orders.edges.map(edge => edge.node.orderId)).toEqual([
+          '1000',
+          '1001'
+        ])
+        expect(orders.pageInfo).toEqual({
+          hasNextPage: true,
+          hasPreviousPage: false,
+          endCursor: orders.edges[1].cursor
+        })
+
+        // Continue after the last cursor
+        const nextQuery = `{
+          orders(first: 2, after: "${orders.pageInfo.endCursor}") {
+            edges {
+              node {
+                orderId
+              }
+            }
+            pageInfo {
+              hasNextPage
+              hasPreviousPage
+            }
+          }
+        }`
+
+        return graphql(schema, nextQuery).then(result => {
+          expect(result).toEqual({
+            data: {
+              orders: {
+                edges: [{ node: { orderId: '1002' } }],
+                pageInfo: {
+                  hasNextPage: false,
+                  hasPreviousPage: true
+                }
+              }
+            }
+          })
+        })
+      })
+    })
+})
+
+test('Connections can be paginated backward', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayConnections: true
+    })
+    .then(({ schema }) => {
+      const query = `{
+        orders(first: 3) {
+          edges {
+            cursor
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        const lastCursor = result.data.orders.edges[2].cursor
+
+        const previousQuery = `{
+          orders(last: 1, before: "${lastCursor}") {
+            edges {
+              node {
+                orderId
+              }
+            }
+            pageInfo {
+              hasNextPage
+              hasPreviousPage
+            }
+          }
+        }`
+
+        return graphql(schema, previousQuery).then(result => {
+          expect(result).toEqual({
+            data: {
+              orders: {
+                edges: [{ node: { orderId: '1001' } }],
+                pageInfo: {
+                  hasNextPage: true,
+                  hasPreviousPage: true
+                }
+              }
+            }
+          })
+        })
+      })
+    })
+})
+
+test('Pagination can be configured using the x-graphql-pagination extension', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayConnections: true
+    })
+    .then(({ schema }) => {
+      const notificationsField = schema.getQueryType().getFields().notifications
+      expect(notificationsField.type.toString()).toEqual(
+        'NotificationConnection'
+      )
+
+      // Requires pages that do not align with the window
+      const query = `{
+        notifications(first: 2) {
+          edges {
+            cursor
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        const cursor = result.data.notifications.edges[0].cursor
+
+        const nextQuery = `{
+          notifications(first: 2, after: "${cursor}") {
+            edges {
+              node {
+                ... on EmailNotification {
+                  subject
+                }
+                ... on SmsNotification {
+                  text
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+            }
+          }
+        }`
+
+        return graphql(schema, nextQuery).then(result => {
+          expect(result).toEqual({
+            data: {
+              notifications: {
+                edges: [
+                  { node: { text: 'Your code is 1234' } },
+                  { node: { subject: 'Your invoice' } }
+                ],
+                pageInfo: {
+                  hasNextPage: true
+                }
+              }
+            }
+          })
+        })
+      })
+    })
+})
+
+test('Connections without a requested number of items have a next page if the API links to one', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayConnections: true
+    })
+    .then(({ schema }) => {
+      // The API returns three notifications by default
+      const query = `{
+        notifications {
+          edges {
+            cursor
+          }
+          pageInfo {
+            hasNextPage
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.data.notifications.edges.length).toEqual(3)
+        expect(result.data.notifications.pageInfo).toEqual({
+          hasNextPage: true
+        })
+      })
+    })
+})
+
+test('Connections spread items across two pages instead of requesting large pages', () => {
+  const requestedPages = []
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayConnections: true,
+      customResolvers: {
+        'Example API 4': {
+          '/notifications': {
+            get: (obj, args) => {
+              const pageNumber = args['pageNumber']
+              const pageSize = args['pageSize']
+              requestedPages.push([pageNumber, pageSize])
+
+              // There are 100 notifications
+              const notifications = []
+              for (
+                let index = pageNumber * pageSize;
+                index < Math.min((pageNumber + 1) * pageSize, 100);
+                index++
+              ) {
+                notifications.push({
+                  phoneNumber: '+1 555 0100',
+                  text: `Message ${index}`
+                })
+              }
+              return notifications
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema }) => {
+      // Items 59 and 60 only share pages of 7 or more items
+      const cursor = Buffer.from('offset:58').toString('base64')
+      const query = `{
+        notifications(first: 1, after: "${cursor}") {
+          edges {
+            node {
+              ... on SmsNotification {
+                text
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            notifications: {
+              edges: [{ node: { text: 'Message 59' } }],
+              pageInfo: {
+                hasNextPage: true
+              }
+            }
+          }
+        })
+        expect(requestedPages).toEqual([
+          [29, 2],
+          [30, 2]
+        ])
+      })
+    })
+})
+
+test('Pagination can be configured using the pagination option', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayConnections: true,
+      pagination: {
+        users: {
+          type: 'cursor',
+          cursorParam: 'startingAfter',
+          limitParam: 'limit',
+          cursorProperty: 'userId'
+        }
+      }
+    })
+    .then(({ schema }) => {
+      const usersField = schema.getQueryType().getFields().users
+      expect(usersField.type.toString()).toEqual('UserConnection')
+      expect(usersField.args.map(arg => arg.name)).toEqual(['first', 'after'])
+
+      const query = `{
+        users(first: 1) {
+          pageInfo {
+            endCursor
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        const cursor = result.data.users.pageInfo.endCursor
+
+        const nextQuery = `{
+          users(first: 5, after: "${cursor}") {
+            edges {
+              node {
+                userId
+              }
+            }
+            pageInfo {
+              hasNextPage
+              hasPreviousPage
+            }
+          }
+        }`
+
+        return graphql(schema, nextQuery).then(result => {
+          expect(result).toEqual({
+            data: {
+              users: {
+                edges: [{ node: { userId: 'u2' } }, { node: { userId: 'u3' } }],
+                pageInfo: {
+                  hasNextPage: false,
+                  hasPreviousPage: true
+                }
+              }
+            }
+          })
+        })
+      })
+    })
+})
+
+test('Invalid cursors are rejected', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayConnections: true
+    })
+    .then(({ schema }) => {
+      const query = `{
+        orders(first: 1, after: "invalid") {
+          edges {
+            cursor
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.errors.map(error => error.message)).toEqual([
+          "Invalid cursor 'invalid'"
+        ])
+      })
+    })
+})
+
+test('Object types fetched by their ID implement the Node interface', () => {
+  return openapiToGraphql
+    .createGraphQlSchema([oas, storesOas], {
+      relayNodeInterface: true
+    })
+    .then(({ schema }) => {
+      const nodeInterface = schema.getType('Node')
+      const nodeTypes = schema
+        .getPossibleTypes(nodeInterface)
+        .map(type => type.name)
+        .sort()
+      expect(nodeTypes).toEqual([
+        'Delivery',
+        'Invoice',
+        'Order',
+        'Store',
+        'User',
+        'Webhook'
+      ])
+
+      // The original id property is preserved
+      const storeFields = schema.getType('Store').getFields()
+      expect(storeFields.id.type.toString()).toEqual('ID!')
+      expect(storeFields.rawId.type.toString()).toEqual('String')
+
+      const query = `{
+        order(orderId: "1001") {
+          id
+        }
+        store(storeId: "downtown") {
+          id
+          rawId
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.errors).toBeUndefined()
+        const { order, store } = result.data
+        expect(store.rawId).toEqual('downtown')
+
+        // Refetch the objects by their global IDs
+        const nodeQuery = `{
+          order: node(id: "${order.id}") {
+            id
+            ... on Order {
+              orderId
+              status
+            }
+          }
+          store: node(id: "${store.id}") {
+            id
+            ... on Store {
+              name
+            }
+          }
+        }`
+
+        return graphql(schema, nodeQuery).then(result => {
+          expect(result).toEqual({
+            data: {
+              order: {
+                id: order.id,
+                orderId: '1001',
+                status: 'shipped'
+              },
+              store: {
+                id: store.id,
+                name: 'Downtown'
+              }
+            }
+          })
+        })
+      })
+    })
+})
+
+test('Invalid global IDs are rejected', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      relayNodeInterface: true
+    })
+    .then(({ schema }) => {
+      const query = `{
+        node(id: "invalid") {
+          id
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.errors.map(error => error.message)).toEqual([
+          "Invalid global ID 'invalid'"
+        ])
+      })
+    })
+})
+
+test('Recursive schemas are translated into recursive object types', () => {
+  const categoryType = createdSchema.getType('Category')
+  expect(categoryType.getFields()['parent'].type).toBe(categoryType)
+
+  const query = `{
+    category(categoryId: "books") {
+      name
+      subcategories {
+        name
+        subcategories {
+          name
+        }
+      }
+    }
+    employee(employeeId: "alice") {
+      name
+      department {
+        name
+        manager {
+          name
+        }
+        employees {
+          name
+        }
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        category: {
+          name: 'Books',
+          subcategories: [
+            {
+              name: 'Fiction',
+              subcategories: [{ name: 'Crime' }, { name: 'Fantasy' }]
+            }
+          ]
+        },
+        employee: {
+          name: 'Alice',
+          department: {
+            name: 'Research',
+            manager: {
+              name: 'Bob'
+            },
+            employees: [{ name: 'Alice' }, { name: 'Carol' }]
+          }
+        }
+      }
+    })
+  })
+})
+
+test('Recursive schemas are translated into recursive input object types', () => {
+  const categoryInputType = createdSchema.getType('CategoryInput')
+  expect(categoryInputType.getFields()['parent'].type).toBe(categoryInputType)
+
+  const query = `mutation {
+    postCategory(categoryInput: {
+      name: "Poetry"
+      parent: { name: "Books" }
+    }) {
+      name
+      parent {
+        name
+      }
+    }
+    postEmployee(employeeInput: {
+      name: "Dave"
+      department: {
+        name: "Sales"
+        manager: { name: "Erin" }
+      }
+    }) {
+      name
+      department {
+        name
+        manager {
+          name
+        }
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        postCategory: {
+          name: 'Poetry',
+          parent: {
+            name: 'Books'
+          }
+        },
+        postEmployee: {
+          name: 'Dave',
+          department: {
+            name: 'Sales',
+            manager: {
+              name: 'Erin'
+            }
+          }
+        }
+      }
+    })
+  })
+})
+
+test('Deeply nested schemas are translated', () => {
+  const deepOas = JSON.parse(JSON.stringify(oas))
+
+  // Nest 60 objects in each other
+  let deepSchema: any = { type: 'string' }
+  for (let i = 0; i < 60; i++) {
+    deepSchema = {
+      type: 'object',
+      properties: {
+        nested: deepSchema
+      }
+    }
+  }
+
+  deepOas.paths['/deep'] = {
+    get: {
+      operationId: 'deep',
+      responses: {
+        '200': {
+          description: 'A deeply nested object.',
+          content: {
+            'application/json': {
+              schema: deepSchema
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return openapiToGraphql.createGraphQlSchema(deepOas).then(({ schema }) => {
+    let type = schema.getQueryType().getFields()['deep'].type
+    for (let i = 0; i < 60; i++) {
+      type = type.getFields()['nested'].type
+    }
+    expect(type).toBe(GraphQLString)
+  })
+})
+
+test('Schemas that contain themselves without an object in between are rejected', () => {
+  const loopOas = JSON.parse(JSON.stringify(oas))
+  loopOas.components.schemas['Loop'] = {
+    type: 'array',
+    items: {
+      $ref: '#/components/schemas/Loop'
+    }
+  }
+  loopOas.paths['/loop'] = {
+    get: {
+      operationId: 'loop',
+      responses: {
+        '200': {
+          description: 'A list of itself.',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Loop'
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return expect(openapiToGraphql.createGraphQlSchema(loopOas)).rejects.toThrow(
+    "Cannot create type 'Loop' because it contains itself through the " +
+      'reference chain Loop -> Loop'
+  )
+})
+
+test('Extensions set the names of types, fields, arguments, and enum values', () => {
+  const customerType = createdSchema.getType('Customer')
+  expect(Object.keys(customerType.getFields())).toEqual([
+    'customerId',
+    'name',
+    'tier'
+  ])
+  expect(
+    createdSchema
+      .getType('Tier')
+      .getValues()
+      .map(value => value.name)
+  ).toEqual(['PREMIUM', 'basic'])
+
+  const customerField = createdSchema.getQueryType().getFields()['customer']
+  expect(customerField.type).toBe(customerType)
+  expect(customerField.args.map(arg => arg.name)).toEqual(['id'])
+
+  const query = `{
+    customer(id: "a1") {
+      customerId
+      name
+      tier
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        customer: {
+          customerId: 'a1',
+          name: 'Ada',
+          tier: 'PREMIUM'
+        }
+      }
+    })
+  })
+})
+
+test('Extensions set the operation type and skip operations', () => {
+  const queryFields = createdSchema.getQueryType().getFields()
+  const mutationFields = createdSchema.getMutationType().getFields()
+  expect(queryFields['searchCustomers']).toBeDefined()
+  expect(mutationFields['searchAccounts']).toBeUndefined()
+  expect(mutationFields['deleteAccount']).toBeUndefined()
+
+  const query = `{
+    searchCustomers(accountQueryInput: { name: "Grace" }) {
+      customerId
+      tier
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        searchCustomers: [
+          {
+            customerId: 'a2',
+            tier: 'basic'
+          }
+        ]
+      }
+    })
+  })
+})
+
+test('Renamed input fields are sent to the API using the property names', () => {
+  const query = `mutation {
+    postAccount(customerInput: { name: "Hedy", tier: PREMIUM }) {
+      customerId
+      name
+      tier
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        postAccount: {
+          customerId: 'a3',
+          name: 'Hedy',
+          tier: 'PREMIUM'
+        }
+      }
+    })
+  })
+})
+
+test('Naming options set the names of types, fields, arguments, and enum values', () => {
+  const typeNamerParams = []
+  const options = {
+    typeNamer: params => {
+      typeNamerParams.push(params)
+      if (params.candidateNames.includes('Customer')) {
+        return 'Client'
+      }
+    },
+    fieldNamer: ({ candidateNames }) => {
+      if (candidateNames.includes('full_name')) {
+        return 'fullName'
+      } else if (candidateNames[0] === 'customer') {
+        return 'client'
+      }
+    },
+    argNamer: ({ candidateNames, method }) => {
+      if (method === 'get' && candidateNames.includes('accountId')) {
+        return 'clientId'
+      }
+    },
+    enumValueNamer: ({ candidateNames }) => {
+      if (candidateNames.includes('gold-plus')) {
+        return 'GOLD'
+      }
+    }
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, options)
+    .then(({ schema }) => {
+      const clientParams = typeNamerParams.find(params => {
+        return params.candidateNames.includes('Customer')
+      })
+      expect(clientParams.oasTitle).toEqual('Example API 4')
+      expect(typeof clientParams.path).toEqual('string')
+      expect(clientParams.operation).toBeDefined()
+
+      expect(schema.getType('Customer')).toBeUndefined()
+      expect(Object.keys(schema.getType('Client').getFields())).toEqual([
+        'customerId',
+        'fullName',
+        'tier'
+      ])
+      expect(
+        schema
+          .getType('Tier')
+          .getValues()
+          .map(value => value.name)
+      ).toEqual(['GOLD', 'basic'])
+
+      const query = `{
+        client(clientId: "a1") {
+          customerId
+          fullName
+          tier
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            client: {
+              customerId: 'a1',
+              fullName: 'Ada',
+              tier: 'GOLD'
+            }
+          }
+        })
+
+        const mutation = `mutation {
+          postAccount(clientInput: { fullName: "Hedy", tier: GOLD }) {
+            fullName
+            tier
+          }
+        }`
+
+        return graphql(schema, mutation).then(result => {
+          expect(result).toEqual({
+            data: {
+              postAccount: {
+                fullName: 'Hedy',
+                tier: 'GOLD'
+              }
+            }
+          })
+        })
+      })
+    })
+})
+
+test('Invalid names returned by naming options are ignored', () => {
+  const options = {
+    fieldNamer: ({ candidateNames }) => {
+      if (candidateNames.includes('full_name')) {
+        return 'full name'
+      }
+    }
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, options)
+    .then(({ schema, report }) => {
+      expect(Object.keys(schema.getType('Customer').getFields())).toContain(
+        'name'
+      )
+      expect(
+        report.warnings.some(warning => {
+          return warning.type === 'INVALID_NAMER_RESULT'
+        })
+      ).toBe(true)
+    })
+})
+
+test('Default values of parameters and properties are default values of arguments and input fields', () => {
+  const ticketsField = createdSchema.getQueryType().getFields()['tickets']
+  expect(
+    ticketsField.args.map(arg => {
+      return [arg.name, arg.defaultValue]
+    })
+  ).toEqual([
+    ['label', 'new'],
+    ['status', 'open']
+  ])
+
+  const ticketInputFields = createdSchema.getType('TicketInput').getFields()
+  expect(ticketInputFields['ticketId']).toBeUndefined()
+  expect(ticketInputFields['priority'].defaultValue).toEqual('high-priority')
+  expect(ticketInputFields['labels'].defaultValue).toEqual(['new'])
+  expect(ticketInputFields['assignee'].defaultValue).toEqual({
+    teamName: 'support'
+  })
+
+  // Default values are printed using the names of enum values and fields
+  const printedSchema = printSchema(createdSchema)
+  expect(printedSchema).toContain('priority: Priority = highPriority')
+  expect(printedSchema).toContain(
+    'assignee: AssigneeInput = {teamName: "support"}'
+  )
+
+  const query = `{
+    tickets {
+      ticketId
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        tickets: [
+          {
+            ticketId: 't1'
+          }
+        ]
+      }
+    })
+  })
+})
+
+test('Default values of input fields are sent to the API', () => {
+  const query = `mutation {
+    postTicket(ticketInput: { title: "Crash" }) {
+      ticketId
+      status
+      priority
+      labels
+      assignee {
+        teamName
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        postTicket: {
+          ticketId: 't3',
+          status: 'open',
+          priority: 'highPriority',
+          labels: ['new'],
+          assignee: {
+            teamName: 'support'
+          }
+        }
+      }
+    })
+  })
+})
+
+test('Default values that do not agree with the schema are ignored', () => {
+  const invalidOas = JSON.parse(JSON.stringify(oas))
+  invalidOas.components.schemas['Ticket'].properties['priority'].default =
+    'urgent'
+
+  return openapiToGraphql
+    .createGraphQlSchema(invalidOas)
+    .then(({ schema, report }) => {
+      const priorityField = schema.getType('TicketInput').getFields()[
+        'priority'
+      ]
+      expect(priorityField.defaultValue).toBeUndefined()
+      expect(
+        report.warnings.some(warning => {
+          return warning.type === 'INVALID_DEFAULT_VALUE'
+        })
+      ).toBe(true)
+    })
+})
+
+test('Links of list operations are resolved on each list item', () => {
+  const buyerField = createdSchema.getType('Order').getFields()['buyer']
+  expect(buyerField.type).toBe(createdSchema.getType('User'))
+  expect(buyerField.description).toContain('The user who placed the order.')
+
+  const query = `{
+    orders {
+      orderId
+      buyer {
+        username
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        orders: [
+          {
+            orderId: '1000',
+            buyer: {
+              username: 'jane'
+            }
+          },
+          {
+            orderId: '1001',
+            buyer: {
+              username: 'john'
+            }
+          },
+          {
+            orderId: '1002',
+            buyer: {
+              username: 'jane'
+            }
+          }
+        ]
+      }
+    })
+  })
+})
+
+test('Links are resolved on nested objects of other types', () => {
+  // Deliveries contain the delivered order, whose type has the buyer link
+  const oasWithOrders = JSON.parse(JSON.stringify(oas))
+  oasWithOrders.components.schemas.Delivery.properties.order = {
+    $ref: '#/components/schemas/Order'
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithOrders, {
+      customResolvers: {
+        'Example API 4': {
+          '/deliveries/{deliveryId}': {
+            get: (obj, args) => {
+              return {
+                deliveryId: args['deliveryId'],
+                status: 'packed',
+                order: {
+                  orderId: '1001',
+                  buyerId: 'u2'
+                }
+              }
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema }) => {
+      const query = `{
+        delivery(deliveryId: "d3") {
+          order {
+            orderId
+            buyer {
+              username
+            }
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            delivery: {
+              order: {
+                orderId: '1001',
+                buyer: {
+                  username: 'john'
+                }
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Links are resolved on nested objects using the data of the nested object', () => {
+  const query = `{
+    category(categoryId: "books") {
+      name
+      subcategories {
+        name
+        parentCategory {
+          name
+        }
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        category: {
+          name: 'Books',
+          subcategories: [
+            {
+              name: 'Fiction',
+              parentCategory: {
+                name: 'Books'
+              }
+            }
+          ]
+        }
+      }
+    })
+  })
+})
+
+test('Links send request bodies that are strings as JSON', () => {
+  // Add a link whose request body is the tracking number of the order
+  const oasWithEcho = JSON.parse(JSON.stringify(oas))
+  oasWithEcho.paths['/echo'] = {
+    post: {
+      operationId: 'echo',
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'string'
+            }
+          }
+        }
+      },
+      responses: {
+        '200': {
+          description: 'The received request body.',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  body: {
+                    type: 'string'
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  oasWithEcho.paths['/orders/{orderId}'].get.responses['200'].links.echo = {
+    operationId: 'echo',
+    requestBody: '$response.body#/trackingNumber'
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithEcho)
+    .then(({ schema }) => {
+      const query = `{
+      order(orderId: "1001") {
+        echo {
+          body
+        }
+      }
+    }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            order: {
+              echo: {
+                body: 'TRACK-1001'
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Links send their request body to the server of the link', () => {
+  const shipmentField = createdSchema.getType('Order').getFields()['shipment']
+  expect(shipmentField.type).toBe(createdSchema.getType('Shipment'))
+  expect(shipmentField.args).toEqual([])
+
+  const query = `{
+    order(orderId: "1001") {
+      shipment {
+        trackingNumber
+        carrier
+        reference
+        status
+      }
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result).toEqual({
+      data: {
+        order: {
+          shipment: {
+            trackingNumber: 'TRACK-1001',
+            carrier: 'ACME',
+            reference: 'order-1001',
+            status: 'in transit'
+          }
+        }
+      }
+    })
+  })
+})
+
+test('Links are not inferred by default', () => {
+  const ticketFields = createdSchema.getType('Ticket').getFields()
+  expect(ticketFields['user']).toBeUndefined()
+  expect(ticketFields['orderDetails']).toBeUndefined()
+})
+
+test('Links to operations that fetch objects by their ID can be inferred', () => {
+  const options = {
+    inferLinks: true
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, options)
+    .then(({ schema, report }) => {
+      const ticketFields = schema.getType('Ticket').getFields()
+      expect(ticketFields['user'].type).toBe(schema.getType('User'))
+      expect(ticketFields['orderDetails'].type).toBe(schema.getType('Order'))
+
+      // Inferred links are listed in the report
+      expect(
+        report.inferredLinks.filter(inferredLink => {
+          return inferredLink.typeName === 'Ticket'
+        })
+      ).toEqual([
+        {
+          typeName: 'Ticket',
+          linkName: 'user',
+          link: {
+            operationId: 'user',
+            parameters: {
+              userId: '$response.body#/user_id'
+            },
+            description:
+              "Inferred link from the property 'user_id' to GET /users/{userId}"
+          }
+        },
+        {
+          typeName: 'Ticket',
+          linkName: 'orderDetails',
+          link: {
+            operationId: 'order',
+            parameters: {
+              orderId: '$response.body#/order/id'
+            },
+            description:
+              "Inferred link from the property 'order' to GET /orders/{orderId}"
+          }
+        }
+      ])
+
+      const query = `{
+        tickets {
+          title
+          user {
+            username
+          }
+          orderDetails {
+            status
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            tickets: [
+              {
+                title: 'Broken link',
+                user: {
+                  username: 'john'
+                },
+                orderDetails: {
+                  status: 'shipped'
+                }
+              }
+            ]
+          }
+        })
+      })
+    })
+})
+
+test('Links inferred across namespaced OASs reference the OAS of the operation', () => {
+  const options = {
+    inferLinks: true,
+    namespaces: true
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema([oas, storesOas], options)
+    .then(({ schema, report }) => {
+      expect(
+        report.inferredLinks.filter(inferredLink => {
+          return inferredLink.typeName === 'ExampleAPI4Order'
+        })
+      ).toEqual([
+        {
+          typeName: 'ExampleAPI4Order',
+          linkName: 'store',
+          link: {
+            operationRef: 'Example API 4 Stores#/paths/~1stores~1{storeId}/get',
+            parameters: {
+              storeId: '$response.body#/storeId'
+            },
+            description:
+              "Inferred link from the property 'storeId' to " +
+              'Example API 4 Stores GET /stores/{storeId}'
+          }
+        }
+      ])
+
+      const query = `{
+        exampleAPI4 {
+          order(orderId: "1001") {
+            store {
+              name
+            }
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            exampleAPI4: {
+              order: {
+                store: {
+                  name: 'Downtown'
+                }
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Links can be declared using the links option, including across OASs', () => {
+  return openapiToGraphql
+    .createGraphQlSchema([oas, storesOas], {
+      links: {
+        'Example API 4': {
+          Order: {
+            store: {
+              title: 'Example API 4 Stores',
+              path: '/stores/{storeId}',
+              method: 'GET',
+              parameters: {
+                storeId: '$response.body#/storeId'
+              },
+              description: 'The store that accepted the order.'
+            }
+          },
+          'GET /orders/{orderId}': {
+            buyerDetails: {
+              operationId: 'user',
+              parameters: {
+                userId: '$response.body#/buyerId'
+              }
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema }) => {
+      const orderFields = schema.getType('Order').getFields()
+      expect(orderFields.store.type.toString()).toEqual('Store')
+      expect(orderFields.store.description).toContain(
+        'The store that accepted the order.'
+      )
+      expect(orderFields.buyerDetails.type.toString()).toEqual('User')
+
+      const query = `{
+        order(orderId: "1001") {
+          store {
+            name
+          }
+          buyerDetails {
+            username
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            order: {
+              store: {
+                name: 'Downtown'
+              },
+              buyerDetails: {
+                username: 'john'
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Links declared using the links option resolve operationIds in the OAS with the given title', () => {
+  return openapiToGraphql
+    .createGraphQlSchema([oas, storesOas], {
+      links: {
+        'Example API 4': {
+          Order: {
+            store: {
+              title: 'Example API 4 Stores',
+              operationId: 'store',
+              parameters: {
+                storeId: '$response.body#/storeId'
+              }
+            },
+            seller: {
+              title: 'Example API 4 Stores',
+              operationId: 'user',
+              parameters: {
+                userId: '$response.body#/buyerId'
+              }
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema, report }) => {
+      const orderFields = schema.getType('Order').getFields()
+      expect(orderFields.store.type.toString()).toEqual('Store')
+      expect(orderFields.seller).toBeUndefined()
+      expect(
+        report.warnings
+          .filter(warning => warning.type === 'UNRESOLVABLE_LINK')
+          .map(warning => warning.message)
+      ).toEqual([
+        "The link 'seller' of 'Order' in the links option references the " +
+          "operationId 'user' but the OAS 'Example API 4 Stores' contains no " +
+          'such operation.'
+      ])
+
+      const query = `{
+        order(orderId: "1001") {
+          store {
+            name
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            order: {
+              store: {
+                name: 'Downtown'
+              }
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Links declared using the links option without a target operation are ignored', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      links: {
+        'Example API 4': {
+          Order: {
+            store: {
+              parameters: {
+                storeId: '$response.body#/storeId'
+              }
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema, report }) => {
+      expect(Object.keys(schema.getType('Order').getFields())).not.toContain(
+        'store'
+      )
+      expect(
+        report.warnings.some(warning => {
+          return warning.type === 'UNRESOLVABLE_LINK'
+        })
+      ).toBe(true)
+    })
+})
+
+test('Only the first successful response is translated by default', () => {
+  const reportField = createdSchema.getQueryType().getFields()['report']
+  expect(reportField.type.toString()).toEqual('Report')
+})
+
+test('Option responseUnions translates all successful responses into a union type', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      responseUnions: true
+    })
+    .then(({ schema, report }) => {
+      const reportField = schema.getQueryType().getFields()['report']
+      expect(reportField.type.toString()).toEqual('ReportResponse')
+      expect(
+        schema
+          .getPossibleTypes(reportField.type)
+          .map(type => type.name)
+          .sort()
+      ).toEqual(['Report', 'ReportJob'])
+      expect(
+        report.warnings.some(warning => {
+          return (
+            warning.type === 'MULTIPLE_RESPONSES' &&
+            warning.message.includes('/reports/{reportId}')
+          )
+        })
+      ).toBe(false)
+
+      // Operations with a single successful response are not affected
+      const orderField = schema.getQueryType().getFields()['order']
+      expect(orderField.type.toString()).toEqual('Order')
+
+      const query = `{
+        ready: report(reportId: "r1") {
+          __typename
+          ... on Report {
+            title
+          }
+        }
+        pending: report(reportId: "r2") {
+          __typename
+          ... on ReportJob {
+            jobId
+          }
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            ready: {
+              __typename: 'Report',
+              title: 'Sales'
+            },
+            pending: {
+              __typename: 'ReportJob',
+              jobId: 'j2'
+            }
+          }
+        })
+      })
+    })
+})
+
+test('Error responses are translated into errors by default', () => {
+  const query = `{
+    coupon(couponCode: "GONE") {
+      code
+    }
+  }`
+
+  return graphql(createdSchema, query).then(result => {
+    expect(result.data).toEqual({
+      coupon: null
+    })
+    expect(result.errors[0].message).toEqual(
+      'Could not invoke operation GET /coupons/{couponCode}'
+    )
+  })
+})
+
+test('Option errorUnions translates documented error responses into members of a union type', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      errorUnions: true
+    })
+    .then(({ schema }) => {
+      const couponField = schema.getQueryType().getFields()['coupon']
+      expect(couponField.type.toString()).toEqual('CouponResponse')
+      expect(
+        schema
+          .getPossibleTypes(couponField.type)
+          .map(type => type.name)
+          .sort()
+      ).toEqual(['Coupon', 'NotFound', 'ValidationProblem'])
+
+      // Operations without documented error responses are not affected
+      const orderField = schema.getQueryType().getFields()['order']
+      expect(orderField.type.toString()).toEqual('Order')
+
+      const query = `{
+        valid: coupon(couponCode: "SAVE10") {
+          ...CouponFields
+        }
+        unknown: coupon(couponCode: "GONE") {
+          ...CouponFields
+        }
+        invalid: coupon(couponCode: "save 10") {
+          ...CouponFields
+        }
+        failed: coupon(couponCode: "crash") {
+          ...CouponFields
+        }
+      }
+
+      fragment CouponFields on CouponResponse {
+        __typename
+        ... on Coupon {
+          discount
+        }
+        ... on NotFound {
+          message
+        }
+        ... on ValidationProblem {
+          invalidParams
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.data).toEqual({
+          valid: {
+            __typename: 'Coupon',
+            discount: 0.1
+          },
+          unknown: {
+            __typename: 'NotFound',
+            message: 'Wrong coupon code.'
+          },
+          invalid: {
+            __typename: 'ValidationProblem',
+            invalidParams: ['couponCode']
+          },
+          // Error responses that are not documented as JSON objects still fail
+          failed: null
+        })
+        expect(result.errors.map(error => error.message)).toEqual([
+          'Could not invoke operation GET /coupons/{couponCode}'
+        ])
+      })
+    })
+})
+
+test('Callbacks are not translated into subscriptions by default', () => {
+  expect(createdSchema.getSubscriptionType()).toBeNull()
+})
+
+test('Option createSubscriptionsFromCallbacks translates callbacks into subscriptions', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      createSubscriptionsFromCallbacks: true,
+      callbackCleanup: {
+        'Example API 4': {
+          createWebhook: {
+            operationId: 'deleteWebhook',
+            parameters: {
+              webhookId: '$response.body#/webhookId'
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema, report }) => {
+      expect(report.numSubscriptionsCreated).toEqual(1)
+
+      // The callback URL is filled in by OpenAPI-to-GraphQL
+      const orderShippedField = schema.getSubscriptionType().getFields()[
+        'orderShipped'
+      ]
+      expect(orderShippedField.type.toString()).toEqual('ShipmentEvent')
+      expect(
+        orderShippedField.args.map(arg => `${arg.name}: ${arg.type}`)
+      ).toEqual([
+        'orderShippedSubscriptionInput: OrderShippedSubscriptionInput'
+      ])
+      expect(
+        Object.keys(
+          (schema.getType(
+            'OrderShippedSubscriptionInput'
+          ) as GraphQLInputObjectType).getFields()
+        )
+      ).toEqual(['storeId'])
+
+      const query = `subscription {
+        orderShipped(orderShippedSubscriptionInput: {
+          storeId: "downtown"
+        }) {
+          orderId
+          trackingNumber
+        }
+      }`
+
+      return subscribe(schema, parse(query)).then((iterator: any) => {
+        return iterator
+          .next()
+          .then(first => {
+            return iterator.next().then(second => [first, second])
+          })
+          .then(events => {
+            expect(events).toEqual([
+              {
+                value: {
+                  data: {
+                    orderShipped: {
+                      orderId: '1000',
+                      trackingNumber: 'TRACK-1000'
+                    }
+                  }
+                },
+                done: false
+              },
+              {
+                value: {
+                  data: {
+                    orderShipped: {
+                      orderId: '1001',
+                      trackingNumber: 'TRACK-1001'
+                    }
+                  }
+                },
+                done: false
+              }
+            ])
+
+            // Unsubscribing deletes the webhook
+            return iterator.return()
+          })
+          .then(() => {
+            const query = `{
+              webhook(webhookId: "w1") {
+                webhookId
+              }
+            }`
+
+            return graphql(schema, query).then(result => {
+              expect(result.data).toEqual({
+                webhook: null
+              })
+            })
+          })
+      })
+    })
+})
+
+test('Callbacks whose URL refers to a missing request body are ignored', () => {
+  const oasWithoutBody = JSON.parse(JSON.stringify(oas))
+  const createWebhook = oasWithoutBody.paths['/webhooks'].post
+  delete createWebhook.requestBody
+  createWebhook.callbacks.orderShipped = {
+    '{$request.body}':
+      createWebhook.callbacks.orderShipped['{$request.body#/callbackUrl}']
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithoutBody, {
+      createSubscriptionsFromCallbacks: true
+    })
+    .then(({ schema, report }) => {
+      expect(report.numSubscriptionsCreated).toEqual(0)
+      expect(schema.getSubscriptionType()).toBeNull()
+      expect(
+        report.warnings
+          .filter(warning => warning.type === 'INVALID_CALLBACK')
+          .map(warning => warning.message)
+      ).toEqual([
+        "The URL '{$request.body}' of the callback 'orderShipped' of " +
+          'operation POST /webhooks refers to the request body of the ' +
+          'operation, which has none.'
+      ])
+    })
+})
+
+test('Callbacks that exceed the maximum size are rejected', () => {
+  const receiver = createCallbackReceiver({ maxBodySize: 20 })
+  const payloads = []
+
+  const sendCallback = (url, body) => {
+    return new Promise<number>((resolve, reject) => {
+      const req = http.request(url, { method: 'POST' }, res => {
+        res.resume()
+        res.on('end', () => resolve(res.statusCode))
+      })
+      req.on('error', reject)
+      req.end(body)
+    })
+  }
+
+  return receiver
+    .addListener(payload => payloads.push(payload))
+    .then(({ url, remove }) => {
+      return sendCallback(url, JSON.stringify({ orderId: '1000' }))
+        .then(statusCode => {
+          expect(statusCode).toEqual(204)
+          return sendCallback(url, JSON.stringify({ orderId: '1000000000' }))
+        })
+        .then(statusCode => {
+          expect(statusCode).toEqual(413)
+          expect(payloads).toEqual([{ orderId: '1000' }])
+        })
+        .then(remove, error => {
+          return remove().then(() => {
+            throw error
+          })
+        })
+    })
+})
+
+test('Option pollingSubscriptions polls GET operations and emits only changed responses', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      pollingSubscriptions: {
+        'Example API 4': {
+          'GET /deliveries/{deliveryId}': 10
+        }
+      }
+    })
+    .then(({ schema, report }) => {
+      expect(report.numSubscriptionsCreated).toEqual(1)
+
+      // The field is named and typed like the field of the Query object
+      const deliveryField = schema.getSubscriptionType().getFields()['delivery']
+      expect(deliveryField.type.toString()).toEqual('Delivery')
+      expect(
+        deliveryField.args.map(arg => `${arg.name}: ${arg.type}`)
+      ).toEqual(['deliveryId: String!'])
+
+      const query = `subscription {
+        delivery(deliveryId: "d1") {
+          status
+        }
+      }`
+
+      return subscribe(schema, parse(query)).then((iterator: any) => {
+        const events = []
+        const collectEvents = () => {
+          return iterator.next().then(event => {
+            events.push(event.value.data.delivery.status)
+            return events.length < 3 ? collectEvents() : iterator.return()
+          })
+        }
+
+        return collectEvents().then(() => {
+          expect(events).toEqual(['packed', 'in transit', 'delivered'])
+        })
+      })
+    })
+})
+
+test('Option pollingSubscriptions shares one poller between subscriptions with the same arguments', () => {
+  let requestCount = 0
+
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      pollingSubscriptions: {
+        'Example API 4': {
+          delivery: 10
+        }
+      },
+      customResolvers: {
+        'Example API 4': {
+          '/deliveries/{deliveryId}': {
+            get: (obj, args) => {
+              requestCount++
+              return {
+                deliveryId: args['deliveryId'],
+                status: `request ${requestCount}`
+              }
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema }) => {
+      const query = `subscription {
+        delivery(deliveryId: "d2") {
+          status
+        }
+      }`
+      const aliasedQuery = `subscription {
+        shipping: delivery(deliveryId: "d2") {
+          status
+        }
+      }`
+
+      // Pollers are shared between contexts and aliases
+      return Promise.all([
+        subscribe(schema, parse(query), null, {}),
+        subscribe(schema, parse(aliasedQuery), null, {})
+      ]).then((iterators: any[]) => {
+        const collectEvents = iterator => {
+          return iterator.next().then(first => {
+            return iterator.next().then(second => [first, second])
+          })
+        }
+
+        return Promise.all(iterators.map(collectEvents))
+          .then(events => {
+            // Both subscriptions receive the responses of the same requests
+            expect(
+              events.map(([first, second]) => [
+                first.value.data,
+                second.value.data
+              ])
+            ).toEqual([
+              [
+                { delivery: { status: 'request 1' } },
+                { delivery: { status: 'request 2' } }
+              ],
+              [
+                { shipping: { status: 'request 1' } },
+                { shipping: { status: 'request 2' } }
+              ]
+            ])
+
+            return Promise.all(iterators.map(iterator => iterator.return()))
+          })
+          .then(() => {
+            // Polling stops once the last subscription ends
+            const requestCountAfterReturn = requestCount
+            return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+              expect(requestCount).toEqual(requestCountAfterReturn)
+            })
+          })
+      })
+    })
+})
+
+test('Option pollingSubscriptions resolves the response headers of aliased subscriptions', () => {
+  const oasWithHeaders = JSON.parse(JSON.stringify(oas))
+  oasWithHeaders.paths['/invoices/{invoiceId}'].get.responses['200'].headers = {
+    ETag: {
+      schema: {
+        type: 'string'
+      }
+    }
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithHeaders, {
+      pollingSubscriptions: {
+        'Example API 4': {
+          invoice: 1000
+        }
+      },
+      responseHeaders: 'type',
+      formatScalars: true
+    })
+    .then(({ schema }) => {
+      const query = `subscription {
+        latestInvoice: invoice(invoiceId: "9007199254740993") {
+          eTag
+        }
+      }`
+
+      return subscribe(schema, parse(query)).then((iterator: any) => {
+        return iterator.next().then(event => {
+          expect(typeof event.value.data.latestInvoice.eTag).toEqual('string')
+
+          return iterator.return()
+        })
+      })
+    })
+})
+
+test('Option pollingScope only shares pollers between contexts with the same scope', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      pollingSubscriptions: {
+        'Example API 4': {
+          delivery: 10
+        }
+      },
+      pollingScope: ctx => ctx['user'],
+      customResolvers: {
+        'Example API 4': {
+          '/deliveries/{deliveryId}': {
+            get: (obj, args, ctx) => {
+              return {
+                deliveryId: args['deliveryId'],
+                status: `requested by ${ctx['user']}`
+              }
+            }
+          }
+        }
+      }
+    })
+    .then(({ schema }) => {
+      const query = `subscription {
+        delivery(deliveryId: "d2") {
+          status
+        }
+      }`
+
+      return Promise.all([
+        subscribe(schema, parse(query), null, { user: 'alice' }),
+        subscribe(schema, parse(query), null, { user: 'bob' })
+      ]).then((iterators: any[]) => {
+        return Promise.all(iterators.map(iterator => iterator.next())).then(
+          events => {
+            expect(
+              events.map(event => event.value.data.delivery.status)
+            ).toEqual(['requested by alice', 'requested by bob'])
+
+            return Promise.all(iterators.map(iterator => iterator.return()))
+          }
+        )
+      })
+    })
+})
+
+test('Response headers are not translated into fields by default', () => {
+  const orderFields = createdSchema.getType('Order').getFields()
+  expect(orderFields).not.toHaveProperty('xRateLimitRemaining')
+  expect(createdSchema.getType('OrderPayload')).toBeUndefined()
+})
+
+test('Option responseHeaders translates response headers into fields of the returned type', () => {
+  // Invoices are not nested in other types
+  const oasWithHeaders = JSON.parse(JSON.stringify(oas))
+  oasWithHeaders.paths['/invoices/{invoiceId}'].get.responses['200'].headers = {
+    ETag: {
+      description: 'The version of the invoice.',
+      schema: {
+        type: 'string'
+      }
+    }
+  }
+
+  return openapiToGraphql
+    .createGraphQlSchema(oasWithHeaders, {
+      responseHeaders: 'type',
+      formatScalars: true
+    })
+    .then(({ schema, report }) => {
+      const invoiceFields = schema.getType('Invoice').getFields()
+      expect(invoiceFields.eTag.type.toString()).toEqual('String')
+      expect(invoiceFields.eTag.description).toEqual(
+        'The version of the invoice.'
+      )
+
+      // Orders are nested in lists, which cannot hold fields for the headers
+      const orderFields = schema.getType('Order').getFields()
+      expect(orderFields.xRateLimitRemaining).toBeUndefined()
+      expect(orderFields.eTag).toBeUndefined()
+      expect(
+        report.warnings
+          .filter(warning => warning.type === 'UNSUPPORTED_RESPONSE_HEADERS')
+          .map(warning => warning.message)
+      ).toEqual([
+        'The headers of the response of operation GET /orders cannot be ' +
+          'translated into fields because the response is not an object. ' +
+          "Set the responseHeaders option to 'payload' instead.",
+        "The headers of the responses that return the object type 'Order' " +
+          'cannot be translated into fields because the object type is also ' +
+          "nested in other types. Set the responseHeaders option to 'payload' " +
+          'instead.'
+      ])
+
+      const query = `{
+        invoice(invoiceId: "9007199254740993") {
+          contactEmail
+          eTag
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result.data.invoice.contactEmail).toEqual('billing@example.com')
+        expect(typeof result.data.invoice.eTag).toEqual('string')
+      })
+    })
+})
+
+test('Option responseHeaders translates response headers into fields of a payload type', () => {
+  return openapiToGraphql
+    .createGraphQlSchema(oas, {
+      responseHeaders: 'payload'
+    })
+    .then(({ schema }) => {
+      const queryFields = schema.getQueryType().getFields()
+      expect(queryFields.orders.type.toString()).toEqual('OrdersPayload')
+      expect(queryFields.order.type.toString()).toEqual('OrderPayload')
+
+      // Operations without documented headers are not affected
+      expect(queryFields.user.type.toString()).toEqual('User')
+
+      const query = `{
+        orders(limit: 1) {
+          data {
+            orderId
+          }
+          xTotalCount
+        }
+        emptyPage: orders(offset: 10) {
+          data {
+            orderId
+          }
+          xTotalCount
+        }
+        order(orderId: "1001") {
+          data {
+            orderId
+            buyer {
+              username
+            }
+          }
+          xRateLimitRemaining
+        }
+      }`
+
+      return graphql(schema, query).then(result => {
+        expect(result).toEqual({
+          data: {
+            orders: {
+              data: [{ orderId: '1000' }],
+              xTotalCount: 3
+            },
+            emptyPage: {
+              data: [],
+              xTotalCount: 3
+            },
+            order: {
+              data: {
+                orderId: '1001',
+                buyer: {
+                  username: 'john'
+                }
+              },
+              xRateLimitRemaining: 99
+            }
+          }
+        })
+      })
+    })
+})
@@ -0,0 +1,681 @@
+// Copyright IBM Corp. 2017,2018. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  const request = require('request')
+
+  // Do not keep connections alive, as clients may reuse timed out connections
+  app.use((req, res, next) => {
+    res.set('Connection', 'close')
+    next()
+  })
+
+  const bodyParser = require('body-parser')
+  app.use(bodyParser.text())
+  app.use(
+    bodyParser.json({
+      // Accept any JSON value, not only objects and arrays
+      strict: false,
+      // Retain the raw body to echo 64 bit integers without losing precision
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString()
+      }
+    })
+  )
+
+  const PaymentMethods = {
+    visa: {
+      cardNumber: '4111111111111111',
+      expirationDate: '12/25',
+      holder: 'Arlene L McMahon'
+    },
+    savings: {
+      iban: 'DE89370400440532013000',
+      bic: 'COBADEFFXXX',
+      holder: 'William B Ropp',
+      limits: {
+        'atm-withdrawal': 500,
+        transfer: 10000
+      }
+    }
+  }
+
+  // Does not adhere to the OAS, which requires an expiration date
+  const BrokenPaymentMethods = {
+    expired: {
+      cardNumber: '5500000000000004'
+    }
+  }
+
+  const Notifications = [
+    {
+      email: 'jane.doe@example.com',
+      subject: 'Welcome',
+      read: true
+    },
+    {
+      phoneNumber: '+1 555 0100',
+      text: 'Your code is 1234',
+      read: true
+    },
+    {
+      email: 'jane.doe@example.com',
+      subject: 'Your invoice',
+      read: false
+    },
+    {
+      phoneNumber: '+1 555 0100',
+      text: 'Your card has been charged',
+      read: false
+    }
+  ]
+
+  const Pets = {
+    rex: {
+      name: 'Rex',
+      petType: 'dog',
+      packSize: 3
+    },
+    tom: {
+      name: 'Tom',
+      petType: 'cat',
+      huntingSkill: 'lazy'
+    },
+    spike: {
+      name: 'Spike',
+      petType: 'Lizard',
+      lovesRocks: true
+    }
+  }
+
+  app.get('/api/pets', (req, res) => {
+    console.log(req.method, req.path)
+    res.send(Object.values(Pets).slice(0, req.query.limit))
+  })
+
+  app.post('/api/pets', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send(req.body)
+  })
+
+  app.get('/api/pets/:petId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.petId in Pets) {
+      res.send(Pets[req.params.petId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong pet ID.'
+      })
+    }
+  })
+
+  // Raw JSON to retain the precision of the 64 bit integer
+  const Invoices = {
+    '9007199254740993': `{
+      "invoiceId": 9007199254740993,
+      "issuedAt": "2019-05-01T12:30:00Z",
+      "dueDate": "2019-05-31",
+      "contactEmail": "billing@example.com",
+      "receiptUrl": "https://example.com/receipts/9007199254740993",
+      "signature": "SGVsbG8="
+    }`
+  }
+
+  app.get('/api/invoices/:invoiceId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.invoiceId in Invoices) {
+      res.type('json').send(Invoices[req.params.invoiceId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong invoice ID.'
+      })
+    }
+  })
+
+  app.post('/api/invoices', (req, res) => {
+    console.log(req.method, req.path)
+    if (
+      typeof req.body.invoiceId !== 'undefined' &&
+      typeof req.body.invoiceId !== 'number'
+    ) {
+      res.status(400).send({
+        message: 'Invoice ID must be an integer.'
+      })
+      return
+    }
+
+    res
+      .status(201)
+      .type('json')
+      .send(req.rawBody)
+  })
+
+  const Products = {
+    tshirt: {
+      name: 'T-shirt',
+      prices: {
+        USD: {
+          amount: 20,
+          currency: 'USD'
+        },
+        EUR: {
+          amount: 18,
+          currency: 'EUR'
+        }
+      },
+      'color-code': '#ff0000'
+    }
+  }
+
+  app.get('/api/products/:productId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.productId in Products) {
+      res.send(Products[req.params.productId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong product ID.'
+      })
+    }
+  })
+
+  app.post('/api/products', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send(req.body)
+  })
+
+  const Orders = {
+    '1000': {
+      orderId: '1000',
+      storeId: 'downtown',
+      buyerId: 'u1',
+      status: 'placed',
+      trackingNumber: 'TRACK-1000',
+      trackingCode: 'TRACK-1000'
+    },
+    '1001': {
+      orderId: '1001',
+      storeId: 'downtown',
+      buyerId: 'u2',
+      status: 'shipped',
+      trackingNumber: 'TRACK-1001',
+      trackingCode: 'TRACK-1001'
+    },
+    '1002': {
+      orderId: '1002',
+      storeId: 'downtown',
+      buyerId: 'u1',
+      status: 'lost',
+      trackingNumber: 'TRACK-1002',
+      trackingCode: 'TRACK-1002'
+    }
+  }
+
+  app.get('/api/orders', (req, res) => {
+    console.log(req.method, req.path)
+    const offset = Number(req.query.offset || 0)
+    const limit = Number(req.query.limit || 10)
+    res
+      .set('X-Total-Count', String(Object.keys(Orders).length))
+      .send(Object.values(Orders).slice(offset, offset + limit))
+  })
+
+  app.get('/api/orders/:orderId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.orderId in Orders) {
+      res.set('X-Rate-Limit-Remaining', '99').send(Orders[req.params.orderId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong order ID.'
+      })
+    }
+  })
+
+  app.post('/api/echo', (req, res) => {
+    console.log(req.method, req.path)
+    res.send({
+      body: req.body
+    })
+  })
+
+  // Only available using the server of the shipment link
+  app.post('/tracking/shipments/track', (req, res) => {
+    console.log(req.method, req.path)
+    res.send({
+      ...req.body,
+      status: 'in transit'
+    })
+  })
+
+  const Users = [
+    { userId: 'u1', username: 'jane' },
+    { userId: 'u2', username: 'john' },
+    { userId: 'u3', username: 'joan' }
+  ]
+
+  app.get('/api/users', (req, res) => {
+    console.log(req.method, req.path)
+    const start = req.query.startingAfter
+      ? Users.findIndex(user => user.userId === req.query.startingAfter) + 1
+      : 0
+    const limit = Number(req.query.limit || 10)
+    res.send(Users.slice(start, start + limit))
+  })
+
+  app.get('/api/users/:userId', (req, res) => {
+    console.log(req.method, req.path)
+    const user = Users.find(user => user.userId === req.params.userId)
+    if (typeof user === 'object') {
+      res.send(user)
+    } else {
+      res.status(404).send({
+        message: 'Wrong user ID.'
+      })
+    }
+  })
+
+  app.post('/api/users', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send({
+      userId: 'u1',
+      username: req.body.username,
+      createdAt: '2019-05-01T12:30:00Z'
+    })
+  })
+
+  const Categories = {
+    books: {
+      slug: 'books',
+      name: 'Books',
+      subcategories: [
+        {
+          slug: 'fiction',
+          parentSlug: 'books',
+          name: 'Fiction',
+          subcategories: [{ name: 'Crime' }, { name: 'Fantasy' }]
+        }
+      ]
+    }
+  }
+
+  app.get('/api/categories/:categoryId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.categoryId in Categories) {
+      res.send(Categories[req.params.categoryId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong category ID.'
+      })
+    }
+  })
+
+  app.post('/api/categories', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send(req.body)
+  })
+
+  const Employees = {
+    alice: {
+      name: 'Alice',
+      department: {
+        name: 'Research',
+        manager: {
+          name: 'Bob'
+        },
+        employees: [{ name: 'Alice' }, { name: 'Carol' }]
+      }
+    }
+  }
+
+  app.get('/api/employees/:employeeId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.employeeId in Employees) {
+      res.send(Employees[req.params.employeeId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong employee ID.'
+      })
+    }
+  })
+
+  app.post('/api/employees', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send(req.body)
+  })
+
+  const Accounts = {
+    a1: {
+      account_id: 'a1',
+      full_name: 'Ada',
+      tier: 'gold-plus',
+      internal_score: 0.9
+    },
+    a2: {
+      account_id: 'a2',
+      full_name: 'Grace',
+      tier: 'basic',
+      internal_score: 0.4
+    }
+  }
+
+  app.get('/api/accounts/:accountId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.accountId in Accounts) {
+      res.send(Accounts[req.params.accountId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong account ID.'
+      })
+    }
+  })
+
+  app.post('/api/accounts', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send({
+      ...req.body,
+      account_id: 'a3'
+    })
+  })
+
+  app.post('/api/accounts/search', (req, res) => {
+    console.log(req.method, req.path)
+    res.send(
+      Object.values(Accounts).filter(account => {
+        return account.full_name === req.body.full_name
+      })
+    )
+  })
+
+  const Tickets = [
+    {
+      ticketId: 't1',
+      title: 'Broken link',
+      status: 'open',
+      priority: 'low',
+      labels: ['new'],
+      user_id: 'u2',
+      order: {
+        id: '1001'
+      }
+    },
+    {
+      ticketId: 't2',
+      title: 'Typo',
+      status: 'closed',
+      priority: 'low',
+      labels: ['new']
+    }
+  ]
+
+  app.get('/api/tickets', (req, res) => {
+    console.log(req.method, req.path)
+    res.send(
+      Tickets.filter(ticket => {
+        return (
+          ticket.status === req.query.status &&
+          ticket.labels.includes(req.query.label)
+        )
+      })
+    )
+  })
+
+  app.post('/api/tickets', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send({
+      ...req.body,
+      ticketId: 't3'
+    })
+  })
+
+  const Stores = {
+    downtown: {
+      id: 'downtown',
+      name: 'Downtown'
+    }
+  }
+
+  app.get('/api/stores/:storeId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.storeId in Stores) {
+      res.send(Stores[req.params.storeId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong store ID.'
+      })
+    }
+  })
+
+  const Reports = {
+    r1: {
+      title: 'Sales',
+      rows: 42
+    }
+  }
+
+  const ReportJobs = {
+    r2: {
+      jobId: 'j2',
+      progress: 0.5
+    }
+  }
+
+  // Reports that are not ready yet are accepted for processing
+  app.get('/api/reports/:reportId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.reportId in Reports) {
+      res.send(Reports[req.params.reportId])
+    } else if (req.params.reportId in ReportJobs) {
+      res.status(202).send(ReportJobs[req.params.reportId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong report ID.'
+      })
+    }
+  })
+
+  const Coupons = {
+    SAVE10: {
+      code: 'SAVE10',
+      discount: 0.1
+    }
+  }
+
+  app.get('/api/coupons/:couponCode', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.couponCode in Coupons) {
+      res.send(Coupons[req.params.couponCode])
+    } else if (req.params.couponCode === 'crash') {
+      res.status(500).send('Internal server error')
+    } else if (/^[A-Z0-9]+$/.test(req.params.couponCode)) {
+      res.status(404).send({
+        message: 'Wrong coupon code.'
+      })
+    } else {
+      res.status(400).send({
+        title: 'Invalid coupon code.',
+        invalidParams: ['couponCode']
+      })
+    }
+  })
+
+  const Webhooks = {}
+  let webhookCount = 0
+
+  // Notifies the webhook about the orders of its store one after the other
+  const notifyWebhook = (webhookId, orders) => {
+    if (!(webhookId in Webhooks) || orders.length === 0) {
+      return
+    }
+
+    request.post(
+      {
+        url: Webhooks[webhookId].callbackUrl,
+        json: {
+          orderId: orders[0].orderId,
+          tracking_number: orders[0].trackingNumber
+        }
+      },
+      () => {
+        notifyWebhook(webhookId, orders.slice(1))
+      }
+    )
+  }
+
+  app.post('/api/webhooks', (req, res) => {
+    console.log(req.method, req.path)
+    const webhookId = `w${++webhookCount}`
+    Webhooks[webhookId] = {
+      webhookId,
+      storeId: req.body.storeId,
+      callbackUrl: req.body.callbackUrl
+    }
+    res.status(201).send({
+      webhookId,
+      storeId: req.body.storeId
+    })
+
+    notifyWebhook(
+      webhookId,
+      Object.values(Orders).filter(order => {
+        return order.storeId === req.body.storeId
+      })
+    )
+  })
+
+  app.get('/api/webhooks/:webhookId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.webhookId in Webhooks) {
+      const { webhookId, storeId } = Webhooks[req.params.webhookId]
+      res.send({ webhookId, storeId })
+    } else {
+      res.status(404).send({
+        message: 'Wrong webhook ID.'
+      })
+    }
+  })
+
+  app.delete('/api/webhooks/:webhookId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.webhookId in Webhooks) {
+      const { webhookId, storeId } = Webhooks[req.params.webhookId]
+      delete Webhooks[req.params.webhookId]
+      res.send({ webhookId, storeId })
+    } else {
+      res.status(404).send({
+        message: 'Wrong webhook ID.'
+      })
+    }
+  })
+
+  // The status of a delivery advances with every other request
+  const Deliveries = {
+    d1: {
+      deliveryId: 'd1',
+      requestCount: 0,
+      statuses: ['packed', 'packed', 'in transit', 'in transit', 'delivered']
+    }
+  }
+
+  app.get('/api/deliveries/:deliveryId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.deliveryId in Deliveries) {
+      const delivery = Deliveries[req.params.deliveryId]
+      const statusIndex = Math.min(
+        delivery.requestCount++,
+        delivery.statuses.length - 1
+      )
+      res.send({
+        deliveryId: delivery.deliveryId,
+        status: delivery.statuses[statusIndex]
+      })
+    } else {
+      res.status(404).send({
+        message: 'Wrong delivery ID.'
+      })
+    }
+  })
+
+  app.get('/api/paymentMethods', (req, res) => {
+    console.log(req.method, req.path)
+    res.send(Object.values(PaymentMethods))
+  })
+
+  app.post('/api/paymentMethods', (req, res) => {
+    console.log(req.method, req.path)
+    res.status(201).send(req.body)
+  })
+
+  app.get('/api/paymentMethods/:paymentMethodId', (req, res) => {
+    console.log(req.method, req.path)
+    if (req.params.paymentMethodId in PaymentMethods) {
+      res.send(PaymentMethods[req.params.paymentMethodId])
+    } else if (req.params.paymentMethodId in BrokenPaymentMethods) {
+      res.send(BrokenPaymentMethods[req.params.paymentMethodId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong payment method ID.'
+      })
+    }
+  })
+
+  app.get('/api/notifications', (req, res) => {
+    console.log(req.method, req.path)
+    const pageNumber = Number(req.query.pageNumber || 0)
+    const pageSize = Number(req.query.pageSize || 3)
+    if ((pageNumber + 1) * pageSize < Notifications.length) {
+      res.set(
+        'Link',
+        `</api/notifications?pageNumber=${pageNumber +
+          1}&pageSize=${pageSize}>; rel="next"`
+      )
+    }
+    res.send(
+      Notifications.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize)
+    )
+  })
+
+  app.get('/api/notifications/latest', (req, res) => {
+    console.log(req.method, req.path)
+    res.send(Notifications[Notifications.length - 1])
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// if run from command line, start server:
+if (require.main === module) {
+  startServer(3007)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -211,6 +211,7 @@ test('Identify allOf as an object', () => {
       defs: [],
       security: {},
       saneMap: {},
+      patterns: {},
       options: {
         strict: false,
         report: {
@@ -219,7 +220,9 @@ test('Identify allOf as an object', () => {
           numOpsQuery: 0,
           numOpsMutation: 0,
           numQueriesCreated: 0,
-          numMutationsCreated: 0
+          numMutationsCreated: 0,
+          inferredLinks: [],
+          numSubscriptionsCreated: 0
         },
         operationIdFieldNames: false,
         fillEmptyResponses: false,